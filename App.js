@@ -2,16 +2,27 @@ import { Client, GatewayIntentBits, ActivityType } from "discord.js";
 import AppController from "@/lib/controller/AppController.js";
 import {
   DISCORD_TOKEN,
-  WHISPER_URL,
+  TRANSCRIPTION_WORKERS,
   WHISPER_MODEL,
   SUMMARY_MODEL,
+  CHUNK_MODEL,
+  CRITIC_MODEL,
+  FEEDBACK_MODEL,
+  SUMMARY_STYLES,
+  DEFAULT_STYLE,
   COLLECTOR_DURATION,
   MAX_TOKEN_LIMIT,
   LOGIN_ASCII_ART,
   ERR_ASCII_ART,
   ACTIVITY_TYPE,
   ACTIVITY_NAME,
+  SLASH_COMMAND_GUILDS,
 } from "@/lib/static/Constants.js";
+import {
+  SharedTranscriptionBackend,
+  DescribeTranscriptionBackend,
+} from "@/lib/transcription/Backends.js";
+import { DescribeLlmProvider, SharedLlmProvider } from "@/lib/llm/Providers.js";
 
 const client = new Client({
   intents: [
@@ -29,9 +40,22 @@ client.on("messageCreate", async (message) => {
   controller.handleMessage(message);
 });
 
+client.on("interactionCreate", async (interaction) => {
+  controller.handleSlashCommand(interaction);
+});
+
+// The application isn't known until the client is ready, which login doesn't wait for
+client.once("clientReady", async () => {
+  try {
+    await controller.registerSlashCommands();
+  } catch (err) {
+    console.error("Could not register slash commands:", err);
+  }
+});
+
 client
   .login(process.env.DISCORD_TOKEN ?? DISCORD_TOKEN)
-  .then(() => {
+  .then(async () => {
     const typeMap = {
       Playing: ActivityType.Playing,
       Listening: ActivityType.Listening,
@@ -43,14 +67,29 @@ client
     client.user.setActivity(ACTIVITY_NAME, { type: mappedType });
 
     console.log(`${LOGIN_ASCII_ART}\nLogged in and awaiting vc to join`);
-    printValues();
+    await printValues();
+
+    return controller.offerUnfinishedSessions();
   })
   .catch((err) => console.error(`${ERR_ASCII_ART}\n`, err));
 
-function printValues() {
-  console.log("Whisper URL:", WHISPER_URL);
+async function printValues() {
+  // Sessions size their chunks by what the server says about the models
+  const llm = SharedLlmProvider();
+  await llm.discoverContext([SUMMARY_MODEL, CHUNK_MODEL, CRITIC_MODEL, FEEDBACK_MODEL]);
+
+  console.log("Transcription Backend:", DescribeTranscriptionBackend(SharedTranscriptionBackend()));
+  console.log("Transcription Workers:", TRANSCRIPTION_WORKERS);
   console.log("Whisper Model:", WHISPER_MODEL);
+  console.log("LLM Provider:", DescribeLlmProvider(llm));
   console.log("Summary Model:", SUMMARY_MODEL);
+  console.log("Chunk / Critic / Feedback Models:", [CHUNK_MODEL, CRITIC_MODEL, FEEDBACK_MODEL].join(" / "));
+  console.log("Summary Styles:", `${Object.keys(SUMMARY_STYLES).join(", ")} (default: ${DEFAULT_STYLE})`);
   console.log("Collector Duration:", COLLECTOR_DURATION);
   console.log("Max Token Limit:", MAX_TOKEN_LIMIT);
+  console.log("Chunk Model Context:", llm.contextLimit(CHUNK_MODEL));
+  console.log(
+    "Slash Commands:",
+    SLASH_COMMAND_GUILDS.length > 0 ? SLASH_COMMAND_GUILDS.join(", ") : "global"
+  );
 }
@@ -0,0 +1,119 @@
+import fs from "node:fs";
+import path from "node:path";
+import OfflineController from "@/lib/controller/OfflineController.js";
+import {
+  WHISPER_MODEL,
+  SUMMARY_MODEL,
+  CHUNK_MODEL,
+  CRITIC_MODEL,
+  FEEDBACK_MODEL,
+  MAX_TOKEN_LIMIT,
+  EXPORT_FORMATS,
+} from "@/lib/static/Constants.js";
+import { ParseCommands } from "@/lib/static/Utils.js";
+import { ParseExportFormats } from "@/lib/static/TranscriptFormats.js";
+import { FindStyle, ListStyles, ParseStyles } from "@/lib/static/SummaryStyles.js";
+import { DescribeTranscriptionBackend } from "@/lib/transcription/Backends.js";
+import { DescribeLlmProvider } from "@/lib/llm/Providers.js";
+
+const OFFLINE_FLAGS = new Set(["--out", "--manifest", "--formats", "--characters", "--id", "--style"]);
+
+const USAGE = `Runs the Note-Ify pipeline on local files, without Discord.
+
+Usage:
+  bun Offline.js <audio folder | transcript file> [options]
+
+Input:
+  A folder of .wav/.ogg files named <speaker>-<offsetMs>.wav (like the ones start --record writes),
+  or with a manifest.json of [{ "file": "...", "speaker": "...", "offset": <ms> }].
+  Or a transcript the bot posted earlier (.txt or the .json export), which skips whisper.
+
+Options:
+  --out <folder>                 Where the summary and transcripts are written (default: output)
+  --manifest <file>              A manifest outside of the audio folder
+  --formats <formats...>         Transcript formats to write, any of: ${EXPORT_FORMATS.join(" ")}
+  --characters <speaker=Name...> The names speakers appear as, e.g. 1234=Thistle 5678="Brother Alden"
+  --id <name>                    Used in the output file names (default: the input's name)
+  --style <names...>             Summary styles to write, each to its own file, any of: ${ListStyles()
+    .map((style) => style.name)
+    .join(" ")}`;
+
+const { flagArgs, freeArgs } = ParseCommands(process.argv.slice(2), OFFLINE_FLAGS);
+const [input] = freeArgs;
+
+if (!input || !fs.existsSync(input)) {
+  console.log(USAGE);
+  process.exit(input ? 1 : 0);
+}
+
+const { formats, unknown } = ParseExportFormats(flagArgs["--formats"] || []);
+if (unknown.length > 0) {
+  console.error(`Unknown formats: ${unknown.join(", ")}. Pick from ${EXPORT_FORMATS.join(", ")}.`);
+  process.exit(1);
+}
+
+const { styles, unknown: unknownStyles } = ParseStyles(flagArgs["--style"] || []);
+if (unknownStyles.length > 0) {
+  console.error(
+    `Unknown styles: ${unknownStyles.join(", ")}. Pick from ${ListStyles()
+      .map((style) => style.name)
+      .join(", ")}.`,
+  );
+  process.exit(1);
+}
+const [mainStyle, ...otherStyles] = styles.length > 0 ? styles : [FindStyle()];
+
+const characters = new Map();
+for (const arg of flagArgs["--characters"] || []) {
+  const match = arg.match(/^([^=]+)=(.+)$/);
+  if (!match) {
+    console.error(`Could not read the character "${arg}", use speaker=Name.`);
+    process.exit(1);
+  }
+  characters.set(match[1], match[2].replace(/"/g, ""));
+}
+
+const outDir = flagArgs["--out"]?.[0] ?? "output";
+const sessionId = flagArgs["--id"]?.[0] ?? path.parse(path.resolve(input)).name;
+const offline = new OfflineController(sessionId, characters);
+offline.modelHandler.setStyle(mainStyle);
+await offline.modelHandler.llm.discoverContext([SUMMARY_MODEL, CHUNK_MODEL, CRITIC_MODEL, FEEDBACK_MODEL]);
+
+console.log("Transcription Backend:", DescribeTranscriptionBackend(offline.modelHandler.transcriber));
+console.log("Whisper Model:", WHISPER_MODEL);
+console.log("LLM Provider:", DescribeLlmProvider(offline.modelHandler.llm));
+console.log("Summary Model:", SUMMARY_MODEL);
+console.log("Chunk / Critic / Feedback Models:", [CHUNK_MODEL, CRITIC_MODEL, FEEDBACK_MODEL].join(" / "));
+console.log("Summary Styles:", [mainStyle, ...otherStyles].map((style) => style.name).join(", "));
+console.log("Max Token Limit:", MAX_TOKEN_LIMIT);
+console.log("Chunk Model Context:", offline.modelHandler.llm.contextLimit(CHUNK_MODEL));
+console.log("=".repeat(64));
+
+if (fs.statSync(input).isDirectory()) {
+  console.log(`Transcribing ${input}...`);
+  const count = await offline.transcribeFolder(input, flagArgs["--manifest"]?.[0] ?? null);
+  console.log(`Transcribed ${count} utterances into ${offline.modelHandler.sessionLog.length} transcript entries`);
+} else {
+  const count = offline.loadTranscript(input);
+  console.log(`Read ${count} transcript entries from ${input}`);
+}
+
+if (offline.modelHandler.sessionLog.length === 0) {
+  console.error("There is nothing to summarize.");
+  process.exit(1);
+}
+
+console.log("=".repeat(64));
+console.log("Summarizing...");
+
+const summary = await offline.summarize();
+
+for (const filePath of offline.writeOutputs(outDir, summary, formats.length > 0 ? formats : undefined)) {
+  console.log("Wrote", filePath);
+}
+
+// The other styles summarize the same transcript again, nothing is transcribed twice
+for (const style of otherStyles) {
+  console.log(`Summarizing in the ${style.name} style...`);
+  console.log("Wrote", offline.writeSummary(outDir, await offline.summarize(style), style.name));
+}
@@ -2,10 +2,46 @@ import {
   COLLECTOR_DURATION,
   COMMAND_FLAGS,
   COMMAND_LIST,
+  GLOSSARY_TYPES,
+  RECAP_SESSIONS,
+  SESSION_LIST_LIMIT,
   SESSION_STATES,
+  TRANSCRIPT_DISPLAY_NAMES,
+  EXPORT_FORMATS,
+  SLASH_COMMAND_GUILDS,
 } from "@/lib/static/Constants.js";
-import { ExtractUserId, ParseCommands } from "@/lib/static/Utils.js";
+import {
+  CreateLogEntry,
+  ExtractUserId,
+  FormatDuration,
+  FormatTranscript,
+  MergeTurns,
+  ParseCharacterArg,
+  ParseCommands,
+  ShortId,
+  SplitMessage,
+  TokenizeCommand,
+} from "@/lib/static/Utils.js";
+import { ExportTranscript, ParseExportFormats } from "@/lib/static/TranscriptFormats.js";
+import { ListStyles, ParseStyles, STYLE_NAME } from "@/lib/static/SummaryStyles.js";
+import {
+  SlashCommands,
+  SLASH_PLAYER_OPTIONS,
+  SLASH_TRUSTEE_OPTIONS,
+} from "@/lib/static/SlashCommands.js";
 import SessionController from "@/lib/controller/SessionController.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import RetrievalHandler from "@/lib/storage/RetrievalHandler.js";
+import GlossaryHandler from "@/lib/storage/GlossaryHandler.js";
+import {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  PermissionFlagsBits,
+} from "discord.js";
 
 export default class AppController {
   /** @type {import("discord.js").Client | null} */
@@ -17,11 +53,24 @@ export default class AppController {
   /** @type {Map<string, Map<string, SessionController>> | null} */
   sessionCloser = null;
 
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {RetrievalHandler | null} */
+  retrieval = null;
+
+  /** @type {GlossaryHandler | null} */
+  glossary = null;
+
   /**
    * @param {import("discord.js").Client} client
+   * @param {ArchiveHandler} [archive] - Defaults to the configured database
    */
-  constructor(client) {
+  constructor(client, archive = new ArchiveHandler()) {
     this.client = client;
+    this.archive = archive;
+    this.retrieval = new RetrievalHandler(archive);
+    this.glossary = new GlossaryHandler(archive);
 
     this.sessionManager = new Map();
     this.sessionCloser = new Map();
@@ -42,7 +91,7 @@ export default class AppController {
         return;
       }
 
-      const fullCommand = message.content.trim().split(/\s+/);
+      const fullCommand = TokenizeCommand(message.content);
 
       if (ExtractUserId(fullCommand[0]) !== this.client.user.id) {
         message.reply(
@@ -60,7 +109,7 @@ export default class AppController {
           break;
         }
         case COMMAND_LIST.stop.cmd: {
-          await this.handleChatStop(message);
+          await this.handleChatStop(message, args);
           break;
         }
         case COMMAND_LIST.pause.cmd: {
@@ -71,15 +120,50 @@ export default class AppController {
           await this.handleChatUnpause(message);
           break;
         }
+        case COMMAND_LIST.sessions.cmd: {
+          await this.handleChatSessions(message);
+          break;
+        }
+        case COMMAND_LIST.show.cmd: {
+          await this.handleChatShow(message, args);
+          break;
+        }
+        case COMMAND_LIST.export.cmd: {
+          await this.handleChatExport(message, args);
+          break;
+        }
+        case COMMAND_LIST.recap.cmd: {
+          await this.handleChatRecap(message, args);
+          break;
+        }
+        case COMMAND_LIST.ask.cmd: {
+          await this.handleChatAsk(message, args);
+          break;
+        }
+        case COMMAND_LIST.glossary.cmd: {
+          await this.handleChatGlossary(message, args);
+          break;
+        }
+        case COMMAND_LIST.character.cmd: {
+          await this.handleChatCharacter(message, args);
+          break;
+        }
+        case COMMAND_LIST.vocab.cmd: {
+          await this.handleChatVocab(message, args);
+          break;
+        }
+        case COMMAND_LIST.style.cmd: {
+          await this.handleChatStyle(message, args);
+          break;
+        }
+        case COMMAND_LIST.status.cmd: {
+          await this.handleChatStatus(message);
+          break;
+        }
         case COMMAND_LIST.help.cmd: {
-          let helpMessage = "";
-          helpMessage += `\`${COMMAND_LIST.start.cmd}\`: ${COMMAND_LIST.start.desc} \n`;
-          helpMessage += `\`${COMMAND_LIST.stop.cmd}\`: ${COMMAND_LIST.stop.desc} \n`;
-          helpMessage += `\`${COMMAND_LIST.pause.cmd}\`: ${COMMAND_LIST.pause.desc} \n`;
-          helpMessage += `\`${COMMAND_LIST.unpause.cmd}\`: ${COMMAND_LIST.unpause.desc} \n`;
-          helpMessage += `\`${COMMAND_LIST.help.cmd}\`: ${COMMAND_LIST.help.desc} \n`;
-
-          await message.reply(helpMessage);
+          for (const helpMessage of this.getHelpMessages("")) {
+            await message.reply(helpMessage);
+          }
           break;
         }
         default: {
@@ -97,7 +181,32 @@ export default class AppController {
   }
 
   /**
-   * Handles slash commands (Ready for implementation, not actively used yet)
+   * Registers the slash commands with Discord. Per-server commands show up right away,
+   * global ones can take up to an hour to reach every server.
+   *
+   * @param {string[]} [guildIds] - The servers to register in, empty registers globally
+   *
+   * @returns {Promise<void>}
+   */
+  async registerSlashCommands(guildIds = SLASH_COMMAND_GUILDS) {
+    if (guildIds.length === 0) {
+      await this.client.application.commands.set(SlashCommands);
+      console.log(`Registered ${SlashCommands.length} slash commands globally`);
+      return;
+    }
+
+    for (const guildId of guildIds) {
+      try {
+        await this.client.application.commands.set(SlashCommands, guildId);
+        console.log(`Registered ${SlashCommands.length} slash commands in server [${guildId}]`);
+      } catch (err) {
+        console.error(`Could not register slash commands in server [${guildId}]:`, err);
+      }
+    }
+  }
+
+  /**
+   * Handles slash commands
    *
    * @param {import("discord.js").ChatInputCommandInteraction} interaction
    *
@@ -126,15 +235,53 @@ export default class AppController {
           await this.handleSlashUnpause(interaction);
           break;
         }
+        case COMMAND_LIST.sessions.cmd: {
+          await this.handleSlashSessions(interaction);
+          break;
+        }
+        case COMMAND_LIST.show.cmd: {
+          await this.handleSlashShow(interaction);
+          break;
+        }
+        case COMMAND_LIST.export.cmd: {
+          await this.handleSlashExport(interaction);
+          break;
+        }
+        case COMMAND_LIST.recap.cmd: {
+          await this.handleSlashRecap(interaction);
+          break;
+        }
+        case COMMAND_LIST.ask.cmd: {
+          await this.handleSlashAsk(interaction);
+          break;
+        }
+        case COMMAND_LIST.glossary.cmd: {
+          await this.handleSlashGlossary(interaction);
+          break;
+        }
+        case COMMAND_LIST.character.cmd: {
+          await this.handleSlashCharacter(interaction);
+          break;
+        }
+        case COMMAND_LIST.vocab.cmd: {
+          await this.handleSlashVocab(interaction);
+          break;
+        }
+        case COMMAND_LIST.style.cmd: {
+          await this.handleSlashStyle(interaction);
+          break;
+        }
+        case COMMAND_LIST.status.cmd: {
+          await this.handleSlashStatus(interaction);
+          break;
+        }
         case COMMAND_LIST.help.cmd: {
-          let helpMessage = "";
-          helpMessage += `\`/${COMMAND_LIST.start.cmd}\`: ${COMMAND_LIST.start.desc} \n`;
-          helpMessage += `\`/${COMMAND_LIST.stop.cmd}\`: ${COMMAND_LIST.stop.desc} \n`;
-          helpMessage += `\`/${COMMAND_LIST.pause.cmd}\`: ${COMMAND_LIST.pause.desc} \n`;
-          helpMessage += `\`/${COMMAND_LIST.unpause.cmd}\`: ${COMMAND_LIST.unpause.desc} \n`;
-          helpMessage += `\`/${COMMAND_LIST.help.cmd}\`: ${COMMAND_LIST.help.desc} \n`;
-
-          await interaction.reply({ content: helpMessage, ephemeral: true });
+          const [first, ...rest] = this.getHelpMessages("/");
+
+          await interaction.reply({ content: first, ephemeral: true });
+          for (const helpMessage of rest) {
+            await interaction.followUp({ content: helpMessage, ephemeral: true });
+          }
           break;
         }
         default: {
@@ -151,6 +298,76 @@ export default class AppController {
     }
   }
 
+  /**
+   * Builds the help message from every entry in COMMAND_LIST,
+   * split into chunks that fit in a single Discord message
+   *
+   * @param {string} prefix - Prepended to each command name, e.g. "/" for slash commands
+   *
+   * @returns {string[]}
+   */
+  getHelpMessages(prefix) {
+    let helpMessage = "";
+    for (const command of Object.values(COMMAND_LIST)) {
+      helpMessage += `\`${prefix}${command.cmd}\`: ${command.desc} \n`;
+    }
+
+    return SplitMessage(helpMessage);
+  }
+
+  /**
+   * Checks whether a member may manage server-wide data like the glossary:
+   * anyone with Manage Server, or a trustee of the session currently running
+   *
+   * @param {import("discord.js").Guild} guild
+   * @param {import("discord.js").GuildMember | null} member
+   *
+   * @returns {boolean}
+   */
+  isTrustee(guild, member) {
+    if (!member) return false;
+    if (member.permissions?.has?.(PermissionFlagsBits.ManageGuild)) return true;
+
+    return this.sessionManager.get(guild.id)?.hasTrustee(member.id) ?? false;
+  }
+
+  /**
+   * Creates an ephemeral reply function for an interaction that can be called
+   * more than once, sending any further text as follow-ups
+   *
+   * @param {import("discord.js").ChatInputCommandInteraction} interaction
+   *
+   * @returns {(text: string) => Promise<any>}
+   */
+  interactionReplier(interaction) {
+    return async (text) => {
+      if (interaction.replied || interaction.deferred) {
+        return await interaction.followUp({ content: text, ephemeral: true });
+      }
+
+      return await interaction.reply({ content: text, ephemeral: true });
+    };
+  }
+
+  /**
+   * Creates a reply function for a deferred interaction that fills in the
+   * deferred reply first and sends any further text as follow-ups
+   *
+   * @param {import("discord.js").ChatInputCommandInteraction} interaction
+   *
+   * @returns {(text: string) => Promise<any>}
+   */
+  deferredReplier(interaction) {
+    let edited = false;
+
+    return async (text) => {
+      if (edited) return await interaction.followUp(text);
+
+      edited = true;
+      return await interaction.editReply(text);
+    };
+  }
+
   // ==========================================
   // COMMAND WRAPPERS
   // ==========================================
@@ -159,16 +376,31 @@ export default class AppController {
     const { flagsFound, flagArgs } = ParseCommands(args, COMMAND_FLAGS.start);
 
     const force = flagsFound.includes(COMMAND_LIST.start.flags.force);
+    const record = flagsFound.includes(COMMAND_LIST.start.flags.record);
     const targetGmId = ExtractUserId(flagArgs[COMMAND_LIST.start.flags.gm]?.[0] || "");
     const trusteeArgs = flagArgs[COMMAND_LIST.start.flags.trusted] || [];
     const playerArgs = flagArgs[COMMAND_LIST.start.flags.players] || [];
+    const campaign = (flagArgs[COMMAND_LIST.start.flags.campaign] || []).join(" ");
+    const characterArgs = flagArgs[COMMAND_LIST.start.flags.characters] || [];
+    const formatArgs = flagArgs[COMMAND_LIST.start.flags.formats] || [];
+    const styleArgs = flagArgs[COMMAND_LIST.start.flags.style] || [];
 
     await this.coreHandleStart(
       message.guild,
       message.member,
       message.member?.voice?.channel,
       message.channel,
-      { targetGmId, trusteeArgs, playerArgs, force },
+      {
+        targetGmId,
+        trusteeArgs,
+        playerArgs,
+        force,
+        campaign,
+        characterArgs,
+        formatArgs,
+        styleArgs,
+        record,
+      },
       async (text) => await message.reply(text)
     );
   }
@@ -177,12 +409,25 @@ export default class AppController {
     await interaction.deferReply();
 
     const gmUser = interaction.options.getUser("gm");
-    const playersString = interaction.options.getString("players") || "";
-    const trusteesString = interaction.options.getString("trustees") || "";
     const force = interaction.options.getBoolean("force") || false;
+    const record = interaction.options.getBoolean("record") || false;
+    const campaign = interaction.options.getString("campaign") || "";
+    const charactersString = interaction.options.getString("characters") || "";
+    const formatsString = interaction.options.getString("formats") || "";
+    const styleString = interaction.options.getString("style") || "";
 
-    const playersArray = playersString.split(/\s+/).filter(Boolean);
-    const trusteesArray = trusteesString.split(/\s+/).filter(Boolean);
+    // The core logic reads mentions, which is what a user's toString gives
+    const playersArray = [];
+    for (let i = 1; i <= SLASH_PLAYER_OPTIONS; i++) {
+      const user = interaction.options.getUser(`player${i}`);
+      if (user) playersArray.push(user.toString());
+    }
+    const trusteesArray = [];
+    for (let i = 1; i <= SLASH_TRUSTEE_OPTIONS; i++) {
+      const user = interaction.options.getUser(`trustee${i}`);
+      if (user) trusteesArray.push(user.toString());
+    }
+    const charactersArray = TokenizeCommand(charactersString);
     const targetGmId = gmUser ? gmUser.id : "";
 
     await this.coreHandleStart(
@@ -190,24 +435,46 @@ export default class AppController {
       interaction.member,
       interaction.member?.voice?.channel,
       interaction.channel,
-      { targetGmId, trusteeArgs: trusteesArray, playerArgs: playersArray, force },
+      {
+        targetGmId,
+        trusteeArgs: trusteesArray,
+        playerArgs: playersArray,
+        force,
+        campaign,
+        characterArgs: charactersArray,
+        formatArgs: formatsString.split(/\s+/).filter(Boolean),
+        styleArgs: styleString.split(/\s+/).filter(Boolean),
+        record,
+      },
       async (text) => await interaction.editReply(text)
     );
   }
 
-  async handleChatStop(message) {
+  async handleChatStop(message, args) {
+    const { flagArgs } = ParseCommands(args, COMMAND_FLAGS.stop);
+
     await this.coreHandleStop(
       message.guild,
       message.member,
+      flagArgs[COMMAND_LIST.stop.flags.formats] || [],
+      flagArgs[COMMAND_LIST.stop.flags.style] || [],
       async (text) => await message.reply(text)
     );
   }
 
   async handleSlashStop(interaction) {
+    // Stopping waits on the transcription queue and the summary, far past the 3 second reply window
+    await interaction.deferReply({ ephemeral: true });
+
+    const formatsString = interaction.options.getString("formats") || "";
+    const styleString = interaction.options.getString("style") || "";
+
     await this.coreHandleStop(
       interaction.guild,
       interaction.member,
-      async (text) => await interaction.reply({ content: text, ephemeral: true })
+      formatsString.split(/\s+/).filter(Boolean),
+      styleString.split(/\s+/).filter(Boolean),
+      this.deferredReplier(interaction)
     );
   }
 
@@ -220,10 +487,12 @@ export default class AppController {
   }
 
   async handleSlashPause(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
     await this.coreHandlePause(
       interaction.guild,
       interaction.member,
-      async (text) => await interaction.reply({ content: text, ephemeral: true })
+      this.deferredReplier(interaction)
     );
   }
 
@@ -237,14 +506,256 @@ export default class AppController {
   }
 
   async handleSlashUnpause(interaction) {
+    // Rejoining the voice channel can take a few seconds
+    await interaction.deferReply({ ephemeral: true });
+
     await this.coreHandleUnpause(
       interaction.guild,
       interaction.member,
       interaction.member?.voice?.channel,
+      this.deferredReplier(interaction)
+    );
+  }
+
+  async handleChatSessions(message) {
+    await this.coreHandleSessions(
+      message.guild,
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashSessions(interaction) {
+    await this.coreHandleSessions(
+      interaction.guild,
+      async (text) => await interaction.reply({ content: text, ephemeral: true })
+    );
+  }
+
+  async handleChatStatus(message) {
+    await this.coreHandleStatus(
+      message.guild,
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashStatus(interaction) {
+    await this.coreHandleStatus(
+      interaction.guild,
+      async (text) => await interaction.reply({ content: text, ephemeral: true })
+    );
+  }
+
+  async handleChatShow(message, args) {
+    await this.coreHandleShow(
+      message.guild,
+      message.channel,
+      args[0],
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashShow(interaction) {
+    await this.coreHandleShow(
+      interaction.guild,
+      interaction.channel,
+      interaction.options.getString("id"),
+      async (text) => await interaction.reply({ content: text, ephemeral: true })
+    );
+  }
+
+  async handleChatExport(message, args) {
+    await this.coreHandleExport(
+      message.guild,
+      message.channel,
+      args,
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashExport(interaction) {
+    const id = interaction.options.getString("id");
+
+    await this.coreHandleExport(
+      interaction.guild,
+      interaction.channel,
+      [interaction.options.getString("format"), ...(id ? [id] : [])],
+      async (text) => await interaction.reply({ content: text, ephemeral: true })
+    );
+  }
+
+  async handleChatRecap(message, args) {
+    const { flagArgs, freeArgs } = ParseCommands(args, COMMAND_FLAGS.recap);
+
+    await this.coreHandleRecap(
+      message.guild,
+      message.channel,
+      freeArgs.join(" "),
+      parseInt(flagArgs[COMMAND_LIST.recap.flags.sessions]?.[0]),
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashRecap(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    await this.coreHandleRecap(
+      interaction.guild,
+      interaction.channel,
+      interaction.options.getString("campaign") || "",
+      interaction.options.getInteger("sessions"),
+      async (text) => await interaction.editReply(text)
+    );
+  }
+
+  async handleChatAsk(message, args) {
+    const { flagArgs, freeArgs } = ParseCommands(args, COMMAND_FLAGS.ask);
+
+    await message.channel.sendTyping();
+    await this.coreHandleAsk(
+      message.guild,
+      freeArgs.join(" "),
+      (flagArgs[COMMAND_LIST.ask.flags.campaign] || []).join(" "),
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashAsk(interaction) {
+    await interaction.deferReply();
+
+    await this.coreHandleAsk(
+      interaction.guild,
+      interaction.options.getString("question"),
+      interaction.options.getString("campaign") || "",
+      this.deferredReplier(interaction)
+    );
+  }
+
+  async handleChatGlossary(message, args) {
+    const { flags } = COMMAND_LIST.glossary;
+    const { flagArgs, freeArgs } = ParseCommands(args, COMMAND_FLAGS.glossary);
+
+    const subcommand = Object.values(COMMAND_LIST.glossary.subcommands).includes(freeArgs[0])
+      ? freeArgs.shift()
+      : "";
+    const joined = (flag) => (flagArgs[flag] || []).join(" ");
+
+    await this.coreHandleGlossary(
+      message.guild,
+      message.member,
+      {
+        subcommand,
+        name: freeArgs.join(" "),
+        campaign: joined(flags.campaign),
+        type: joined(flags.type).toLowerCase(),
+        description: joined(flags.desc),
+        rename: joined(flags.rename),
+        into: joined(flags.into),
+      },
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashGlossary(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    await this.coreHandleGlossary(
+      interaction.guild,
+      interaction.member,
+      {
+        subcommand: subcommand === "list" || subcommand === "show" ? "" : subcommand,
+        name: interaction.options.getString("name") || "",
+        campaign: interaction.options.getString("campaign") || "",
+        type: interaction.options.getString("type") || "",
+        description: interaction.options.getString("description") || "",
+        rename: interaction.options.getString("rename") || "",
+        into: interaction.options.getString("into") || "",
+      },
+      this.interactionReplier(interaction)
+    );
+  }
+
+  async handleChatCharacter(message, args) {
+    const [subcommand, ...rest] = args;
+    const targetId = ExtractUserId(rest[0]);
+
+    await this.coreHandleCharacter(
+      message.guild,
+      message.member,
+      {
+        subcommand,
+        userId: targetId ?? message.member?.id,
+        name: (targetId ? rest.slice(1) : rest).join(" "),
+      },
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashCharacter(interaction) {
+    await this.coreHandleCharacter(
+      interaction.guild,
+      interaction.member,
+      {
+        subcommand: interaction.options.getSubcommand(),
+        userId: interaction.options.getUser("user")?.id ?? interaction.member?.id,
+        name: interaction.options.getString("name") || "",
+      },
       async (text) => await interaction.reply({ content: text, ephemeral: true })
     );
   }
 
+  async handleChatVocab(message, args) {
+    const { flagArgs, freeArgs } = ParseCommands(args, COMMAND_FLAGS.vocab);
+    const [subcommand, ...rest] = freeArgs;
+
+    await this.coreHandleVocab(
+      message.guild,
+      message.member,
+      {
+        subcommand,
+        term: rest.join(" "),
+        campaign: (flagArgs[COMMAND_LIST.vocab.flags.campaign] || []).join(" "),
+      },
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashVocab(interaction) {
+    await this.coreHandleVocab(
+      interaction.guild,
+      interaction.member,
+      {
+        subcommand: interaction.options.getSubcommand(),
+        term: interaction.options.getString("term") || "",
+        campaign: interaction.options.getString("campaign") || "",
+      },
+      this.interactionReplier(interaction)
+    );
+  }
+
+  async handleChatStyle(message, args) {
+    const [subcommand, name, ...rest] = args;
+
+    await this.coreHandleStyle(
+      message.guild,
+      message.member,
+      { subcommand, name: name || "", instructions: rest.join(" ") },
+      async (text) => await message.reply(text)
+    );
+  }
+
+  async handleSlashStyle(interaction) {
+    await this.coreHandleStyle(
+      interaction.guild,
+      interaction.member,
+      {
+        subcommand: interaction.options.getSubcommand(),
+        name: interaction.options.getString("name") || "",
+        instructions: interaction.options.getString("instructions") || "",
+      },
+      this.interactionReplier(interaction)
+    );
+  }
+
   // ==========================================
   // CORE BUSINESS LOGIC
   // ==========================================
@@ -253,7 +764,27 @@ export default class AppController {
    * Core logic for starting a session
    */
   async coreHandleStart(guild, member, voiceChannel, textChannel, options, reply) {
-    const { targetGmId, trusteeArgs, playerArgs, force } = options;
+    const {
+      targetGmId,
+      trusteeArgs,
+      playerArgs,
+      force,
+      campaign,
+      characterArgs = [],
+      formatArgs = [],
+      styleArgs = [],
+      record = false,
+    } = options;
+
+    const { formats, unknown } = ParseExportFormats(formatArgs);
+    if (unknown.length > 0) {
+      return await reply(
+        `I can't export transcripts as ${unknown.map((f) => `\`${f}\``).join(", ")}. Pick from ${EXPORT_FORMATS.join(", ")}.`
+      );
+    }
+
+    const styles = this.parseStyleArgs(guild, styleArgs);
+    if (typeof styles === "string") return await reply(styles);
 
     let session = this.sessionManager.get(guild.id);
 
@@ -276,16 +807,11 @@ export default class AppController {
           );
         }
 
-        session.stop();
-
-        const closed = this.sessionCloser.get(guild.id);
-        if (closed) {
-          closed.set(session.getId(), session);
-        } else {
-          this.sessionCloser.set(
-            guild.id,
-            new Map([[session.getId(), session]])
-          );
+        // A summary that fails is logged, it shouldn't keep the new session from starting
+        try {
+          await this.closeSession(guild.id, session);
+        } catch (err) {
+          console.error(`Could not stop session [${session.getId()}] before starting a new one:`, err);
         }
       }
     }
@@ -299,8 +825,21 @@ export default class AppController {
 
     const players = new Set();
     const nicknames = new Map();
+    const displayNames = new Map();
     const trustees = new Set();
 
+    // Characters named for this session win over the ones remembered from earlier sessions
+    const rememberedCharacters = this.archive.getCharacters(guild.id);
+    const characters = new Map();
+    for (const raw of characterArgs) {
+      const character = ParseCharacterArg(raw);
+      if (!character) {
+        replyMsg += `\n-# I couldn't read the character \`${raw}\`, use @user=Name or @user="Two Words".`;
+        continue;
+      }
+      characters.set(character.userId, character.name);
+    }
+
     for (const raw of trusteeArgs) {
       const id = ExtractUserId(raw);
       if (id) {
@@ -310,17 +849,25 @@ export default class AppController {
         }
       }
     }
-    for (const raw of playerArgs) {
-      const id = ExtractUserId(raw);
-      if (id) {
+    // Anyone given a character is tracked as a player too
+    const playerIds = [...playerArgs.map((raw) => ExtractUserId(raw)), ...characters.keys()];
+    for (const id of playerIds) {
+      if (id && !players.has(id)) {
         const fetchMember = await guild.members.fetch(id).catch(() => null);
         if (fetchMember) {
           players.add(fetchMember.id);
-          nicknames.set(fetchMember.id, fetchMember.displayName);
+          nicknames.set(
+            fetchMember.id,
+            characters.get(fetchMember.id) ??
+              rememberedCharacters.get(fetchMember.id) ??
+              fetchMember.displayName
+          );
+          displayNames.set(fetchMember.id, fetchMember.displayName);
         }
       }
     }
 
+    let gmMember = member;
     if (targetGmId) {
       const fetchMember = await guild.members.fetch(targetGmId).catch(() => null);
       if (!fetchMember) {
@@ -328,20 +875,33 @@ export default class AppController {
           "\n**The GM user could not be found, by default you have become the GM**";
       } else {
         gmId = fetchMember.id;
+        gmMember = fetchMember;
       }
     } else {
       replyMsg += "\n**You have been selected as the GM by default**";
     }
 
-    if (playerArgs.length === 0) {
+    if (campaign) {
+      replyMsg += `\nThis session is part of the **${campaign}** campaign.`;
+    }
+
+    if (players.size === 0) {
       replyMsg +=
         "\n**You are the only person in this adventure.**\n-# If this was a mistake, consider sending the help command.";
     }
 
+    // The GM voices everyone, so they stay "GM" unless given a character for this session
     players.add(gmId);
-    nicknames.set(gmId, "GM");
+    nicknames.set(gmId, characters.get(gmId) ?? "GM");
+    displayNames.set(gmId, gmMember.displayName);
     trustees.add(gmId);
 
+    for (const [userId, name] of characters) {
+      if (players.has(userId)) {
+        this.archive.setCharacter(guild.id, userId, name);
+      }
+    }
+
     console.log(`[Start] Triggered by ${member.user.tag}`);
     console.log("Players:", nicknames);
     console.log("Trustees:", trustees);
@@ -353,7 +913,16 @@ export default class AppController {
       players,
       trustees,
       voiceChannel,
-      textChannel
+      textChannel,
+      {
+        gmId,
+        archive: this.archive,
+        campaign: campaign || null,
+        displayNames,
+        exportFormats: formats,
+        summaryStyles: styles,
+        record,
+      }
     );
 
     await session.start();
@@ -365,7 +934,7 @@ export default class AppController {
   /**
    * Core logic for stopping a session
    */
-  async coreHandleStop(guild, member, reply) {
+  async coreHandleStop(guild, member, formatArgs, styleArgs, reply) {
     const s = this.sessionManager.get(guild.id);
     if (!s) {
       return await reply(
@@ -378,25 +947,69 @@ export default class AppController {
       return await reply("You do not have permission to stop this session.");
     }
 
+    const { formats, unknown } = ParseExportFormats(formatArgs);
+    if (unknown.length > 0) {
+      return await reply(
+        `I can't export transcripts as ${unknown.map((f) => `\`${f}\``).join(", ")}. Pick from ${EXPORT_FORMATS.join(", ")}.`
+      );
+    }
+
+    const styles = this.parseStyleArgs(guild, styleArgs);
+    if (typeof styles === "string") return await reply(styles);
+
     await reply(
       `I've left the channel and have begun summarizing. ETA is roughly ${s.getETA()} minute(s)`
     );
 
-    await s.stop();
+    await this.closeSession(guild.id, s, formats, styles);
+  }
 
-    const c = this.sessionCloser.get(guild.id);
-    if (c) {
-      c.set(s.getId(), s);
-    } else {
-      this.sessionCloser.set(guild.id, new Map([[s.getId(), s]]));
+  /**
+   * Checks the names given to --style against the configured styles and the guild's own
+   *
+   * @param {import("discord.js").Guild} guild
+   * @param {string[]} styleArgs
+   *
+   * @returns {string[] | string} The style names, or what to reply if one of them doesn't exist
+   */
+  parseStyleArgs(guild, styleArgs) {
+    const guildStyles = this.archive.getSummaryStyles(guild.id);
+    const { styles, unknown } = ParseStyles(styleArgs, guildStyles);
+    if (unknown.length > 0) {
+      return `I don't know the style ${unknown.map((s) => `\`${s}\``).join(", ")}. Pick from ${ListStyles(guildStyles)
+        .map((style) => style.name)
+        .join(", ")}.`;
     }
 
-    setTimeout((id = s.getId()) => {
-      const guildClosed = this.sessionCloser.get(guild.id);
-      if (guildClosed) {
+    return styles.map((style) => style.name);
+  }
+
+  /**
+   * Stops a session and keeps it around in sessionCloser until its feedback window has passed
+   *
+   * @param {string} guildId
+   * @param {SessionController} s
+   * @param {string[]} [formats] - The transcript formats to post, defaults to the session's own
+   * @param {string[]} [styles] - The summary styles to write, defaults to the session's own
+   *
+   * @returns {Promise<void>}
+   */
+  async closeSession(guildId, s, formats = [], styles = []) {
+    await s.stop(formats, styles);
+
+    const c = this.sessionCloser.get(guildId);
+    if (c) {
+      c.set(s.getId(), s);
+    } else {
+      this.sessionCloser.set(guildId, new Map([[s.getId(), s]]));
+    }
+
+    setTimeout((id = s.getId()) => {
+      const guildClosed = this.sessionCloser.get(guildId);
+      if (guildClosed) {
         guildClosed.delete(id);
         if (guildClosed.size === 0) {
-          this.sessionCloser.delete(guild.id);
+          this.sessionCloser.delete(guildId);
         }
       }
     }, COLLECTOR_DURATION + 300000);
@@ -416,10 +1029,15 @@ export default class AppController {
       return await reply("You do not have permission to pause this session.");
     }
 
-    await s.pause();
+    if (s.getSessionState() !== SESSION_STATES.playing) {
+      return await reply("This session isn't recording right now, so there's nothing to pause.");
+    }
+
+    // Replying first, the summary of the session so far can take a few minutes
     await reply(
-      "I've left the call while you guys take a break. Just send the unpause command whenever you're ready to resume playing!"
+      `I'm leaving the call while you guys take a break and will post a summary of the session so far in ${s.textChannel}. ETA is roughly ${s.getETA()} minute(s). Just send the unpause command whenever you're ready to resume playing!`
     );
+    await s.pause();
   }
 
   /**
@@ -443,4 +1061,684 @@ export default class AppController {
     await s.unpause();
     await reply(`Rejoined ${voiceChannel} and listening.`);
   }
-}
\ No newline at end of file
+
+  /**
+   * Core logic for reporting what the current session is doing
+   */
+  async coreHandleStatus(guild, reply) {
+    const s = this.sessionManager.get(guild.id);
+    if (!s) {
+      return await reply(
+        "No session is currently running. Try joining a vc and starting one, or check help for a list of commands."
+      );
+    }
+
+    await reply(s.getStatusMessage());
+  }
+
+  /**
+   * Core logic for listing a guild's archived sessions
+   */
+  async coreHandleSessions(guild, reply) {
+    const sessions = this.archive.listSessions(guild.id, SESSION_LIST_LIMIT);
+    if (sessions.length === 0) {
+      return await reply(
+        "I haven't archived any sessions for this server yet. They show up here once a session is stopped."
+      );
+    }
+
+    let listMsg = `**The last ${sessions.length} session(s) I archived:**\n`;
+    for (const s of sessions) {
+      const started = Math.floor(s.startedAt / 1000);
+      const length = s.stoppedAt
+        ? FormatDuration(s.stoppedAt - s.startedAt).slice(0, 8)
+        : "unfinished";
+      const names = Object.values(s.nicknames).join(", ");
+      const campaign = s.campaign ? ` **${s.campaign}**` : "";
+
+      listMsg += `\`${ShortId(s.id)}\`${campaign} <t:${started}:f> (${length}) with ${names}\n`;
+    }
+    listMsg += "-# Use the show command with an id to re-post that session.";
+
+    await reply(listMsg);
+  }
+
+  /**
+   * Core logic for re-posting an archived session's summary and transcript
+   */
+  async coreHandleShow(guild, textChannel, idPrefix, reply) {
+    if (!idPrefix) {
+      return await reply(
+        "Tell me which session to show, e.g. `show 1a2b3c4d`. The sessions command lists the ids."
+      );
+    }
+
+    const matches = this.archive.findSessions(guild.id, idPrefix);
+    if (matches.length === 0) {
+      return await reply(`I couldn't find an archived session starting with \`${idPrefix}\`.`);
+    }
+    if (matches.length > 1) {
+      return await reply(
+        `\`${idPrefix}\` matches ${matches.length} sessions. Try a few more characters of the id.`
+      );
+    }
+
+    const [session] = matches;
+
+    // The latest feedback revision is what the group last agreed on
+    const revisions = this.archive.getFeedbackRevisions(session.id);
+    const summary =
+      revisions.at(-1)?.revision ||
+      session.finalSummary ||
+      "No summary was stored for this session.";
+
+    const entries = this.archive
+      .getTranscriptEntries(session.id)
+      .map((e) =>
+        CreateLogEntry(
+          e.userId,
+          e.name,
+          e.start,
+          e.end,
+          e.text,
+          TRANSCRIPT_DISPLAY_NAMES ? session.displayNames[e.userId] : null
+        )
+      );
+    const transcript = new AttachmentBuilder(
+      Buffer.from(FormatTranscript(entries) || "No transcript available.", "utf8"),
+      { name: `Transcript-${session.id}.txt` }
+    );
+
+    await reply(
+      `Re-posting session \`${ShortId(session.id)}\` from <t:${Math.floor(session.startedAt / 1000)}:f>.`
+    );
+
+    for (const chunk of SplitMessage(summary)) {
+      if (chunk.trim().length > 0) {
+        await textChannel.send({ content: chunk });
+      }
+    }
+    await textChannel.send({ files: [transcript] });
+  }
+  /**
+   * Core logic for posting an archived session's transcript in other formats
+   */
+  async coreHandleExport(guild, textChannel, args, reply) {
+    const { formats, unknown } = ParseExportFormats(args);
+    if (formats.length === 0 || unknown.length > 1) {
+      return await reply(
+        `Tell me which formats to export, e.g. \`export srt md 1a2b3c4d\`. I know ${EXPORT_FORMATS.join(", ")}.`
+      );
+    }
+
+    // Whatever isn't a format is the session id, and no id means the latest session
+    const [idPrefix] = unknown;
+    const matches = idPrefix
+      ? this.archive.findSessions(guild.id, idPrefix)
+      : this.archive.listSessions(guild.id, 1);
+    if (matches.length === 0) {
+      return await reply(
+        idPrefix
+          ? `I couldn't find an archived session starting with \`${idPrefix}\`.`
+          : "There are no archived sessions in this server yet."
+      );
+    }
+    if (matches.length > 1) {
+      return await reply(
+        `\`${idPrefix}\` matches ${matches.length} sessions. Try a few more characters of the id.`
+      );
+    }
+
+    const [session] = matches;
+    const displayNames = TRANSCRIPT_DISPLAY_NAMES ? session.displayNames : {};
+    const entries = MergeTurns(
+      this.archive
+        .getTranscriptEntries(session.id)
+        .map((e) => CreateLogEntry(e.userId, e.name, e.start, e.end, e.text, displayNames[e.userId])),
+    );
+
+    const files = formats.map((format) => {
+      const { name, content } = ExportTranscript(format, entries, { ...session, displayNames });
+      return new AttachmentBuilder(Buffer.from(content, "utf8"), { name });
+    });
+
+    await reply(`Exporting session \`${ShortId(session.id)}\` as ${formats.join(", ")}.`);
+    await textChannel.send({ files });
+  }
+
+
+  /**
+   * Core logic for posting a "previously on..." digest of a campaign
+   */
+  async coreHandleRecap(guild, textChannel, campaign, sessionCount, reply) {
+    const name = campaign || this.archive.getLatestCampaign(guild.id);
+    if (!name) {
+      return await reply(
+        "Tell me which campaign to recap, e.g. `recap Curse of Strahd`. Sessions join a campaign with `start --campaign <name>`."
+      );
+    }
+
+    const limit = sessionCount > 0 ? sessionCount : RECAP_SESSIONS;
+    const previousSessions = this.archive.getCampaignSummaries(guild.id, name, limit);
+    if (previousSessions.length === 0) {
+      return await reply(`I don't have any finished sessions of **${name}** to recap yet.`);
+    }
+
+    await reply(
+      `Putting together a recap of the last ${previousSessions.length} session(s) of **${name}**...`
+    );
+    await textChannel.sendTyping();
+
+    const recap = await new ModelHandler(new Map(), Date.now()).getCampaignRecap(
+      previousSessions
+    );
+    if (!recap) {
+      return await textChannel.send("I couldn't write a recap this time, try again in a bit.");
+    }
+
+    await textChannel.send(`## Previously on ${name}...`);
+    for (const chunk of SplitMessage(recap)) {
+      if (chunk.trim().length > 0) {
+        await textChannel.send({ content: chunk });
+      }
+    }
+  }
+
+  /**
+   * Core logic for answering a question from archived sessions
+   */
+  async coreHandleAsk(guild, question, campaign, reply) {
+    if (!question?.trim()) {
+      return await reply(
+        "What do you want to know? e.g. `ask what was the password the innkeeper gave us?`"
+      );
+    }
+
+    let answer = "";
+    try {
+      answer = await this.retrieval.answer(question, guild.id, campaign || null);
+    } catch (err) {
+      console.error("Could not answer question:", err);
+      return await reply(
+        "I couldn't search the archive right now. Make sure the embedding model is pulled and Ollama is running."
+      );
+    }
+
+    if (!answer) {
+      return await reply(
+        campaign
+          ? `I don't have anything archived for **${campaign}** that I could search.`
+          : "I don't have anything archived for this server that I could search."
+      );
+    }
+
+    for (const chunk of SplitMessage(answer)) {
+      if (chunk.trim().length > 0) {
+        await reply(chunk);
+      }
+    }
+  }
+
+  /**
+   * Core logic for reading and correcting a campaign's glossary
+   */
+  async coreHandleGlossary(guild, member, options, reply) {
+    const { subcommand, name, type, description, rename, into } = options;
+    const campaign = options.campaign || this.archive.getLatestCampaign(guild.id) || "";
+    const label = campaign ? `**${campaign}**` : "this server";
+    const { subcommands } = COMMAND_LIST.glossary;
+
+    if (subcommand) {
+      if (!this.isTrustee(guild, member)) {
+        return await reply("Only trustees of the current session or server managers can change the glossary.");
+      }
+      if (!name) {
+        return await reply(`Tell me which entry to ${subcommand}, e.g. \`glossary ${subcommand} Ireena\`.`);
+      }
+    }
+
+    switch (subcommand) {
+      case subcommands.edit: {
+        if (type && !GLOSSARY_TYPES.includes(type)) {
+          return await reply(`The type has to be one of: ${GLOSSARY_TYPES.join(", ")}.`);
+        }
+        if (!type && !description && !rename) {
+          return await reply("Tell me what to change with `--type`, `--desc` or `--rename`.");
+        }
+
+        const entry = this.glossary.editEntry(guild.id, campaign, name, { type, description, rename });
+        if (!entry) return await reply(`I couldn't find \`${name}\` in the glossary of ${label}.`);
+
+        return await reply(`Updated the glossary:\n${formatGlossaryEntry(entry)}`);
+      }
+      case subcommands.merge: {
+        if (!into) {
+          return await reply("Tell me which entry to keep with `--into <name>`.");
+        }
+
+        const entry = this.glossary.mergeEntries(guild.id, campaign, name, into);
+        if (!entry) {
+          return await reply(`I couldn't find two different entries for \`${name}\` and \`${into}\` in the glossary of ${label}.`);
+        }
+
+        return await reply(`Merged \`${name}\` into **${entry.name}**:\n${formatGlossaryEntry(entry)}`);
+      }
+      case subcommands.remove: {
+        const entry = this.glossary.removeEntry(guild.id, campaign, name);
+        if (!entry) return await reply(`I couldn't find \`${name}\` in the glossary of ${label}.`);
+
+        return await reply(`Removed **${entry.name}** from the glossary of ${label}.`);
+      }
+    }
+
+    const entries = this.archive.getGlossary(guild.id, campaign);
+
+    if (name) {
+      const matches = this.glossary.searchEntries(entries, name);
+      if (matches.length === 0) {
+        return await reply(`I couldn't find \`${name}\` in the glossary of ${label}.`);
+      }
+      if (matches.length > 1) {
+        return await reply(
+          `\`${name}\` could be any of: ${matches.map((entry) => entry.name).join(", ")}. Which one did you mean?`
+        );
+      }
+
+      return await reply(formatGlossaryEntry(matches[0]));
+    }
+
+    if (entries.length === 0) {
+      return await reply(`The glossary of ${label} is empty. It fills up as sessions are summarized.`);
+    }
+
+    let listMsg = `**Glossary of ${label}** (${entries.length} entries)\n`;
+    for (const glossaryType of GLOSSARY_TYPES) {
+      const names = entries
+        .filter((entry) => entry.type === glossaryType)
+        .map((entry) => entry.name);
+      if (names.length > 0) {
+        listMsg += `**${glossaryType}**: ${names.join(", ")}\n`;
+      }
+    }
+
+    for (const chunk of SplitMessage(listMsg)) {
+      await reply(chunk);
+    }
+  }
+
+  /**
+   * Core logic for setting and listing the character names players appear as
+   */
+  async coreHandleCharacter(guild, member, options, reply) {
+    const { subcommand, userId, name } = options;
+    const { subcommands } = COMMAND_LIST.character;
+
+    if (subcommand === subcommands.list) {
+      const characters = this.archive.getCharacters(guild.id);
+      if (characters.size === 0) {
+        return await reply("Nobody has set a character yet. Try `character set <name>`.");
+      }
+
+      let listMsg = "**Characters in this server:**\n";
+      for (const [id, character] of characters) {
+        const fetchMember = await guild.members.fetch(id).catch(() => null);
+        listMsg += `**${character}** played by ${fetchMember?.displayName ?? "someone who left"}\n`;
+      }
+
+      for (const chunk of SplitMessage(listMsg)) {
+        await reply(chunk);
+      }
+      return;
+    }
+
+    if (subcommand !== subcommands.set && subcommand !== subcommands.clear) {
+      return await reply(
+        "Try `character set <name>`, `character set @user <name>`, `character clear` or `character list`."
+      );
+    }
+
+    if (!userId) {
+      return await reply("I couldn't tell whose character that is.");
+    }
+    if (userId !== member?.id && !this.isTrustee(guild, member)) {
+      return await reply("Only trustees can change someone else's character.");
+    }
+
+    if (subcommand === subcommands.clear) {
+      this.archive.setCharacter(guild.id, userId, null);
+      return await reply("Done. They'll show up under their Discord name from the next session on.");
+    }
+
+    if (!name) {
+      return await reply("Tell me the character's name, e.g. `character set Brother Alden`.");
+    }
+
+    this.archive.setCharacter(guild.id, userId, name);
+    await reply(`Got it, they'll show up as **${name}** from the next session on.`);
+  }
+
+  /**
+   * Core logic for the names and words whisper is primed with
+   */
+  async coreHandleVocab(guild, member, options, reply) {
+    const { subcommand, term, campaign } = options;
+    const { subcommands } = COMMAND_LIST.vocab;
+    const label = campaign ? `**${campaign}**` : "this server";
+
+    if (subcommand === subcommands.list) {
+      const vocabulary = this.archive.getVocabulary(guild.id, campaign || null);
+      if (vocabulary.length === 0) {
+        return await reply(`There are no vocab terms for ${label} yet. Trustees can add some with \`vocab add <term>\`.`);
+      }
+
+      const listMsg =
+        `**Vocab for ${campaign || "this server"}:**\n` +
+        vocabulary
+          .map((v) => (v.campaign ? `${v.term} *(${v.campaign})*` : v.term))
+          .join("\n");
+      for (const chunk of SplitMessage(listMsg)) {
+        await reply(chunk);
+      }
+      return;
+    }
+
+    if (subcommand !== subcommands.add && subcommand !== subcommands.remove) {
+      return await reply("Try `vocab list`, `vocab add <term>` or `vocab remove <term>`.");
+    }
+    if (!this.isTrustee(guild, member)) {
+      return await reply("Only trustees of the current session or server managers can change the vocab list.");
+    }
+    if (!term) {
+      return await reply(`Tell me which term to ${subcommand}, e.g. \`vocab ${subcommand} Vallaki\`.`);
+    }
+
+    const changed =
+      subcommand === subcommands.add
+        ? this.archive.addVocabulary(guild.id, campaign, term)
+        : this.archive.removeVocabulary(guild.id, campaign, term);
+
+    // A running session picks the change up from its next utterance on
+    this.sessionManager.get(guild.id)?.loadVocabulary();
+
+    if (subcommand === subcommands.add) {
+      await reply(changed ? `Added \`${term}\` to the vocab of ${label}.` : `\`${term}\` is already in the vocab of ${label}.`);
+    } else {
+      await reply(changed ? `Removed \`${term}\` from the vocab of ${label}.` : `I couldn't find \`${term}\` in the vocab of ${label}.`);
+    }
+  }
+
+  /**
+   * Core logic for the summary styles picked with --style
+   */
+  async coreHandleStyle(guild, member, options, reply) {
+    const { subcommand, instructions } = options;
+    const name = options.name.toLowerCase();
+    const { subcommands } = COMMAND_LIST.style;
+
+    if (subcommand === subcommands.list) {
+      const listMsg =
+        "**Summary styles:**\n" +
+        ListStyles(this.archive.getSummaryStyles(guild.id))
+          .map((style) => `\`${style.name}\`${style.custom ? " *(this server)*" : ""} - ${style.description}`)
+          .join("\n");
+      for (const chunk of SplitMessage(listMsg)) {
+        await reply(chunk);
+      }
+      return;
+    }
+
+    if (subcommand !== subcommands.add && subcommand !== subcommands.remove) {
+      return await reply("Try `style list`, `style add <name> <instructions>` or `style remove <name>`.");
+    }
+    if (!this.isTrustee(guild, member)) {
+      return await reply("Only trustees of the current session or server managers can change the summary styles.");
+    }
+    if (!STYLE_NAME.test(name)) {
+      return await reply(`Give the style a short name of letters, numbers, - and _, e.g. \`style ${subcommand} haiku\`.`);
+    }
+    if (ListStyles().some((style) => style.name === name)) {
+      return await reply(`\`${name}\` is one of the configured styles, so it can only be changed in the config.`);
+    }
+
+    if (subcommand === subcommands.remove) {
+      const removed = this.archive.removeSummaryStyle(guild.id, name);
+      return await reply(removed ? `Removed the \`${name}\` style.` : `This server has no \`${name}\` style.`);
+    }
+
+    if (!instructions.trim()) {
+      return await reply(`Tell me how the summary should be written, e.g. \`style add ${name} Write every scene as a haiku.\``);
+    }
+
+    const added = this.archive.setSummaryStyle(guild.id, name, instructions.trim());
+    await reply(
+      `${added ? "Added" : "Updated"} the \`${name}\` style. Pick it with \`--style ${name}\` on start or stop.`
+    );
+  }
+
+  // ==========================================
+  // CRASH RECOVERY
+  // ==========================================
+
+  /**
+   * Looks for sessions that were never stopped (the bot died mid-session) and
+   * asks each one's GM, in the original text channel, whether to resume or summarize it.
+   * Unanswered offers are made again on the next startup.
+   *
+   * @returns {Promise<void>}
+   */
+  async offerUnfinishedSessions() {
+    let unfinished = [];
+    try {
+      unfinished = this.archive.listUnfinishedSessions();
+    } catch (err) {
+      console.error("Could not look for unfinished sessions:", err);
+      return;
+    }
+
+    for (const record of unfinished) {
+      try {
+        await this.offerResume(record);
+      } catch (err) {
+        console.error(`Could not offer to resume session [${record.id}]:`, err);
+      }
+    }
+  }
+
+  /**
+   * Posts the resume offer for one unfinished session and handles the GM's choice
+   *
+   * @param {import("@/lib/storage/ArchiveHandler.js").ArchivedSession} record
+   *
+   * @returns {Promise<void>}
+   */
+  async offerResume(record) {
+    const textChannel = record.textChannelId
+      ? await this.client.channels.fetch(record.textChannelId).catch(() => null)
+      : null;
+    if (!textChannel) {
+      console.warn(`Unfinished session [${record.id}] has no reachable text channel`);
+      return;
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("resume")
+        .setLabel("Resume recording")
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId("summarize")
+        .setLabel("Summarize what I have")
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId("discard")
+        .setLabel("Discard")
+        .setStyle(ButtonStyle.Danger),
+    );
+
+    const offer = await textChannel.send({
+      content:
+        `${record.gmId ? `<@${record.gmId}> ` : ""}I went down in the middle of session \`${ShortId(record.id)}\` ` +
+        `(started <t:${Math.floor(record.startedAt / 1000)}:f>), but I kept everything I captured. ` +
+        "Do you want me to rejoin and keep recording, or summarize what I have?",
+      components: [buttons],
+    });
+
+    const trustees = new Set(record.trustees);
+    const collector = offer.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      time: COLLECTOR_DURATION,
+    });
+
+    collector.on("collect", async (interaction) => {
+      if (!trustees.has(interaction.user.id)) {
+        await interaction.reply({
+          content: "Only the GM or a trustee of that session can decide this.",
+          ephemeral: true,
+        });
+        return;
+      }
+
+      const live = this.sessionManager.get(record.guildId);
+      if (
+        live &&
+        (live.getSessionState() === SESSION_STATES.playing ||
+          live.getSessionState() === SESSION_STATES.paused)
+      ) {
+        await interaction.reply({
+          content: "There's already a session running in this server. Stop it first.",
+          ephemeral: true,
+        });
+        return;
+      }
+
+      collector.stop(interaction.customId);
+      await interaction.update({ components: [] });
+
+      // The checkpoint stays as it is when this fails, so the offer comes back on the next start
+      try {
+        switch (interaction.customId) {
+          case "resume": {
+            await this.resumeSession(record, textChannel);
+            break;
+          }
+          case "summarize": {
+            await this.summarizeUnfinishedSession(record, textChannel);
+            break;
+          }
+          case "discard": {
+            this.archive.discardSession(record.id);
+            await textChannel.send(`Session \`${ShortId(record.id)}\` has been discarded.`);
+            break;
+          }
+        }
+      } catch (err) {
+        console.error(`Could not ${interaction.customId} unfinished session [${record.id}]:`, err);
+        await textChannel
+          .send(
+            `Something went wrong with session \`${ShortId(record.id)}\`: ${err.message}\n` +
+              "-# Everything I captured is still saved, so I'll ask again the next time I start up.",
+          )
+          .catch(() => {});
+      }
+    });
+
+    collector.on("end", async (_, reason) => {
+      if (reason === "time") {
+        await offer
+          .edit({
+            content: `${offer.content}\n-# No answer, so I'll ask again the next time I start up.`,
+            components: [],
+          })
+          .catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Rebuilds a SessionController for an unfinished session, keeping its original id and start time
+   *
+   * @param {import("@/lib/storage/ArchiveHandler.js").ArchivedSession} record
+   * @param {import("discord.js").TextBasedChannel} textChannel
+   * @param {import("discord.js").VoiceBasedChannel | null} voiceChannel
+   *
+   * @returns {SessionController}
+   */
+  restoreSession(record, textChannel, voiceChannel) {
+    const session = new SessionController(
+      this.client,
+      record.guildId,
+      new Map(Object.entries(record.nicknames)),
+      new Set(record.players),
+      new Set(record.trustees),
+      voiceChannel,
+      textChannel,
+      {
+        gmId: record.gmId,
+        archive: this.archive,
+        sessionId: record.id,
+        sessionStart: record.startedAt,
+        campaign: record.campaign,
+        displayNames: new Map(Object.entries(record.displayNames)),
+        exportFormats: record.exportFormats,
+        summaryStyles: record.summaryStyles,
+        record: record.recorded,
+      }
+    );
+    session.restoreCheckpoint();
+
+    return session;
+  }
+
+  /**
+   * Rejoins the original voice channel and keeps recording an unfinished session
+   */
+  async resumeSession(record, textChannel) {
+    const voiceChannel = record.voiceChannelId
+      ? await this.client.channels.fetch(record.voiceChannelId).catch(() => null)
+      : null;
+    if (!voiceChannel) {
+      await textChannel.send(
+        "I couldn't find the original voice channel anymore, so I'll summarize what I have instead."
+      );
+      return await this.summarizeUnfinishedSession(record, textChannel);
+    }
+
+    const session = this.restoreSession(record, textChannel, voiceChannel);
+    await session.start();
+    this.sessionManager.set(record.guildId, session);
+
+    await textChannel.send(`Rejoined ${voiceChannel} and picked session \`${ShortId(record.id)}\` back up.`);
+  }
+
+  /**
+   * Summarizes an unfinished session from its checkpoint without rejoining the call
+   */
+  async summarizeUnfinishedSession(record, textChannel) {
+    const session = this.restoreSession(record, textChannel, null);
+
+    await textChannel.send(
+      `Summarizing session \`${ShortId(record.id)}\`. ETA is roughly ${session.getETA()} minute(s)`
+    );
+
+    await this.closeSession(record.guildId, session);
+  }
+}
+
+/**
+ * Renders a glossary entry for Discord
+ *
+ * @param {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry} entry
+ *
+ * @returns {string}
+ */
+function formatGlossaryEntry(entry) {
+  let text = `**${entry.name}** (${entry.type})\n${entry.description || "No description yet."}`;
+
+  if (entry.aliases.length > 0) text += `\n-# Also heard as: ${entry.aliases.join(", ")}`;
+  if (entry.related.length > 0) text += `\n-# Related: ${entry.related.join(", ")}`;
+  if (entry.firstSessionId) {
+    text += `\n-# First seen in \`${ShortId(entry.firstSessionId)}\`, last seen in \`${ShortId(entry.lastSessionId ?? entry.firstSessionId)}\``;
+  }
+
+  return text;
+}
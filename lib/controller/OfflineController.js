@@ -0,0 +1,297 @@
+import fs from "node:fs";
+import path from "node:path";
+import prism from "prism-media";
+import { DEFAULT_EXPORT_FORMATS } from "@/lib/static/Constants.js";
+import { CreateLogEntry, FindWavChunk, MergeTurns, ParseDuration, WavDuration } from "@/lib/static/Utils.js";
+import { ExportTranscript } from "@/lib/static/TranscriptFormats.js";
+import { ClipRejection } from "@/lib/static/TranscriptFilters.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+
+/**
+ * The audio files the offline runner picks up from a folder
+ * @constant {string[]}
+ */
+const AUDIO_EXTENSIONS = [".wav", ".ogg"];
+
+/**
+ * Runs the session pipeline without Discord: audio folders are transcribed through the
+ * configured whisper endpoint (or an existing transcript is read back in), then summarized
+ * and written out as files. Meant for re-processing old sessions and debugging prompts.
+ */
+export default class OfflineController {
+  /** @type {string | null} */
+  sessionId = null;
+
+  /** @type {Map<string, string>} */
+  nicknames = new Map();
+
+  /** @type {ModelHandler | null} */
+  modelHandler = null;
+
+  /**
+   * @param {string} sessionId - Used in the names of the files written out
+   * @param {Map<string, string>} [characters] - Speaker to the name they appear as, speakers without one keep their own name
+   */
+  constructor(sessionId, characters = new Map()) {
+    this.sessionId = sessionId;
+    this.nicknames = new Map(characters);
+    this.modelHandler = new ModelHandler(this.nicknames, 0);
+  }
+
+  /**
+   * Transcribes every utterance in a folder, in the order they were spoken.
+   * Speakers and offsets come from a manifest when there is one, otherwise from
+   * file names like `<speaker>-<offsetMs>.wav` (the layout `start --record` writes).
+   *
+   * @param {string} directory
+   * @param {string | null} [manifestPath] - Defaults to `manifest.json` inside the folder, if present
+   *
+   * @returns {Promise<number>} How many utterances were transcribed, not counting the ones that couldn't be decoded or whisper failed on
+   */
+  async transcribeFolder(directory, manifestPath = null) {
+    const utterances = this.listUtterances(directory, manifestPath);
+
+    // Only real character names are worth priming whisper with, not speaker ids
+    this.modelHandler.setVocabulary([...this.nicknames.values()]);
+    for (const speaker of new Set(utterances.map((u) => u.speaker))) {
+      if (!this.nicknames.has(speaker)) this.nicknames.set(speaker, speaker);
+    }
+
+    let done = 0;
+    let failed = 0;
+    for (const utterance of utterances) {
+      done++;
+
+      // One file that can't be decoded or transcribed shouldn't lose the rest of a long run
+      try {
+        const buffer = await decodeAudio(utterance.path);
+
+        const rejection = ClipRejection(buffer);
+        if (rejection) {
+          console.log(`[${done}/${utterances.length}] ${path.basename(utterance.path)} skipped: ${rejection}`);
+          continue;
+        }
+
+        await this.modelHandler.addTranscription({
+          userId: utterance.speaker,
+          start: utterance.offset,
+          end: utterance.offset + WavDuration(buffer),
+          buffer,
+        });
+      } catch (err) {
+        console.error(`Could not transcribe ${path.basename(utterance.path)}:`, err.message);
+        failed++;
+      }
+
+      console.log(`[${done}/${utterances.length}] ${path.basename(utterance.path)}`);
+    }
+
+    if (failed > 0) {
+      console.warn(`${failed} utterance(s) could not be transcribed and are missing from the summary`);
+    }
+
+    return utterances.length - failed;
+  }
+
+  /**
+   * Works out who spoke when in a folder of audio files
+   *
+   * @param {string} directory
+   * @param {string | null} manifestPath
+   *
+   * @returns {{ speaker: string, offset: number, path: string }[]} Oldest first
+   */
+  listUtterances(directory, manifestPath) {
+    const manifest = manifestPath ?? path.join(directory, "manifest.json");
+
+    let utterances;
+    if (fs.existsSync(manifest)) {
+      // [{ "file": "thistle-1.ogg", "speaker": "Thistle", "offset": 61000 }, ...]
+      utterances = JSON.parse(fs.readFileSync(manifest, "utf8")).map((item) => ({
+        speaker: String(item.speaker),
+        offset: Number(item.offset) || 0,
+        path: path.resolve(directory, item.file),
+      }));
+    } else {
+      utterances = [];
+      for (const file of fs.readdirSync(directory)) {
+        if (!AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+        const match = path.parse(file).name.match(/^(.+)-(\d+)$/);
+        if (!match) {
+          console.warn(`Skipping ${file}, expected a name like <speaker>-<offsetMs>.wav`);
+          continue;
+        }
+        utterances.push({
+          speaker: match[1],
+          offset: Number(match[2]),
+          path: path.join(directory, file),
+        });
+      }
+    }
+
+    return utterances.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Reads a transcript the bot wrote earlier back into the session log. Understands the
+   * plain `<Name [HH:MM:SS:mmm]>` transcript, the JSON export and untimed `<Name>` blocks.
+   *
+   * @param {string} filePath
+   *
+   * @returns {number} How many entries were read
+   */
+  loadTranscript(filePath) {
+    const raw = fs.readFileSync(filePath, "utf8");
+
+    const entries =
+      path.extname(filePath).toLowerCase() === ".json"
+        ? JSON.parse(raw).entries
+        : parseTranscriptText(raw);
+
+    const logEntries = entries.map((entry) => {
+      const speaker = entry.userId ?? entry.name;
+      const name = this.nicknames.get(speaker) ?? entry.name;
+      this.nicknames.set(speaker, name);
+
+      return CreateLogEntry(speaker, name, entry.start, entry.end, entry.text, entry.displayName);
+    });
+    this.modelHandler.sessionLog.push(...MergeTurns(logEntries));
+
+    return entries.length;
+  }
+
+  /**
+   * Runs the summarizer and critic over the session log
+   *
+   * @param {import("@/lib/static/SummaryStyles.js").SummaryStyle | null} [style] - Summarizes a copy of the log in this style instead of the handler's own
+   *
+   * @returns {Promise<string>}
+   */
+  async summarize(style = null) {
+    const handler = style ? this.modelHandler.forStyle(style) : this.modelHandler;
+    return await handler.getCriticSummary();
+  }
+
+  /**
+   * Writes a summary to a folder
+   *
+   * @param {string} outDir
+   * @param {string} summary
+   * @param {string | null} [styleName] - Added to the file name, for the summaries in other styles
+   *
+   * @returns {string} The path written
+   */
+  writeSummary(outDir, summary, styleName = null) {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const summaryPath = path.join(outDir, `Summary-${this.sessionId}${styleName ? `-${styleName}` : ""}.md`);
+    fs.writeFileSync(summaryPath, summary || "No summary generated.");
+
+    return summaryPath;
+  }
+
+  /**
+   * Writes the summary and the transcript in each format to a folder
+   *
+   * @param {string} outDir
+   * @param {string} summary
+   * @param {string[]} [formats]
+   *
+   * @returns {string[]} The paths written
+   */
+  writeOutputs(outDir, summary, formats = DEFAULT_EXPORT_FORMATS) {
+    const written = [this.writeSummary(outDir, summary)];
+    for (const format of formats) {
+      const { name, content } = ExportTranscript(format, this.modelHandler.sessionLog, {
+        id: this.sessionId,
+      });
+      const filePath = path.join(outDir, name);
+      fs.writeFileSync(filePath, content);
+      written.push(filePath);
+    }
+
+    return written;
+  }
+}
+
+/**
+ * Parses the bot's plain text transcript, with or without timestamps
+ *
+ * @param {string} raw
+ *
+ * @returns {{ name: string, displayName: string | null, start: number, end: number, text: string }[]}
+ */
+function parseTranscriptText(raw) {
+  const blocks = raw.matchAll(
+    /<([^>\n]+?)(?: \[([\d:]+)\])?>\n?([\s\S]*?)<\/\1(?: \[([\d:]+)\])?>/g,
+  );
+
+  const entries = [];
+  for (const [, speaker, start, text, end] of blocks) {
+    // "Thistle (xXSlayer99Xx)" when the transcript showed Discord names
+    const [, name, displayName = null] = speaker.match(/^(.+?)(?: \((.+)\))?$/);
+    const previousEnd = entries.at(-1)?.end ?? 0;
+
+    entries.push({
+      name,
+      displayName,
+      start: ParseDuration(start) ?? previousEnd,
+      end: ParseDuration(end) ?? ParseDuration(start) ?? previousEnd,
+      text: text.trim(),
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Whether a WAV file already is the 16-bit 16kHz mono PCM whisper expects
+ *
+ * @param {Buffer} wav
+ *
+ * @returns {boolean}
+ */
+function isWhisperWav(wav) {
+  const format = FindWavChunk(wav, "fmt ");
+  if (!format || format.end - format.start < 16) return false;
+
+  // Format, channels and sample rate lead the fmt chunk, bits per sample sit 14 bytes in
+  return (
+    wav.readUInt16LE(format.start) === 1 &&
+    wav.readUInt16LE(format.start + 2) === 1 &&
+    wav.readUInt32LE(format.start + 4) === 16000 &&
+    wav.readUInt16LE(format.start + 14) === 16
+  );
+}
+
+/**
+ * Reads an audio file as the 16kHz mono WAV whisper expects, converting anything else with FFmpeg
+ * (WAVs in another sample rate or with more channels included)
+ *
+ * @param {string} filePath
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function decodeAudio(filePath) {
+  if (path.extname(filePath).toLowerCase() === ".wav") {
+    const wav = fs.readFileSync(filePath);
+    if (isWhisperWav(wav)) return wav;
+  }
+
+  const { command } = prism.FFmpeg.getInfo();
+  const proc = Bun.spawn(
+    [command, "-loglevel", "error", "-i", filePath, "-ar", "16000", "-ac", "1", "-f", "wav", "-"],
+    { stdout: "pipe", stderr: "pipe" },
+  );
+
+  const [wav, exitCode] = await Promise.all([
+    new Response(proc.stdout).arrayBuffer(),
+    proc.exited,
+  ]);
+  if (exitCode !== 0) {
+    throw new Error(`FFmpeg could not decode ${filePath}: ${await new Response(proc.stderr).text()}`);
+  }
+
+  return Buffer.from(wav);
+}
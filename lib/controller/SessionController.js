@@ -1,8 +1,25 @@
-import { COLLECTOR_DURATION, SESSION_STATES } from "@/lib/static/Constants.js";
-import { SplitMessage } from "@/lib/static/Utils.js";
+import {
+  COLLECTOR_DURATION,
+  DEFAULT_EXPORT_FORMATS,
+  RECAP_SESSIONS,
+  RECORDING_MIX,
+  SESSION_STATES,
+  STATUS_MESSAGE,
+  STATUS_UPDATE_INTERVAL,
+  TRANSCRIPT_DISPLAY_NAMES,
+} from "@/lib/static/Constants.js";
+import { FormatDuration, ShortId, SplitMessage, SplitTurns, TurnSegments } from "@/lib/static/Utils.js";
+import { ExportTranscript } from "@/lib/static/TranscriptFormats.js";
+import { FindStyle, ParseStyles } from "@/lib/static/SummaryStyles.js";
 import ModelHandler from "@/lib/session/ModelHandler.js";
 import CallHandler from "@/lib/session/CallHandler.js";
 import QueueHandler from "@/lib/session/QueueHandler.js";
+import StreamHandler from "@/lib/session/StreamHandler.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import CheckpointHandler from "@/lib/storage/CheckpointHandler.js";
+import RecordingHandler from "@/lib/storage/RecordingHandler.js";
+import RetrievalHandler from "@/lib/storage/RetrievalHandler.js";
+import GlossaryHandler from "@/lib/storage/GlossaryHandler.js";
 import { AttachmentBuilder } from "discord.js";
 
 export default class SessionController {
@@ -27,6 +44,9 @@ export default class SessionController {
   /** @type {Map<string, string> | null} */
   nicknames = null;
 
+  /** @type {Map<string, string>} */
+  displayNames = new Map();
+
   /** @type {Set<string> | null} */
   players = null;
 
@@ -42,19 +62,55 @@ export default class SessionController {
   /** @type {string | null} */
   guildId = null;
 
+  /** @type {string | null} */
+  gmId = null;
+
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {CheckpointHandler | null} */
+  checkpoint = null;
+
+  /** @type {RecordingHandler | null} */
+  recorder = null;
+
+  /** @type {string | null} */
+  campaign = null;
+
+  /** @type {string[]} */
+  exportFormats = [];
+
+  /** @type {string[]} The styles to summarize the session in, the first is the one the feedback thread revises */
+  summaryStyles = [];
+
   /** @type {number | null} */
   sessionStart = null;
 
   /** @type {boolean} */
   sessionPaused = false;
 
+  /** @type {number | null} */
+  stoppedAt = null;
+
+  /** @type {boolean} */
+  summarizing = false;
+
+  /** @type {import("discord.js").Message | null} */
+  statusMessage = null;
+
+  /** @type {ReturnType<typeof setInterval> | null} */
+  statusTimer = null;
+
   /**
    * @param {import("discord.js").Client} client
    * @param {string} guildId
    * @param {Map<string, string>} nicknames
    * @param {Set<string> | null} players
+   * @param {Set<string> | null} trustees
    * @param {import("@discordjs/voice").VoiceBasedChannel | null} voiceChannel
    * @param {import("discord.js").TextBasedChannel | null} textChannel
+   * @param {{ gmId?: string, archive?: ArchiveHandler, sessionId?: string, sessionStart?: number, campaign?: string | null, displayNames?: Map<string, string>, exportFormats?: string[], summaryStyles?: string[], record?: boolean }} options
+   * Pass sessionId and sessionStart to resume a session recovered from the archive
    */
   constructor(
     client,
@@ -64,10 +120,11 @@ export default class SessionController {
     trustees,
     voiceChannel,
     textChannel,
+    options = {},
   ) {
     this.sessionState = SESSION_STATES.idle;
-    this.sessionId = crypto.randomUUID();
-    this.sessionStart = Date.now();
+    this.sessionId = options.sessionId ?? crypto.randomUUID();
+    this.sessionStart = options.sessionStart ?? Date.now();
     this.client = client;
     this.guildId = guildId;
     this.nicknames = nicknames;
@@ -75,14 +132,35 @@ export default class SessionController {
     this.trustees = trustees;
     this.voiceChannel = voiceChannel;
     this.textChannel = textChannel;
-
-    this.modelHandler = new ModelHandler(this.nicknames, this.sessionStart);
-    this.queueHandler = new QueueHandler(this.modelHandler);
+    this.gmId = options.gmId ?? null;
+    this.archive = options.archive ?? null;
+    this.campaign = options.campaign ?? null;
+    this.displayNames = options.displayNames ?? new Map();
+    this.exportFormats = options.exportFormats ?? [];
+    this.summaryStyles = options.summaryStyles ?? [];
+    this.checkpoint = this.archive
+      ? new CheckpointHandler(this.archive, this.sessionId)
+      : null;
+    this.recorder = options.record
+      ? new RecordingHandler(this.archive, this.sessionId, this.sessionStart)
+      : null;
+
+    this.modelHandler = new ModelHandler(
+      this.nicknames,
+      this.sessionStart,
+      this.checkpoint,
+      this.displayNames,
+    );
+    // Chunks are summarized during the session, so they're written in the style picked at start
+    this.modelHandler.setStyle(this.getStyles()[0]);
+    this.queueHandler = new QueueHandler(this.modelHandler, this.checkpoint);
+    this.queueHandler.onWhisperOutage = (down) => this.reportWhisperOutage(down);
     this.callHandler = new CallHandler(
       this.guildId,
       this.voiceChannel,
       this.players,
       this.queueHandler,
+      this.recorder,
     );
   }
 
@@ -95,13 +173,57 @@ export default class SessionController {
 
     await this.callHandler.joinCall();
 
+    try {
+      this.archive?.createSession(this.getArchiveRecord());
+    } catch (err) {
+      console.error(`Could not checkpoint session [${this.sessionId}]:`, err);
+    }
+
+    this.loadCampaignRecap();
+    this.loadVocabulary();
+
+    if (this.recorder) {
+      await this.textChannel.send(
+        `🔴 **This session is being recorded.** Everyone's voice in ${this.voiceChannel} is saved on my host's disk until they delete it.`,
+      );
+    }
+
     this.sessionState = SESSION_STATES.playing;
+
+    await this.startStatusMessage();
+  }
+
+  /**
+   * Reloads the transcript captured before the bot went down and
+   * re-queues any audio that never made it through whisper.
+   *
+   * @returns {{ entries: number, jobs: number }} How much was recovered
+   */
+  restoreCheckpoint() {
+    if (!this.checkpoint) return { entries: 0, jobs: 0 };
+
+    const { entries, jobs } = this.checkpoint.restore();
+
+    this.loadVocabulary();
+    // The restored log may already be long enough to start summarizing, with the recap as context
+    this.loadCampaignRecap();
+    this.modelHandler.restoreLog(entries);
+    for (const job of jobs) {
+      this.queueHandler.enqueue(job);
+    }
+
+    console.log(
+      `Session [${this.sessionId}] restored ${entries.length} entries and ${jobs.length} pending jobs`,
+    );
+
+    return { entries: entries.length, jobs: jobs.length };
   }
 
   /**
    * Pauses the current session by destroying the voice connection,
-   * waiting for all transcription jobs to finish, summarizing the
-   * current chat log, and resetting the log with the new summary context.
+   * waiting for all transcription jobs to finish, and posting a summary
+   * of everything since the last pause. That summary is carried into the
+   * rest of the session as context.
    *
    * @returns {Promise<void>}
    */
@@ -114,11 +236,32 @@ export default class SessionController {
       return;
 
     await this.callHandler.leaveCall();
-    
-    console.log(`Session ${this.sessionId} paused. Awaiting unpause...`);
 
     this.sessionPaused = true;
     this.sessionState = SESSION_STATES.paused;
+    await this.updateStatusMessage();
+
+    console.log(`Session ${this.sessionId} paused. Summarizing the session so far...`);
+
+    await this.queueHandler.finishTranscriptionQueue();
+    const interimSummary = await this.modelHandler.getInterimSummary();
+
+    if (interimSummary === null) {
+      await this.textChannel.send("⏸️ Nobody said anything since the last break, so there's nothing new to summarize.");
+    } else if (interimSummary.length === 0) {
+      await this.textChannel.send(
+        "⏸️ I couldn't summarize this part of the session, but it'll still be covered by the final summary.",
+      );
+    } else {
+      await this.textChannel.sendTyping();
+      for (const summary of SplitMessage(`⏸️ **The story so far:**\n${interimSummary}`)) {
+        if (summary.trim().length > 0) {
+          await this.textChannel.send({ content: summary });
+        }
+      }
+    }
+
+    console.log(`Session ${this.sessionId} paused. Awaiting unpause...`);
   }
 
   /**
@@ -140,6 +283,7 @@ export default class SessionController {
 
     this.sessionPaused = false;
     this.sessionState = SESSION_STATES.playing;
+    await this.updateStatusMessage();
   }
 
   /**
@@ -148,9 +292,12 @@ export default class SessionController {
    * summary + transcript to the text channel, and opens a feedback thread
    * for the GM to refine the summary.
    *
+   * @param {string[]} [formats] - The transcript formats to post, defaults to the ones picked at start
+   * @param {string[]} [styles] - The styles to summarize in, defaults to the ones picked at start
+   *
    * @returns {Promise<void>}
    */
-  async stop() {
+  async stop(formats = [], styles = []) {
     await this.callHandler.leaveCall();
 
     console.log(
@@ -159,29 +306,62 @@ export default class SessionController {
 
     this.sessionState = SESSION_STATES.revising;
     this.sessionPaused = false;
+    this.stoppedAt = Date.now();
+    this.summarizing = true;
+
+    let transcripts;
+    // A summary that throws mustn't leave the status message ticking over a session that never finishes
+    try {
+      await this.updateStatusMessage();
+
+      this.loadCampaignRecap();
+      await this.queueHandler.finishTranscriptionQueue();
+
+      if (this.queueHandler.deadLetters.length > 0) {
+        console.log(
+          `Session [${this.sessionId}] retrying ${this.queueHandler.deadLetters.length} clips whisper failed on`,
+        );
+        await this.queueHandler.retryDeadLetters();
+      }
 
-    await this.queueHandler.finishTranscriptionQueue();
+      if (styles.length > 0) this.summaryStyles = styles;
+      const [mainStyle, ...otherStyles] = this.getStyles();
+      if (mainStyle.name !== this.modelHandler.style?.name) {
+        await this.modelHandler.restyle(mainStyle);
+      }
 
-    const summaryContent = await this.modelHandler.getCriticSummary();
-    const transcriptContent = await this.modelHandler.getTranscript();
+      await this.textChannel.sendTyping();
 
-    const transcript = new AttachmentBuilder(
-      Buffer.from(transcriptContent || "No transcript available.", "utf8"),
-      { name: `Transcript-${this.sessionId}.txt` },
-    );
+      const summaryStream = new StreamHandler(this.textChannel);
+      let summaryContent = null;
+      try {
+        summaryContent = await this.modelHandler.getCriticSummary(summaryStream);
+      } finally {
+        // The transcript outlives a summary that failed, so it's archived either way
+        this.archiveSession(summaryContent);
+      }
+
+      transcripts = this.getTranscriptFiles(formats);
 
-    await this.textChannel.sendTyping();
+      const lost = this.queueHandler.deadLetters.length;
+      await summaryStream.finish(
+        (summaryContent || "No summary generated.") +
+          (lost > 0 ? `\n-# ⚠️ ${lost} utterance(s) could not be transcribed and are missing from this summary.` : ""),
+      );
 
-    const finalSummary = summaryContent || "No summary generated.";
-    for (const summary of SplitMessage(finalSummary)) {
-      if (summary.trim().length > 0) {
-        await this.textChannel.send({ content: summary });
+      for (const style of otherStyles) {
+        await this.postStyledSummary(style);
       }
+    } finally {
+      this.summarizing = false;
+      await this.stopStatusMessage();
     }
 
     const transcriptMessage = await this.textChannel.send({
-      files: [transcript],
+      files: transcripts,
     });
+
+    this.renderRecording();
     console.log(
       `Summary finished. Sending to channel [${this.textChannel.id}] and awaiting feedback.`,
     );
@@ -208,14 +388,22 @@ export default class SessionController {
       await feedback.react("🔄");
 
       console.log(`User asked: ${feedback.content}`);
-      const revised = await this.modelHandler.getSummaryEdit(feedback.content);
-
-      const finalRevised = revised || "I could not generate a revised summary.";
-      for (const chunk of SplitMessage(finalRevised)) {
-        if (chunk.trim().length > 0) {
-          await thread.send({ content: chunk });
+      const revisionStream = new StreamHandler(thread);
+      const revised = await this.modelHandler.getSummaryEdit(feedback.content, revisionStream);
+
+      if (revised) {
+        try {
+          this.archive?.addFeedbackRevision(
+            this.sessionId,
+            feedback.content,
+            revised,
+          );
+        } catch (err) {
+          console.error("Could not archive feedback revision:", err);
         }
       }
+
+      await revisionStream.finish(revised || "I could not generate a revised summary.");
     });
 
     collector.on("end", async () => {
@@ -225,6 +413,215 @@ export default class SessionController {
     });
   }
 
+  /**
+   * Resolves the session's style names against the config and the guild's own styles.
+   * Styles that were removed since they were picked are skipped, the default style stands in if none are left.
+   *
+   * @returns {import("@/lib/static/SummaryStyles.js").SummaryStyle[]}
+   */
+  getStyles() {
+    let guildStyles = [];
+    try {
+      guildStyles = this.archive?.getSummaryStyles(this.guildId) ?? [];
+    } catch (err) {
+      console.error("Could not load the guild's summary styles:", err);
+    }
+
+    const { styles } = ParseStyles(this.summaryStyles, guildStyles);
+    return styles.length > 0 ? styles : [FindStyle()];
+  }
+
+  /**
+   * Summarizes the session again in another style and posts it under the style's name.
+   * The transcript is reused, so nothing is transcribed twice.
+   *
+   * @param {import("@/lib/static/SummaryStyles.js").SummaryStyle} style
+   *
+   * @returns {Promise<void>}
+   */
+  async postStyledSummary(style) {
+    const stream = new StreamHandler(this.textChannel);
+
+    let content = "";
+    try {
+      content = await this.modelHandler.forStyle(style).getCriticSummary(stream);
+    } catch (err) {
+      console.error(`Could not summarize session [${this.sessionId}] in the ${style.name} style:`, err);
+    }
+
+    await stream.finish(`**${style.name}**\n${content || "No summary generated."}`);
+  }
+
+  /**
+   * Hands the campaign's earlier sessions to the model so it can build a recap to use as context.
+   * Does nothing outside of a campaign or if the recap is already underway.
+   *
+   * @returns {void}
+   */
+  loadCampaignRecap() {
+    if (!this.campaign || !this.archive) return;
+    if (this.modelHandler.campaignRecapTask) return;
+
+    try {
+      const previousSessions = this.archive.getCampaignSummaries(
+        this.guildId,
+        this.campaign,
+        RECAP_SESSIONS,
+        this.sessionId,
+      );
+      this.modelHandler.loadCampaignRecap(previousSessions);
+    } catch (err) {
+      console.error(`Could not load the recap for campaign [${this.campaign}]:`, err);
+    }
+  }
+
+  /**
+   * Mixes a recorded session into a single track in the background and
+   * lets the channel know where its audio ended up
+   *
+   * @returns {void}
+   */
+  renderRecording() {
+    if (!this.recorder) return;
+
+    const render = RECORDING_MIX ? this.recorder.renderMix() : Promise.resolve(null);
+    render
+      .then((mixPath) =>
+        this.textChannel.send(
+          mixPath
+            ? `-# The recording of this session was saved on my host as \`${mixPath}\`, with each line on its own in \`${this.recorder.directory}\`.`
+            : `-# The recording of this session was saved on my host in \`${this.recorder.directory}\`.`,
+        ),
+      )
+      .catch((err) => console.error(`Could not announce the recording of session [${this.sessionId}]:`, err));
+  }
+
+  /**
+   * Renders the transcript as attachments, one per format
+   *
+   * @param {string[]} [formats] - Falls back to the formats picked at start, then to DEFAULT_EXPORT_FORMATS
+   *
+   * @returns {AttachmentBuilder[]}
+   */
+  getTranscriptFiles(formats = []) {
+    const picked = [formats, this.exportFormats, DEFAULT_EXPORT_FORMATS].find(
+      (list) => list.length > 0,
+    );
+    const record = {
+      ...this.getArchiveRecord(),
+      displayNames: TRANSCRIPT_DISPLAY_NAMES ? Object.fromEntries(this.displayNames) : {},
+    };
+
+    return picked.map((format) => {
+      const { name, content } = ExportTranscript(format, this.modelHandler.sessionLog, record);
+      return new AttachmentBuilder(Buffer.from(content, "utf8"), { name });
+    });
+  }
+
+  /**
+   * Gathers the names whisper should listen for: the vocab list first, then character names,
+   * then the campaign's glossary. Errors are only logged since transcription works without it.
+   *
+   * @returns {void}
+   */
+  loadVocabulary() {
+    const characters = [...this.nicknames.values()].filter((name) => name !== "GM");
+    if (!this.archive) {
+      this.modelHandler.setVocabulary(characters);
+      return;
+    }
+
+    try {
+      this.modelHandler.setVocabulary([
+        ...this.archive.getVocabulary(this.guildId, this.campaign).map((v) => v.term),
+        ...characters,
+        ...this.archive.getGlossary(this.guildId, this.campaign ?? "").map((entry) => entry.name),
+      ]);
+    } catch (err) {
+      console.error(`Could not load the vocabulary for session [${this.sessionId}]:`, err);
+    }
+  }
+
+  /**
+   * Writes the session, its transcript and its summaries to the archive, then indexes it
+   * for the ask command and merges its NPCs, places and items into the glossary in the background.
+   * Failing to archive should never stop the summary from being posted, so errors are only logged.
+   *
+   * A session whose summary failed keeps its transcript but stays unfinished, so it's offered
+   * for summarizing again when the bot restarts, and is only indexed once it has a summary.
+   *
+   * @param {string | null} finalSummary - Null when the summary failed
+   *
+   * @returns {void}
+   */
+  archiveSession(finalSummary) {
+    if (!this.archive) return;
+
+    try {
+      this.archive.saveSession(
+        { ...this.getArchiveRecord(), stoppedAt: finalSummary === null ? null : Date.now(), finalSummary },
+        // The archive keeps every utterance with its own timing, turns are merged again when it's read
+        SplitTurns(this.modelHandler.sessionLog),
+        this.modelHandler.summaryLog.map((summary) => summary.userContent),
+      );
+      console.log(`Session [${this.sessionId}] archived`);
+    } catch (err) {
+      console.error(`Could not archive session [${this.sessionId}]:`, err);
+      return;
+    }
+
+    if (finalSummary === null) return;
+
+    // Make the session searchable by the ask command without holding up the summary
+    new RetrievalHandler(this.archive, this.modelHandler)
+      .indexSession({ id: this.sessionId, finalSummary })
+      .catch((err) =>
+        console.error(`Could not index session [${this.sessionId}]:`, err),
+      );
+
+    if (this.modelHandler.sessionLog.length === 0) return;
+
+    new GlossaryHandler(this.archive, this.modelHandler)
+      .extractFromSession(
+        this.guildId,
+        this.campaign ?? "",
+        this.sessionId,
+        finalSummary,
+      )
+      .then((changed) =>
+        console.log(`Session [${this.sessionId}] updated ${changed} glossary entries`),
+      )
+      .catch((err) =>
+        console.error(`Could not update the glossary for [${this.sessionId}]:`, err),
+      );
+  }
+
+  /**
+   * Describes this session the way the archive stores it
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").ArchivedSession}
+   */
+  getArchiveRecord() {
+    return {
+      id: this.sessionId,
+      guildId: this.guildId,
+      textChannelId: this.textChannel?.id ?? null,
+      voiceChannelId: this.voiceChannel?.id ?? null,
+      gmId: this.gmId,
+      players: [...this.players],
+      nicknames: Object.fromEntries(this.nicknames),
+      trustees: [...this.trustees],
+      startedAt: this.sessionStart,
+      stoppedAt: null,
+      finalSummary: null,
+      campaign: this.campaign,
+      displayNames: Object.fromEntries(this.displayNames),
+      exportFormats: this.exportFormats,
+      summaryStyles: this.summaryStyles,
+      recorded: this.recorder !== null,
+    };
+  }
+
   /**
    * Returns the state of a session between idle, playing, paused, or revising
    *
@@ -260,10 +657,174 @@ export default class SessionController {
    * @returns {number}
    */
   getETA() {
-    const pendingBytes = this.queueHandler.queue.reduce(
-      (acc, job) => acc + job.buffer.length,
-      0
+    // The workers get through the backlog side by side
+    return this.modelHandler.getETA(
+      this.queueHandler.getPendingBytes() / this.queueHandler.workers,
     );
-    return this.modelHandler.getETA(pendingBytes);
+  }
+
+  /**
+   * Gathers what the session is doing right now
+   *
+   * @returns {{ state: string, summarizing: boolean, elapsedMs: number, speakers: { userId: string, name: string, talkMs: number }[], queued: number, transcribing: number, pendingBytes: number, failed: number, whisperDown: boolean, language: string | null, tokens: number, chunksSummarized: number, eta: number }}
+   */
+  getStatus() {
+    const talkTime = new Map();
+    let tokens = 0;
+    for (const entry of this.modelHandler.sessionLog) {
+      // Only count the time spent talking, not the pauses within a merged turn
+      const talkMs = TurnSegments(entry).reduce(
+        (acc, segment) => acc + Math.max(0, segment.end - segment.start),
+        0,
+      );
+      talkTime.set(entry.userId, (talkTime.get(entry.userId) ?? 0) + talkMs);
+      tokens += this.modelHandler.countTokens(entry.modelContent);
+    }
+
+    const speakers = [...(this.players ?? [])]
+      .map((userId) => ({
+        userId,
+        name: this.nicknames.get(userId) ?? userId,
+        talkMs: talkTime.get(userId) ?? 0,
+      }))
+      .sort((a, b) => b.talkMs - a.talkMs);
+
+    return {
+      state: this.sessionState,
+      summarizing: this.summarizing,
+      elapsedMs: (this.stoppedAt ?? Date.now()) - this.sessionStart,
+      speakers,
+      queued: this.queueHandler.queue.length,
+      transcribing: this.queueHandler.active,
+      pendingBytes: this.queueHandler.getPendingBytes(),
+      failed: this.queueHandler.deadLetters.length,
+      whisperDown: this.queueHandler.whisperDown,
+      language: this.modelHandler.language,
+      tokens,
+      chunksSummarized: this.modelHandler.summaryLog.length,
+      eta: this.getETA(),
+    };
+  }
+
+  /**
+   * Renders the session's status for the status command and the pinned status message
+   *
+   * @returns {string}
+   */
+  getStatusMessage() {
+    const status = this.getStatus();
+
+    let state;
+    if (status.summarizing) state = "📝 Summarizing";
+    else if (status.state === SESSION_STATES.playing) state = "🔴 Recording";
+    else if (status.state === SESSION_STATES.paused) state = "⏸️ Paused";
+    else if (status.state === SESSION_STATES.revising) state = "✅ Summarized, taking feedback";
+    else state = "Starting up";
+
+    const title = this.campaign
+      ? `**Session \`${ShortId(this.sessionId)}\`** · *${this.campaign}*`
+      : `**Session \`${ShortId(this.sessionId)}\`**`;
+
+    const speakers = status.speakers.length
+      ? status.speakers
+          .map((s) => `- ${s.name}: ${FormatDuration(s.talkMs).slice(0, 8)}`)
+          .join("\n")
+      : "- Nobody yet";
+
+    const queue =
+      `${status.queued} clip(s) waiting (${Math.ceil(status.pendingBytes / 1024)} KB of audio)` +
+      (status.transcribing > 0 ? `, ${status.transcribing} being transcribed` : "") +
+      (status.failed > 0 ? `, ${status.failed} failed` : "") +
+      (status.whisperDown ? " · ⚠️ whisper looks down" : "");
+
+    const lines = [
+      title,
+      `**State:** ${state}`,
+      `**Elapsed:** ${FormatDuration(status.elapsedMs).slice(0, 8)}`,
+      `**Talk time:**\n${speakers}`,
+      `**Whisper queue:** ${queue}`,
+      ...(status.language ? [`**Language:** ${status.language}`] : []),
+      `**Transcript:** ~${status.tokens.toLocaleString("en-US")} tokens, ${status.chunksSummarized} chunk(s) summarized so far`,
+    ];
+    if (status.state !== SESSION_STATES.revising || status.summarizing) {
+      lines.push(`**Summary ETA:** ~${status.eta} minute(s)`);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Warns the text channel when whisper stops answering, and says so when it's back
+   *
+   * @param {boolean} down
+   *
+   * @returns {Promise<void>}
+   */
+  async reportWhisperOutage(down) {
+    console.warn(`Whisper is ${down ? "down" : "back up"} for session [${this.sessionId}]`);
+
+    try {
+      await this.textChannel.send(
+        down
+          ? "⚠️ I can't reach whisper, so nothing said right now is being transcribed. I'm holding on to the audio and will try it again when the session stops."
+          : "✅ Whisper is back. The clips it missed will be tried again when the session stops.",
+      );
+    } catch (err) {
+      console.error(`Could not warn session [${this.sessionId}] about whisper:`, err);
+    }
+
+    await this.updateStatusMessage();
+  }
+
+  /**
+   * Posts and pins the status message, then keeps it updated every STATUS_UPDATE_INTERVAL.
+   * Does nothing unless STATUS_MESSAGE is on.
+   *
+   * @returns {Promise<void>}
+   */
+  async startStatusMessage() {
+    if (!STATUS_MESSAGE || this.statusMessage) return;
+
+    try {
+      this.statusMessage = await this.textChannel.send({ content: this.getStatusMessage() });
+    } catch (err) {
+      console.error(`Could not post the status of session [${this.sessionId}]:`, err);
+      return;
+    }
+
+    // Pinning needs Manage Messages, the message is still updated without it
+    await this.statusMessage
+      .pin()
+      .catch((err) => console.warn(`Could not pin the status of session [${this.sessionId}]:`, err.message));
+
+    this.statusTimer = setInterval(() => this.updateStatusMessage(), STATUS_UPDATE_INTERVAL);
+  }
+
+  /**
+   * Edits the latest status into the status message, if there is one
+   *
+   * @returns {Promise<void>}
+   */
+  async updateStatusMessage() {
+    if (!this.statusMessage) return;
+
+    try {
+      await this.statusMessage.edit({ content: this.getStatusMessage() });
+    } catch (err) {
+      console.error(`Could not update the status of session [${this.sessionId}]:`, err);
+    }
+  }
+
+  /**
+   * Gives the status message its final update and unpins it
+   *
+   * @returns {Promise<void>}
+   */
+  async stopStatusMessage() {
+    clearInterval(this.statusTimer);
+    this.statusTimer = null;
+
+    await this.updateStatusMessage();
+    await this.statusMessage?.unpin().catch(() => {});
   }
 }
@@ -0,0 +1,218 @@
+/**
+ * One chat request, in the shape Ollama takes it
+ *
+ * @typedef {Object} ChatRequest
+ *
+ * @property {string} model
+ *  The model tag the server knows
+ *
+ * @property {{ role: string, content: string }[]} messages
+ *
+ * @property {"json"} [format]
+ *  Forces the reply into JSON when set
+ *
+ * @property {boolean} [think]
+ *  Whether thinking models may think before they answer
+ *
+ * @property {{ temperature?: number, top_k?: number, top_p?: number }} [options]
+ *  The sampling parameters
+ */
+
+/**
+ * Replies shorter than this don't say much about how the model tokenizes, so they're left out of the calibration
+ * @type {number}
+ */
+const CALIBRATION_MIN_CHARS = 1000;
+
+export default class LlmProvider {
+  /** @type {string} */
+  name = "";
+
+  /** @type {string} */
+  host = "";
+
+  /** @type {number} */
+  timeout = 0;
+
+  /** @type {Record<string, string>} */
+  headers = {};
+
+  /** @type {number} The most context a request may use, whatever the model supports */
+  maxContext = Infinity;
+
+  /** @type {Map<string, number | null>} The context length the server reported per model */
+  contextLengths = new Map();
+
+  /** @type {Map<string, number>} How many characters make a token per model, learned from the prompt token counts */
+  tokenRatios = new Map();
+
+  /**
+   * @param {string} name - How the provider is called in the config and logs
+   * @param {string} host - The server's base url
+   * @param {number} timeout - How long the server may go quiet in milliseconds, 0 for no limit
+   * @param {Record<string, string>} headers - Extra headers sent with every request
+   * @param {string} apiKey - Sent as a bearer token when set
+   * @param {number} [maxContext] - Caps the context of every model, so a huge context window doesn't exhaust the server's memory
+   */
+  constructor(name, host, timeout, headers, apiKey, maxContext = Infinity) {
+    this.name = name;
+    this.host = host;
+    this.timeout = timeout;
+    this.maxContext = maxContext;
+    this.headers = apiKey ? { Authorization: `Bearer ${apiKey}`, ...headers } : { ...headers };
+  }
+
+  /**
+   * Sends a chat and returns the reply
+   *
+   * @param {ChatRequest} request
+   * @param {((content: string) => void) | null} [onContent] - Streams the reply when set, called with everything written so far
+   *
+   * @throws {Error} If the server can't be reached, answers with an error or takes too long
+   *
+   * @returns {Promise<string>}
+   */
+  async chat(request, onContent = null) {
+    throw new Error(`The ${this.name} provider can't chat`);
+  }
+
+  /**
+   * Embeds a batch of texts
+   *
+   * @param {string} model
+   * @param {string[]} texts
+   *
+   * @returns {Promise<number[][]>} One vector per text, in the same order
+   */
+  async embed(model, texts) {
+    throw new Error(`The ${this.name} provider can't embed`);
+  }
+
+  /**
+   * Asks the server how many tokens of context a model has
+   *
+   * @param {string} model
+   *
+   * @returns {Promise<number | null>} Null when the server doesn't say
+   */
+  async contextLength(model) {
+    return null;
+  }
+
+  /**
+   * Looks up the context length of every given model once, so chunks can be sized to fit
+   *
+   * @param {string[]} models
+   *
+   * @returns {Promise<void>}
+   */
+  async discoverContext(models) {
+    for (const model of new Set(models)) {
+      if (this.contextLengths.has(model)) continue;
+
+      try {
+        this.contextLengths.set(model, await this.contextLength(model));
+      } catch (err) {
+        console.warn(`Could not read the context length of ${model}, using limits.token_limit: ${err.message}`);
+        this.contextLengths.set(model, null);
+      }
+    }
+  }
+
+  /**
+   * The context a model's requests may use, the smaller of its own and maxContext
+   *
+   * @param {string} model
+   *
+   * @returns {number}
+   */
+  contextLimit(model) {
+    return Math.min(this.maxContext, this.contextLengths.get(model) ?? Infinity);
+  }
+
+  /**
+   * How many characters of text make one of the model's tokens, 4 until the server has reported a prompt's size
+   *
+   * @param {string} model
+   *
+   * @returns {number}
+   */
+  charsPerToken(model) {
+    return this.tokenRatios.get(model) ?? 4;
+  }
+
+  /**
+   * Moves the model's characters per token towards what the server counted for a prompt
+   *
+   * @param {string} model
+   * @param {{ content: string }[]} messages - The prompt that was sent
+   * @param {number | undefined} promptTokens - The tokens the server counted for it
+   *
+   * @returns {void}
+   */
+  calibrate(model, messages, promptTokens) {
+    const chars = messages.reduce((acc, message) => acc + message.content.length, 0);
+    if (!promptTokens || chars < CALIBRATION_MIN_CHARS) return;
+
+    // A server that reused a cached prefix only counts the new tokens, which would skew the ratio
+    const ratio = chars / promptTokens;
+    if (ratio < 1 || ratio > 8) return;
+
+    const previous = this.tokenRatios.get(model);
+    this.tokenRatios.set(model, previous === undefined ? ratio : previous * 0.8 + ratio * 0.2);
+  }
+
+  /**
+   * Fetches with the timeout counting until the server answers and then between the parts of its body,
+   * so a long streamed reply isn't cut off while the server is still writing it
+   *
+   * @param {string | URL | Request} input
+   * @param {RequestInit} [init] - Its signal still aborts the request
+   *
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init = {}) {
+    if (this.timeout <= 0) return fetch(input, init);
+
+    const controller = new AbortController();
+    const signal = init.signal ? AbortSignal.any([init.signal, controller.signal]) : controller.signal;
+
+    let timer;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(
+        () => controller.abort(new DOMException(`The server went quiet for ${this.timeout / 1000}s`, "TimeoutError")),
+        this.timeout,
+      );
+    };
+
+    restart();
+    let res;
+    try {
+      res = await fetch(input, { ...init, signal });
+    } catch (err) {
+      clearTimeout(timer);
+      throw err;
+    }
+
+    if (!res.body) {
+      clearTimeout(timer);
+      return res;
+    }
+
+    restart();
+    const body = res.body.pipeThrough(
+      new TransformStream({
+        transform(chunk, stream) {
+          restart();
+          stream.enqueue(chunk);
+        },
+        flush() {
+          clearTimeout(timer);
+        },
+      }),
+    );
+
+    return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+}
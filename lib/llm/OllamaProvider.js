@@ -0,0 +1,93 @@
+import { Ollama } from "ollama";
+import {
+  LLM_API_KEY,
+  LLM_HEADERS,
+  LLM_HOST,
+  LLM_TIMEOUT,
+  MAX_TOKEN_LIMIT,
+} from "@/lib/static/Constants.js";
+import LlmProvider from "@/lib/llm/LlmProvider.js";
+
+/**
+ * Talks to an Ollama server through its own `/api/chat` and `/api/embed`.
+ * Ollama loads models with a small context unless told otherwise, so every chat sets `num_ctx`.
+ */
+export default class OllamaProvider extends LlmProvider {
+  /** @type {Ollama} */
+  client;
+
+  /**
+   * @param {string} [host]
+   * @param {number} [timeout]
+   * @param {Record<string, string>} [headers]
+   * @param {string} [apiKey]
+   * @param {number} [maxContext]
+   */
+  constructor(
+    host = LLM_HOST,
+    timeout = LLM_TIMEOUT,
+    headers = LLM_HEADERS,
+    apiKey = LLM_API_KEY,
+    maxContext = MAX_TOKEN_LIMIT,
+  ) {
+    super("ollama", host, timeout, headers, apiKey, maxContext);
+    this.client = new Ollama({
+      host,
+      headers: this.headers,
+      fetch: (input, init) => this.fetch(input, init),
+    });
+  }
+
+  /**
+   * @param {import("@/lib/llm/LlmProvider.js").ChatRequest} request
+   * @param {((content: string) => void) | null} [onContent]
+   *
+   * @returns {Promise<string>}
+   */
+  async chat(request, onContent = null) {
+    const limit = this.contextLimit(request.model);
+    const options = Number.isFinite(limit) ? { num_ctx: limit, ...request.options } : request.options;
+
+    if (!onContent) {
+      const res = await this.client.chat({ ...request, options, stream: false });
+      this.calibrate(request.model, request.messages, res.prompt_eval_count);
+      return res.message.content;
+    }
+
+    let content = "";
+    const parts = await this.client.chat({ ...request, options, stream: true });
+    for await (const part of parts) {
+      content += part.message.content;
+      onContent(content);
+
+      if (part.done) this.calibrate(request.model, request.messages, part.prompt_eval_count);
+    }
+
+    return content;
+  }
+
+  /**
+   * Reads the context length from the model's metadata, e.g. `qwen3.context_length`
+   *
+   * @param {string} model
+   *
+   * @returns {Promise<number | null>}
+   */
+  async contextLength(model) {
+    const res = await this.client.show({ model });
+    const info = Object.entries(res.model_info ?? {});
+
+    return info.find(([key]) => key.endsWith(".context_length"))?.[1] ?? null;
+  }
+
+  /**
+   * @param {string} model
+   * @param {string[]} texts
+   *
+   * @returns {Promise<number[][]>}
+   */
+  async embed(model, texts) {
+    const res = await this.client.embed({ model, input: texts });
+    return res.embeddings;
+  }
+}
@@ -0,0 +1,183 @@
+import {
+  LLM_API_KEY,
+  LLM_HEADERS,
+  LLM_HOST,
+  LLM_TIMEOUT,
+  MAX_TOKEN_LIMIT,
+} from "@/lib/static/Constants.js";
+import LlmProvider from "@/lib/llm/LlmProvider.js";
+
+/**
+ * Talks to any OpenAI-compatible server through `/v1/chat/completions` and `/v1/embeddings`,
+ * like the ones llama.cpp's server, LM Studio and vLLM serve
+ */
+export default class OpenAIProvider extends LlmProvider {
+  /**
+   * @param {string} [host] - The base url, without the /v1
+   * @param {number} [timeout]
+   * @param {Record<string, string>} [headers]
+   * @param {string} [apiKey]
+   * @param {number} [maxContext]
+   */
+  constructor(
+    host = LLM_HOST,
+    timeout = LLM_TIMEOUT,
+    headers = LLM_HEADERS,
+    apiKey = LLM_API_KEY,
+    maxContext = MAX_TOKEN_LIMIT,
+  ) {
+    super("openai", host, timeout, headers, apiKey, maxContext);
+  }
+
+  /**
+   * @param {import("@/lib/llm/LlmProvider.js").ChatRequest} request
+   * @param {((content: string) => void) | null} [onContent]
+   *
+   * @returns {Promise<string>}
+   */
+  async chat({ model, messages, format, think, options = {} }, onContent = null) {
+    const res = await this.request("/v1/chat/completions", {
+      model,
+      messages,
+      stream: Boolean(onContent),
+      // The last streamed event then carries the token counts
+      ...(onContent && { stream_options: { include_usage: true } }),
+      temperature: options.temperature,
+      top_k: options.top_k,
+      top_p: options.top_p,
+      // Qwen3 style templates read this, the others ignore it
+      ...(think !== undefined && { chat_template_kwargs: { enable_thinking: think } }),
+      ...(format === "json" && { response_format: { type: "json_object" } }),
+    });
+
+    if (!onContent) {
+      const json = await res.json();
+      this.calibrate(model, messages, json.usage?.prompt_tokens);
+      return OpenAIProvider.withoutThinking(json.choices?.[0]?.message?.content ?? "");
+    }
+
+    let content = "";
+    for await (const data of OpenAIProvider.serverSentEvents(res.body)) {
+      if (data === "[DONE]") break;
+
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new Error(`LLM server failed mid-stream: ${event.error.message ?? event.error}`);
+      }
+
+      if (event.usage) this.calibrate(model, messages, event.usage.prompt_tokens);
+      if (!event.choices?.length) continue;
+
+      content += event.choices[0].delta?.content ?? "";
+      onContent(OpenAIProvider.withoutThinking(content));
+    }
+
+    return OpenAIProvider.withoutThinking(content);
+  }
+
+  /**
+   * @param {string} model
+   * @param {string[]} texts
+   *
+   * @returns {Promise<number[][]>}
+   */
+  async embed(model, texts) {
+    const res = await this.request("/v1/embeddings", { model, input: texts });
+    const json = await res.json();
+
+    return [...json.data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  /**
+   * Reads the context length from `/v1/models`, which vLLM and LM Studio fill in,
+   * or from llama.cpp's `/props`, which has the context the server was started with
+   *
+   * @param {string} model
+   *
+   * @returns {Promise<number | null>}
+   */
+  async contextLength(model) {
+    const models = await this.request("/v1/models")
+      .then((res) => res.json())
+      .catch(() => ({}));
+    // Servers that only run one model often don't care what it's called
+    const entry = models.data?.find((m) => m.id === model) ?? (models.data?.length === 1 ? models.data[0] : null);
+
+    const advertised = entry?.max_model_len ?? entry?.context_length ?? entry?.max_context_length;
+    if (advertised) return advertised;
+
+    const props = await this.request("/props")
+      .then((res) => res.json())
+      .catch(() => ({}));
+
+    return props.default_generation_settings?.n_ctx ?? entry?.meta?.n_ctx_train ?? null;
+  }
+
+  /**
+   * Sends a request to the server, posting the body as JSON when there is one, and turns failures into readable errors
+   *
+   * @param {string} pathname
+   * @param {Object} [body]
+   *
+   * @returns {Promise<Response>}
+   */
+  async request(pathname, body = undefined) {
+    const url = `${this.host}${pathname}`;
+
+    let res;
+    try {
+      res = await this.fetch(url, {
+        method: body ? "POST" : "GET",
+        headers: body ? { "Content-Type": "application/json", ...this.headers } : this.headers,
+        body: body && JSON.stringify(body),
+      });
+    } catch (err) {
+      throw new Error(`Could not reach the LLM server at ${url}: ${err.message}`);
+    }
+
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      const message = json.error?.message ?? json.error ?? res.statusText;
+      throw new Error(`LLM server failed with code ${res.status}: ${typeof message === "string" ? message : JSON.stringify(message)}`);
+    }
+
+    return res;
+  }
+
+  /**
+   * Drops the reasoning servers leave inline in the reply, including a block that's still being written
+   *
+   * @param {string} content
+   *
+   * @returns {string}
+   */
+  static withoutThinking(content) {
+    return content.replace(/<think>[\s\S]*?(<\/think>\s*|$)/g, "");
+  }
+
+  /**
+   * Reads the `data:` payloads of a server-sent event stream
+   *
+   * @param {ReadableStream<Uint8Array>} body
+   *
+   * @returns {AsyncGenerator<string>}
+   */
+  static async *serverSentEvents(body) {
+    const decoder = new TextDecoder();
+    let pending = "";
+
+    for await (const chunk of body) {
+      pending += decoder.decode(chunk, { stream: true });
+
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        if (line.startsWith("data:")) yield line.slice(5).trim();
+      }
+    }
+
+    if (pending.startsWith("data:")) yield pending.slice(5).trim();
+  }
+}
@@ -0,0 +1,44 @@
+import { LLM_PROVIDER } from "@/lib/static/Constants.js";
+import LlmProvider from "@/lib/llm/LlmProvider.js";
+import OllamaProvider from "@/lib/llm/OllamaProvider.js";
+import OpenAIProvider from "@/lib/llm/OpenAIProvider.js";
+
+/**
+ * Builds the LLM provider picked under llm.provider
+ *
+ * @param {string} [name] - One of LLM_PROVIDERS
+ *
+ * @returns {LlmProvider}
+ */
+export function CreateLlmProvider(name = LLM_PROVIDER) {
+  switch (name) {
+    case "openai":
+      return new OpenAIProvider();
+    default:
+      return new OllamaProvider();
+  }
+}
+
+/** @type {LlmProvider | null} */
+let sharedProvider = null;
+
+/**
+ * The provider every session shares, so what it learned about the models' context and tokens carries over
+ *
+ * @returns {LlmProvider}
+ */
+export function SharedLlmProvider() {
+  sharedProvider ??= CreateLlmProvider();
+  return sharedProvider;
+}
+
+/**
+ * Describes where a provider sends its prompts, for the startup log
+ *
+ * @param {LlmProvider} provider
+ *
+ * @returns {string}
+ */
+export function DescribeLlmProvider(provider) {
+  return `${provider.name} (${provider.host})`;
+}
@@ -1,5 +1,7 @@
 import { SILENCE_DURATION, FFMPEG_WAV_ARGS } from "@/lib/static/Constants.js";
 import QueueHandler from "@/lib/session/QueueHandler.js";
+import RecordingHandler from "@/lib/storage/RecordingHandler.js";
+import { ClipRejection } from "@/lib/static/TranscriptFilters.js";
 import {
   joinVoiceChannel,
   EndBehaviorType,
@@ -30,18 +32,23 @@ export default class CallHandler {
   /** @type {string} */
   guildId = null;
 
+  /** @type {RecordingHandler | null} */
+  recorder = null;
+
   /**
    *
    * @param {import("@discordjs/voice").VoiceBasedChannel} voiceChannel
    * @param {Set<string>} receivablePlayers
    * @param {QueueHandler} transcriptionQueue
+   * @param {RecordingHandler | null} [recorder] - Keeps every utterance on disk when the session is recorded
    *
    */
-  constructor(guildId, voiceChannel, receivablePlayers, transcriptionQueue) {
+  constructor(guildId, voiceChannel, receivablePlayers, transcriptionQueue, recorder = null) {
     this.guildId = guildId;
     this.voiceChannel = voiceChannel;
     this.receivablePlayers = receivablePlayers;
     this.transcriptionQueue = transcriptionQueue;
+    this.recorder = recorder;
   }
 
   /**
@@ -88,7 +95,21 @@ export default class CallHandler {
    * @returns {void}
    */
   async leaveCall() {
-    this.connection.destroy();
+    // A session recovered after a crash may be summarized without ever joining
+    this.connection?.destroy();
+    this.connection = null;
+    this.stopListening();
+  }
+
+  /**
+   * Forgets the streams of anyone still speaking, so the summaries don't wait on clips that never end
+   *
+   * @returns {void}
+   */
+  stopListening() {
+    for (const userId of this.activeVoiceStreams.keys()) {
+      this.transcriptionQueue.stoppedSpeaking(userId);
+    }
     this.activeVoiceStreams.clear();
   }
 
@@ -99,7 +120,7 @@ export default class CallHandler {
    * @returns {void}
    */
   startVoiceReceiver() {
-    this.activeVoiceStreams.clear();
+    this.stopListening();
     const receiver = this.connection.receiver;
 
     receiver.speaking.on("start", (userId) => {
@@ -111,11 +132,21 @@ export default class CallHandler {
       }
 
       this.activeVoiceStreams.set(userId, true);
+      this.transcriptionQueue.startedSpeaking(userId, Date.now());
       console.log(`User [${userId}] started speaking...`);
 
-      this.createVoiceListeningStream(receiver, userId, (stream) =>
-        this.transcriptionQueue.enqueue({ userId, ...stream }),
-      );
+      this.createVoiceListeningStream(receiver, userId, (stream) => {
+        this.recorder?.saveUtterance({ userId, ...stream });
+
+        // Coughs, mic bumps and background hum only make whisper hallucinate
+        const rejection = ClipRejection(stream.buffer);
+        if (rejection) {
+          console.log(`Skipping a clip from [${userId}]: ${rejection}`);
+          return;
+        }
+
+        this.transcriptionQueue.enqueue({ userId, ...stream });
+      });
     });
   }
 
@@ -155,6 +186,7 @@ export default class CallHandler {
       if (this.activeVoiceStreams.has(userId)) {
         this.activeVoiceStreams.delete(userId);
       }
+      this.transcriptionQueue.stoppedSpeaking(userId);
 
       try {
         opusStream.destroy();
@@ -185,14 +217,17 @@ export default class CallHandler {
         `Finished processing <${buffer.length}> bytes of WAV audio for user [${userId}]`,
       );
 
-      cleanup(reason);
-
-      if (buffer.length > 0) {
-        callback({
-          start,
-          end,
-          buffer,
-        });
+      // The clip is queued before cleanup lets the summaries past it
+      try {
+        if (buffer.length > 0) {
+          callback({
+            start,
+            end,
+            buffer,
+          });
+        }
+      } finally {
+        cleanup(reason);
       }
     };
 
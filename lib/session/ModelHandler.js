@@ -1,26 +1,59 @@
-import ollama from "ollama";
 import {
   SUMMARY_MODEL,
-  SUMMARY_PROMPT,
-  CRITIC_PROMPT,
-  FEEDBACK_PROMPT,
+  CHUNK_MODEL,
+  CRITIC_MODEL,
+  FEEDBACK_MODEL,
+  EMBEDDING_MODEL,
+  RECAP_PROMPT,
+  CAMPAIGN_CONTEXT_PROMPT,
+  SESSION_CONTEXT_PROMPT,
+  GLOSSARY_PROMPT,
   SYSTEM,
   USER,
   ASSISTANT,
-  WHISPER_MODEL,
-  WHISPER_URL,
-  MAX_TOKEN_LIMIT,
+  TRANSCRIPTION_LANGUAGE,
+  TRANSCRIPTION_RETRIES,
+  TRANSCRIPTION_RETRY_DELAY,
   TOKEN_SPLIT_RATIO,
+  CHUNK_OVERLAP,
   TEMPERATURE,
   TOP_K,
   TOP_P,
   THINKING,
+  TRANSCRIPT_DISPLAY_NAMES,
+  VOCAB_CORRECTION,
+  VOCAB_CORRECTION_THRESHOLD,
+  VOCAB_PROMPT_TOKENS,
 } from "@/lib/static/Constants.js";
 import {
+  ContinuesTurn,
+  CorrectVocabulary,
+  CreateLogEntry,
   EstimateTokens,
-  FormatDuration,
-  CleanTranscription,
+  FormatTranscript,
+  GroupByBudget,
+  JoinLogEntries,
+  MergeTurns,
 } from "@/lib/static/Utils.js";
+import { FilterTranscription } from "@/lib/static/TranscriptFilters.js";
+import { FindStyle, StylePrompts } from "@/lib/static/SummaryStyles.js";
+import CheckpointHandler from "@/lib/storage/CheckpointHandler.js";
+import StreamHandler from "@/lib/session/StreamHandler.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+import { SharedTranscriptionBackend } from "@/lib/transcription/Backends.js";
+import LlmProvider from "@/lib/llm/LlmProvider.js";
+import { SharedLlmProvider } from "@/lib/llm/Providers.js";
+
+/**
+ * Wraps a summary the way the critic reads it
+ *
+ * @param {string} content
+ *
+ * @returns {{ userContent: string, modelContent: string }}
+ */
+function toSummary(content) {
+  return { userContent: content, modelContent: `<summary>\n${content}\n</summary>` };
+}
 
 /**
  * Represents a queue type job
@@ -38,6 +71,21 @@ import {
  *
  * @property {number} end
  *  The JS (millis) unix timestamp where audio stream ended
+ *
+ * @property {number | null} [checkpointId]
+ *  The id of the job's audio in the session checkpoint, if it was saved
+ */
+
+/**
+ * What was said in a Job's clip, filtered and vocab corrected
+ *
+ * @typedef {Object} ClipTranscription
+ *
+ * @property {string} text
+ *  Everything said in the clip, empty if nothing was
+ *
+ * @property {{ start: number, end: number, text: string }[]} segments
+ *  The clip's sentences with their timings in milliseconds from the start of the clip, empty if the backend doesn't report them
  */
 
 export default class ModelHandler {
@@ -47,7 +95,7 @@ export default class ModelHandler {
   /** @type {{ userContent: string, modelContent: string }[]} */
   summaryLog = [];
 
-  /** @type {{ userContent: string, modelContent: string, modelTokens: number }[]} */
+  /** @type {{ userId: string, name: string, start: number, end: number, text: string, userContent: string, modelContent: string, modelTokens: number, segments?: { start: number, end: number, text: string }[] }[]} */
   sessionLog = [];
 
   /** @type {string} */
@@ -56,9 +104,63 @@ export default class ModelHandler {
   /** @type {Map<string, string> | null} */
   nicknames = null;
 
+  /** @type {Map<string, string>} */
+  displayNames = new Map();
+
   /** @type {number | null} */
   sessionStart = null;
 
+  /** @type {CheckpointHandler | null} */
+  checkpoint = null;
+
+  /** @type {string} */
+  campaignRecap = "";
+
+  /** @type {Promise<void> | null} */
+  campaignRecapTask = null;
+
+  /** @type {string[]} */
+  vocabulary = [];
+
+  /** @type {number} How many sessionLog entries have already gone into a chunk summary */
+  chunkedEntries = 0;
+
+  /** @type {number} Where in the session (in milliseconds) a clip still to be transcribed was said, rolling summaries stop short of it */
+  heldFrom = Infinity;
+
+  /** @type {number} Chunk summaries queued in the background that haven't finished */
+  pendingChunks = 0;
+
+  /** @type {Promise<void>} Chunk summaries run one after another so summaryLog stays in order */
+  rollingSummaryTask = Promise.resolve();
+
+  /** @type {number} Where the summaries of the segment since the last pause begin in summaryLog */
+  segmentStart = 0;
+
+  /** @type {number} How many sessionLog entries the merged segments cover */
+  segmentEntries = 0;
+
+  /** @type {string[]} The summaries posted at each pause, oldest first */
+  interimSummaries = [];
+
+  /** @type {TranscriptionBackend} */
+  transcriber;
+
+  /** @type {string | null} The language the transcription backend last reported */
+  language = null;
+
+  /** @type {LlmProvider} */
+  llm;
+
+  /** @type {{ summary: string, chunk: string, critic: string, feedback: string }} The model each stage prompts */
+  models = { summary: SUMMARY_MODEL, chunk: CHUNK_MODEL, critic: CRITIC_MODEL, feedback: FEEDBACK_MODEL };
+
+  /** @type {import("@/lib/static/SummaryStyles.js").SummaryStyle | null} The style summaries are written in */
+  style = FindStyle();
+
+  /** @type {{ summary: string, critic: string, feedback: string }} The system prompts of the style */
+  prompts = StylePrompts(this.style);
+
   /** @type {number} */
   totalBytesProcessed = 0;
 
@@ -86,12 +188,22 @@ export default class ModelHandler {
 
     const transcriptionEtaMs = pendingBytes > 0 ? (pendingBytes / bps) * 1000 : 0;
 
-    // Estimate based on at least 1 remaining summary + 1 critic summary
+    // Chunks summarized during the session are done, only the ones still running,
+    // the untouched tail of the transcript and the critic merge are left
+    const tailTokens = this.sessionLog
+      .slice(this.chunkedEntries)
+      .reduce((acc, chat) => acc + this.countTokens(chat.modelContent), 0);
+    const tailChunks =
+      tailTokens > 0 || pendingBytes > 0
+        ? Math.max(1, Math.ceil(tailTokens / this.getChunkBudget()))
+        : 0;
+    const remainingChunks = this.pendingChunks + tailChunks;
+    const criticPasses = this.summaryLog.length + remainingChunks > 1 ? 1 : 0;
+
     const defaultSummaryTime = 15000;
-    const summaryEtaMs =
-      this.summariesCompleted > 0
-        ? this.averageSummaryTimeMs * 2
-        : defaultSummaryTime * 2;
+    const summaryTime =
+      this.summariesCompleted > 0 ? this.averageSummaryTimeMs : defaultSummaryTime;
+    const summaryEtaMs = (remainingChunks + criticPasses) * summaryTime;
 
     const totalEtaMs = transcriptionEtaMs + summaryEtaMs;
     return Math.max(1, Math.ceil(totalEtaMs / 60000));
@@ -100,13 +212,74 @@ export default class ModelHandler {
   /**
    * @param {Map<string, string>} nicknames
    * @param {number} sessionStart
+   * @param {CheckpointHandler | null} [checkpoint] - Where transcript entries are saved as they arrive
+   * @param {Map<string, string>} [displayNames] - Discord names shown next to character names in the transcript
+   * @param {{ llm?: LlmProvider, transcriber?: TranscriptionBackend }} [clients] - The shared ones unless given
    * @requires Map<string, string>
    * @requires number
    */
-  constructor(nicknames, sessionStart) {
+  constructor(nicknames, sessionStart, checkpoint = null, displayNames = new Map(), clients = {}) {
     this.nicknames = nicknames;
     this.sessionStart = sessionStart;
-    this.feedbackChat.push({ role: SYSTEM, content: FEEDBACK_PROMPT });
+    this.checkpoint = checkpoint;
+    this.displayNames = displayNames;
+    this.llm = clients.llm ?? SharedLlmProvider();
+    this.transcriber = clients.transcriber ?? SharedTranscriptionBackend();
+    this.feedbackChat.push({ role: SYSTEM, content: this.prompts.feedback });
+  }
+
+  /**
+   * Writes the summaries from here on in another style
+   *
+   * @param {import("@/lib/static/SummaryStyles.js").SummaryStyle | null} style
+   *
+   * @returns {void}
+   */
+  setStyle(style) {
+    this.style = style;
+    this.prompts = StylePrompts(style);
+    this.feedbackChat[0] = { role: SYSTEM, content: this.prompts.feedback };
+  }
+
+  /**
+   * Switches to another style and drops the chunk summaries written in the old one,
+   * so the final summary summarizes the transcript again rather than mixing styles
+   *
+   * @param {import("@/lib/static/SummaryStyles.js").SummaryStyle | null} style
+   *
+   * @returns {Promise<void>}
+   */
+  async restyle(style) {
+    await this.rollingSummaryTask;
+
+    this.summaryLog = [];
+    this.chunkedEntries = 0;
+    this.segmentStart = 0;
+    this.segmentEntries = 0;
+    this.interimSummaries = [];
+    this.setStyle(style);
+  }
+
+  /**
+   * Copies the transcript into a handler of its own that summarizes it in another style,
+   * without transcribing anything again
+   *
+   * @param {import("@/lib/static/SummaryStyles.js").SummaryStyle | null} style
+   *
+   * @returns {ModelHandler}
+   */
+  forStyle(style) {
+    const handler = new ModelHandler(this.nicknames, this.sessionStart, null, this.displayNames, {
+      llm: this.llm,
+      transcriber: this.transcriber,
+    });
+    handler.sessionLog = this.sessionLog.slice();
+    handler.models = this.models;
+    handler.campaignRecap = this.campaignRecap;
+    handler.language = this.language;
+    handler.setStyle(style);
+
+    return handler;
   }
 
   /**
@@ -118,76 +291,426 @@ export default class ModelHandler {
    * @returns {void}
    */
   async addTranscription(job) {
-    const transStart = Date.now();
-    const transcription = await this.promptTranscriber(job.buffer);
-    const elapsed = Date.now() - transStart;
+    this.commitTranscription(job, await this.transcribe(job));
+  }
+
+  /**
+   * Sends a Job's audio to the transcription backend, keeping track of how fast it goes for the ETA.
+   * Failed attempts are retried with exponential backoff, each on the backend's next endpoint in line.
+   *
+   * @param {Job} job
+   * @param {number} [retries] - How many times to try again after the first failure
+   * @param {number} [retryDelay] - The wait (in milliseconds) before the first retry
+   *
+   * @throws {Error} The last failure, once every retry failed
+   *
+   * @returns {Promise<ClipTranscription>}
+   */
+  async transcribe(job, retries = TRANSCRIPTION_RETRIES, retryDelay = TRANSCRIPTION_RETRY_DELAY) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const transStart = Date.now();
+        const transcription = await this.promptTranscriber(job.buffer);
+        const elapsed = Date.now() - transStart;
+
+        this.totalBytesProcessed += job.buffer.length;
+        this.totalTranscriptionTimeMs += elapsed;
 
-    this.totalBytesProcessed += job.buffer.length;
-    this.totalTranscriptionTimeMs += elapsed;
+        return transcription;
+      } catch (err) {
+        if (attempt >= retries) throw err;
 
-    if (transcription.length === 0) return;
+        console.warn(`${err.message} - retrying (${attempt + 1}/${retries})`);
+        await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * Stores a Job's transcription in the session log, in order of when it was said.
+   * Fragments the speaker said right before or after it are merged into the same turn.
+   * The backend's segment timings are kept as the entry's segments, relative to the session start.
+   *
+   * @param {Job} job
+   * @param {ClipTranscription} transcription
+   *
+   * @returns {void}
+   */
+  commitTranscription(job, { text, segments = [] }) {
     const player = this.nicknames.get(job.userId);
-    if (!player) return;
+    if (text.length === 0 || !player) {
+      this.checkpoint?.completeJob(job.checkpointId, null);
+      return;
+    }
+
+    const start = job.start - this.sessionStart;
+    const end = job.end - this.sessionStart;
+    const entry = CreateLogEntry(job.userId, player, start, end, text, this.getDisplayName(job.userId));
+    if (segments.length > 0) {
+      // Whisper's timestamps can run past the end of the clip
+      entry.segments = segments.map((segment) => ({
+        start: Math.min(start + segment.start, end),
+        end: Math.min(start + segment.end, end),
+        text: segment.text,
+      }));
+    }
+
+    // A long utterance can finish after shorter ones that started later. It's slotted in
+    // where it was said, but never ahead of what the rolling summaries already took.
+    let index = this.sessionLog.length;
+    while (index > this.chunkedEntries && this.sessionLog[index - 1].start > entry.start) {
+      index--;
+    }
+
+    let turn = entry;
+    let from = index;
+    let to = index;
+    const previous = this.sessionLog[index - 1];
+    if (index > this.chunkedEntries && ContinuesTurn(previous, turn)) {
+      turn = JoinLogEntries(previous, turn);
+      from--;
+    }
+    const next = this.sessionLog[index];
+    if (next && ContinuesTurn(turn, next)) {
+      turn = JoinLogEntries(turn, next);
+      to++;
+    }
+    this.sessionLog.splice(from, to - from, turn);
+
+    // The checkpoint keeps the single utterance, turns are merged again on restore
+    this.checkpoint?.completeJob(job.checkpointId, entry);
+
+    this.summarizeReadyChunks();
+  }
+
+  /**
+   * Keeps the chunks from taking anything said from a clip's start on, so the clip
+   * can still be slotted in where it was said once it's transcribed
+   *
+   * @param {number | null} timestamp - The JS (millis) unix timestamp the clip started at, null to hold nothing back
+   *
+   * @returns {void}
+   */
+  holdSummariesAt(timestamp) {
+    const heldFrom = timestamp === null ? Infinity : timestamp - this.sessionStart;
+    const released = heldFrom > this.heldFrom;
+    this.heldFrom = heldFrom;
+
+    // Chunks that filled up while they were held back don't have to wait for the next transcription
+    if (released) this.summarizeReadyChunks();
+  }
+
+  /**
+   * Refills the session log with entries recovered from a checkpoint
+   *
+   * @param {{ userId: string, name: string, start: number, end: number, text: string }[]} entries
+   *
+   * @returns {void}
+   */
+  restoreLog(entries) {
+    // The checkpoint keeps utterances in the order they finished, not the order they were said
+    const restored = entries.map((e) =>
+      CreateLogEntry(e.userId, e.name, e.start, e.end, e.text, this.getDisplayName(e.userId)),
+    );
+    this.sessionLog.push(...MergeTurns(restored));
+
+    this.summarizeReadyChunks();
+  }
 
-    const start = FormatDuration(job.start - this.sessionStart);
-    const end = FormatDuration(job.end - this.sessionStart);
+  /**
+   * Returns the Discord name to show next to a speaker's character name,
+   * or null when the transcript should only show character names
+   *
+   * @param {string} userId
+   *
+   * @returns {string | null}
+   */
+  getDisplayName(userId) {
+    if (!TRANSCRIPT_DISPLAY_NAMES) return null;
+
+    return this.displayNames.get(userId) ?? null;
+  }
+
+  /**
+   * Sets the names and words whisper is primed with and transcriptions are corrected towards
+   *
+   * @param {string[]} terms - Canonical spellings, most important first
+   *
+   * @returns {void}
+   */
+  setVocabulary(terms) {
+    const seen = new Set();
+    this.vocabulary = terms
+      .map((term) => term.trim())
+      .filter((term) => {
+        const key = term.toLowerCase();
+        if (!term || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
 
-    const modelContent = `<${player}>\n${transcription}</${player}>`;
-    const modelTokens = EstimateTokens(modelContent);
-    const userContent = `<${player} [${start}]>\n${transcription}</${player} [${end}]>`;
+  /**
+   * Builds whisper's initial prompt from the vocabulary, dropping the least important
+   * terms once it would outgrow VOCAB_PROMPT_TOKENS
+   *
+   * @returns {string} An empty string when there is no vocabulary
+   */
+  getTranscriberPrompt() {
+    const included = [];
+    for (const term of this.vocabulary) {
+      if (EstimateTokens(`${[...included, term].join(", ")}.`) > VOCAB_PROMPT_TOKENS) break;
+      included.push(term);
+    }
 
-    this.sessionLog.push({ userContent, modelContent, modelTokens });
+    return included.length > 0 ? `${included.join(", ")}.` : "";
   }
 
   /**
    * Summarizes a session chat and stores it internally
    *
    * @param {string} tokenSplitTranscript
+   * @param {StreamHandler | null} [stream] - Shows the summary in Discord as it's written
    * @requires string
    */
-  async addSummary(tokenSplitTranscript) {
+  async addSummary(tokenSplitTranscript, stream = null) {
+    await this.campaignRecapTask;
+
     const chatLog = [
-      { role: SYSTEM, content: SUMMARY_PROMPT },
+      {
+        role: SYSTEM,
+        content: this.withSessionContext(this.withCampaignContext(this.prompts.summary)),
+      },
       { role: USER, content: tokenSplitTranscript },
     ];
 
-    const summaryContent = await this.promptSummarizer(chatLog);
+    const summaryContent = await this.promptSummarizer(chatLog, undefined, stream, this.models.chunk);
 
     if (summaryContent.length === 0) return;
 
-    const userContent = summaryContent;
-    const modelContent = `<summary>\n${summaryContent}\n</summary>`;
-    this.summaryLog.push({ userContent, modelContent });
+    this.summaryLog.push(toSummary(summaryContent));
   }
 
   /**
-   * Loops through session log and continuously prompts models until
-   * all summaries are finished, then critiques them for a final summary.
+   * Counts a text's tokens as the given model sees them, as well as the server's counts so far tell
    *
-   * Also stores the final summary in a feedback chat for user editing
-   * via model prmopting.
+   * @param {string} text
+   * @param {string} [model]
    *
-   * @returns {Promise<string>}
+   * @returns {number}
+   */
+  countTokens(text, model = this.models.chunk) {
+    return EstimateTokens(text, this.llm.charsPerToken(model));
+  }
+
+  /**
+   * How many transcript tokens fit into one chunk: the chunk model's share of its context
+   * (see TOKEN_SPLIT_RATIO) minus the system prompt sent along with it
+   *
+   * @returns {number}
+   */
+  getChunkBudget() {
+    const budget = this.llm.contextLimit(this.models.chunk) * TOKEN_SPLIT_RATIO;
+    const systemPrompt = this.countTokens(this.withSessionContext(this.withCampaignContext(this.prompts.summary)));
+
+    // A campaign context that eats the whole budget shouldn't turn every utterance into its own chunk
+    return Math.max(budget / 4, budget - systemPrompt);
+  }
+
+  /**
+   * How many tokens of summaries fit into one critic prompt: the critic model's share of its context
+   * minus the critic prompt
+   *
+   * @returns {number}
+   */
+  getCriticBudget() {
+    const budget = this.llm.contextLimit(this.models.critic) * TOKEN_SPLIT_RATIO;
+    const systemPrompt = this.countTokens(this.withCampaignContext(this.prompts.critic), this.models.critic);
+
+    return Math.max(budget / 4, budget - systemPrompt);
+  }
+
+  /**
+   * The last few transcript entries before a chunk, repeated at its start so events spanning the split aren't lost.
+   * Takes at most CHUNK_OVERLAP entries, and fewer when they'd fill more than a quarter of the chunk.
+   *
+   * @param {number} index - Where the chunk starts in the session log
+   * @param {number} budget - The chunk's budget in tokens
+   *
+   * @returns {string}
+   */
+  getOverlap(index, budget) {
+    let overlap = "";
+    let tokens = 0;
+
+    for (let i = index - 1; i >= Math.max(0, index - CHUNK_OVERLAP); i--) {
+      const content = `${this.sessionLog[i].modelContent}\n`;
+      tokens += this.countTokens(content);
+      if (tokens > budget / 4) break;
+
+      overlap = content + overlap;
+    }
+
+    return overlap;
+  }
+
+  /**
+   * Takes the part of the session log that hasn't been summarized yet, split into
+   * chunks that fit the budget from getChunkBudget. Each chunk starts with the overlap
+   * from getOverlap, which isn't counted as taken. Nothing from heldFrom on is taken.
+   *
+   * @param {boolean} includeTail - Whether the last chunk is taken even though it's still short
+   *
+   * @returns {string[]}
    */
-  async getCriticSummary() {
-    let currentTokenCount = 0;
-    let currentConvo = "";
+  takeChunks(includeTail) {
+    const chunks = [];
 
-    for (const chat of this.sessionLog) {
+    const budget = this.getChunkBudget();
+    let currentConvo = this.getOverlap(this.chunkedEntries, budget);
+    let currentTokenCount = this.countTokens(currentConvo);
+    let hasNewEntries = false;
+
+    let end = this.chunkedEntries;
+    while (end < this.sessionLog.length && this.sessionLog[end].start < this.heldFrom) end++;
+
+    for (let i = this.chunkedEntries; i < end; i++) {
+      const chat = this.sessionLog[i];
       currentConvo += `${chat.modelContent}\n`;
-      currentTokenCount += chat.modelTokens;
+      currentTokenCount += this.countTokens(chat.modelContent);
+      hasNewEntries = true;
+
+      if (currentTokenCount >= budget) {
+        chunks.push(currentConvo);
+        this.chunkedEntries = i + 1;
+        currentConvo = this.getOverlap(i + 1, budget);
+        currentTokenCount = this.countTokens(currentConvo);
+        hasNewEntries = false;
+      }
+    }
 
-      this.sessionTranscript += `\n${chat.userContent}\n`;
+    if (includeTail && hasNewEntries) {
+      chunks.push(currentConvo);
+      this.chunkedEntries = end;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Queues a summary for every full chunk of the transcript, so long sessions
+   * are mostly summarized by the time they stop
+   *
+   * @returns {void}
+   */
+  summarizeReadyChunks() {
+    for (const chunk of this.takeChunks(false)) {
+      this.queueChunkSummary(chunk);
+    }
+  }
+
+  /**
+   * Summarizes a chunk in the background, after every chunk queued before it
+   *
+   * @param {string} chunk
+   *
+   * @returns {void}
+   */
+  queueChunkSummary(chunk) {
+    this.pendingChunks++;
 
-      if (currentTokenCount >= MAX_TOKEN_LIMIT * TOKEN_SPLIT_RATIO) {
-        await this.addSummary(currentConvo);
-        currentTokenCount = 0;
-        currentConvo = "";
+    this.rollingSummaryTask = this.rollingSummaryTask.then(async () => {
+      try {
+        await this.addSummary(chunk);
+      } catch (err) {
+        console.error("Could not summarize transcript chunk:", err);
+      } finally {
+        this.pendingChunks--;
       }
+    });
+  }
+
+  /**
+   * Summarizes the segment since the last pause and folds its chunk summaries into one,
+   * which the following summaries get as context and the critic sees in its place.
+   *
+   * @returns {Promise<string | null>} The interim summary, null if nothing was said since the last pause, or an empty string if the model failed
+   */
+  async getInterimSummary() {
+    for (const chunk of this.takeChunks(true)) {
+      this.queueChunkSummary(chunk);
+    }
+
+    // Queued like a chunk so summaries of the next segment can't land in the middle of the merge
+    const interim = this.rollingSummaryTask.then(() => this.mergeSegment());
+    this.rollingSummaryTask = interim.then(
+      () => {},
+      () => {},
+    );
+
+    return await interim;
+  }
+
+  /**
+   * Replaces the summaries of the current segment with a single merged one
+   *
+   * @returns {Promise<string | null>}
+   */
+  async mergeSegment() {
+    const segment = this.summaryLog.slice(this.segmentStart);
+    if (segment.length === 0) return this.segmentHadSpeech() ? "" : null;
+
+    let interim = segment[0].userContent;
+    if (segment.length > 1) {
+      interim = await this.mergeSummaries(segment);
+
+      // The chunk summaries stay as they are and get merged again at the next pause or stop
+      if (interim.length === 0) return "";
+    }
+
+    this.summaryLog.splice(this.segmentStart, segment.length, toSummary(interim));
+    this.segmentStart = this.summaryLog.length;
+    this.segmentEntries = this.chunkedEntries;
+    this.interimSummaries.push(interim);
+
+    return interim;
+  }
+
+  /**
+   * Whether anything made it into the transcript since the last merged segment.
+   * Chunk summaries that failed leave no trace in summaryLog, so this looks at the log itself.
+   *
+   * @returns {boolean}
+   */
+  segmentHadSpeech() {
+    return this.sessionLog.length > this.segmentEntries;
+  }
+
+  /**
+   * Summarizes whatever the rolling summaries haven't covered yet, waits for
+   * the ones still running, then critiques them all for a final summary.
+   *
+   * Also stores the final summary in a feedback chat for user editing
+   * via model prmopting.
+   *
+   * @param {StreamHandler | null} [stream] - Shows the final summary in Discord as it's written
+   *
+   * @returns {Promise<string>}
+   */
+  async getCriticSummary(stream = null) {
+    this.sessionTranscript = FormatTranscript(this.sessionLog);
+
+    const chunks = this.takeChunks(true);
+    const lastChunk = chunks.pop();
+    for (const chunk of chunks) {
+      this.queueChunkSummary(chunk);
     }
 
-    if (currentConvo.length > 0) {
-      await this.addSummary(currentConvo);
+    await this.rollingSummaryTask;
+
+    // A session that fits in one chunk skips the critic, so its only summary is the one to stream
+    if (lastChunk !== undefined) {
+      await this.addSummary(lastChunk, this.summaryLog.length === 0 ? stream : null);
     }
 
     if (this.summaryLog.length === 0) {
@@ -205,19 +728,189 @@ export default class ModelHandler {
       return this.summaryLog[0].userContent;
     }
 
-    const allSummaries = this.summaryLog
-      .map((summary) => summary.modelContent)
+    const fullSummary = await this.mergeSummaries(this.summaryLog, stream);
+
+    this.feedbackChat.push({ role: ASSISTANT, content: fullSummary });
+
+    return fullSummary;
+  }
+
+  /**
+   * Merges summaries into one with the critic, in the order they're given. When they don't
+   * fit into one critic prompt, consecutive groups that do are merged first, level by level,
+   * until the rest fits. Summaries too big to pair with a neighbour are condensed on their own,
+   * and ones too big for a critic prompt at all are split first, so no prompt outgrows getCriticBudget.
+   *
+   * @param {{ userContent: string, modelContent: string }[]} summaries
+   * @param {StreamHandler | null} [stream] - Shows the last merge in Discord as it's written
+   *
+   * @returns {Promise<string>} An empty string if the last merge failed
+   */
+  async mergeSummaries(summaries, stream = null) {
+    const budget = this.getCriticBudget();
+    const sizeOf = (summary) => this.countTokens(summary.modelContent, this.models.critic);
+    const totalOf = (summaries) => summaries.reduce((acc, summary) => acc + sizeOf(summary), 0);
+
+    let level = summaries.flatMap((summary) => this.splitSummary(summary, budget));
+    while (totalOf(level) > budget) {
+      const merged = [];
+      for (const group of GroupByBudget(level, sizeOf, budget)) {
+        // Two summaries of up to half the budget always fit together, so only bigger ones are condensed
+        if (group.length === 1 && sizeOf(group[0]) <= budget / 2) {
+          merged.push(group[0]);
+          continue;
+        }
+
+        const content = (await this.promptCritic(group)) || (await this.promptCritic(group));
+        // A group the model failed on twice stays as it was, rather than losing that stretch of the session
+        merged.push(...(content.length > 0 ? this.splitSummary(toSummary(content), budget) : group));
+      }
+
+      // The model isn't shortening anything anymore, so the summaries are given back as they are
+      // rather than overflowing the critic
+      if (totalOf(merged) >= totalOf(level)) {
+        console.error(`Could not merge ${merged.length} summaries into one critic prompt, joining them instead`);
+        return merged.map((summary) => summary.userContent).join("\n\n");
+      }
+      level = merged;
+    }
+
+    return await this.promptCritic(level, stream);
+  }
+
+  /**
+   * Splits a summary too big for a critic prompt into pieces of about half the budget,
+   * at line breaks where it can
+   *
+   * @param {{ userContent: string, modelContent: string }} summary
+   * @param {number} budget - The critic budget in tokens
+   *
+   * @returns {{ userContent: string, modelContent: string }[]}
+   */
+  splitSummary(summary, budget) {
+    if (this.countTokens(summary.modelContent, this.models.critic) <= budget) return [summary];
+
+    const maxChars = Math.max(1, Math.floor((budget / 2) * this.llm.charsPerToken(this.models.critic)) - 32);
+    const lines = summary.userContent
+      .split("\n")
+      .flatMap((line) => line.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, "g")) ?? [line]);
+
+    return GroupByBudget(lines, (line) => this.countTokens(`${line}\n`, this.models.critic), budget / 2 - 8).map(
+      (group) => toSummary(group.join("\n")),
+    );
+  }
+
+  /**
+   * Asks the critic for one summary of the given ones
+   *
+   * @param {{ userContent: string, modelContent: string }[]} summaries
+   * @param {StreamHandler | null} [stream]
+   *
+   * @returns {Promise<string>}
+   */
+  async promptCritic(summaries, stream = null) {
+    const chatLog = [
+      { role: SYSTEM, content: this.withCampaignContext(this.prompts.critic) },
+      { role: USER, content: summaries.map((summary) => summary.modelContent).join("\n") },
+    ];
+
+    return await this.promptSummarizer(chatLog, undefined, stream, this.models.critic);
+  }
+
+  /**
+   * Extracts the named NPCs, places and items from a summary
+   *
+   * @param {string} summary - Usually the final critic summary
+   * @param {string[]} knownNames - Names already in the glossary, so the model reuses their spelling
+   *
+   * @returns {Promise<{ name: string, type: string, description: string, related: string[] }[]>}
+   */
+  async getEntities(summary, knownNames) {
+    if (!summary) return [];
+
+    const chatLog = [
+      { role: SYSTEM, content: GLOSSARY_PROMPT },
+      {
+        role: USER,
+        content: `<known>\n${knownNames.join("\n")}\n</known>\n<summary>\n${summary}\n</summary>`,
+      },
+    ];
+
+    const reply = await this.promptSummarizer(chatLog, "json");
+
+    try {
+      const entities = JSON.parse(reply).entities;
+      return Array.isArray(entities) ? entities : [];
+    } catch (err) {
+      console.error("Could not parse extracted entities:", err);
+      return [];
+    }
+  }
+
+  /**
+   * Condenses earlier sessions of a campaign into a "previously on..." recap
+   *
+   * @param {{ startedAt: number, summary: string }[]} previousSessions - Oldest first
+   *
+   * @returns {Promise<string>} The recap, or an empty string if there is nothing to recap
+   */
+  async getCampaignRecap(previousSessions) {
+    if (previousSessions.length === 0) return "";
+
+    const sessions = previousSessions
+      .map(
+        (session) =>
+          `<session date="${new Date(session.startedAt).toDateString()}">\n${session.summary}\n</session>`,
+      )
       .join("\n");
     const chatLog = [
-      { role: SYSTEM, content: CRITIC_PROMPT },
-      { role: USER, content: allSummaries },
+      { role: SYSTEM, content: RECAP_PROMPT },
+      { role: USER, content: sessions },
     ];
 
-    const fullSummary = await this.promptSummarizer(chatLog);
+    return await this.promptSummarizer(chatLog);
+  }
+
+  /**
+   * Starts building the campaign recap in the background.
+   * Summaries wait for it so every chunk gets the same context.
+   *
+   * @param {{ startedAt: number, summary: string }[]} previousSessions - Oldest first
+   *
+   * @returns {void}
+   */
+  loadCampaignRecap(previousSessions) {
+    this.campaignRecapTask = this.getCampaignRecap(previousSessions).then(
+      (recap) => {
+        this.campaignRecap = recap;
+      },
+    );
+  }
 
-    this.feedbackChat.push({ role: ASSISTANT, content: fullSummary });
+  /**
+   * Appends the campaign recap to a system prompt, if this session has one
+   *
+   * @param {string} prompt
+   *
+   * @returns {string}
+   */
+  withCampaignContext(prompt) {
+    if (!this.campaignRecap) return prompt;
 
-    return fullSummary;
+    return `${prompt}\n\n${CAMPAIGN_CONTEXT_PROMPT}\n<previously>\n${this.campaignRecap}\n</previously>`;
+  }
+
+  /**
+   * Appends what was summarized at earlier pauses of this session to a system prompt
+   *
+   * @param {string} prompt
+   *
+   * @returns {string}
+   */
+  withSessionContext(prompt) {
+    if (this.interimSummaries.length === 0) return prompt;
+
+    return `${prompt}\n\n${SESSION_CONTEXT_PROMPT}\n<so_far>\n${this.interimSummaries.join("\n\n")}\n</so_far>`;
   }
 
   /**
@@ -225,13 +918,14 @@ export default class ModelHandler {
    * the feedback internally for ease of use
    *
    * @param {string} feedback
+   * @param {StreamHandler | null} [stream] - Shows the revision in Discord as it's written
    *
    * @returns {string}
    */
-  async getSummaryEdit(feedback) {
+  async getSummaryEdit(feedback, stream = null) {
     this.feedbackChat.push({ role: USER, content: feedback });
 
-    const revised = await this.promptSummarizer(this.feedbackChat);
+    const revised = await this.promptSummarizer(this.feedbackChat, undefined, stream, this.models.feedback);
 
     this.feedbackChat.push({ role: ASSISTANT, content: revised });
 
@@ -243,18 +937,31 @@ export default class ModelHandler {
    * and returns the model's response content.
    *
    * @param {ChatMessage[]} chatLog - The conversation history to send to the model.
-   * @returns {Promise<string>} The assistant's reply content from the summarization model.
+   * @param {"json" | undefined} [format] - Forces the reply into JSON when set.
+   * @param {StreamHandler | null} [stream] - Streams the reply into Discord as it's generated.
+   * @param {string} [model] - The model to prompt, one of this.models
+   * @returns {Promise<string>} The assistant's reply content from the summarization model. A stream that fails partway returns what it got.
    */
-  async promptSummarizer(chatLog) {
+  async promptSummarizer(chatLog, format = undefined, stream = null, model = this.models.summary) {
+    let content = "";
+
     try {
       const sumStart = Date.now();
-      const res = await ollama.chat({
-        model: SUMMARY_MODEL,
+      const request = {
+        model,
         messages: chatLog,
         think: THINKING,
-        stream: false,
+        format,
         options: { temperature: TEMPERATURE, top_k: TOP_K, top_p: TOP_P },
-      });
+      };
+
+      const onContent = stream
+        ? (partial) => {
+            content = partial;
+            stream.update(partial);
+          }
+        : null;
+      content = await this.llm.chat(request, onContent);
       const elapsed = Date.now() - sumStart;
 
       this.averageSummaryTimeMs =
@@ -262,46 +969,60 @@ export default class ModelHandler {
         (this.summariesCompleted + 1);
       this.summariesCompleted++;
 
-      return res.message.content;
+      return content;
     } catch (err) {
       console.error("Could not prompt model due to error:", err);
-      return "";
+      stream?.fail(err);
+      return content;
     }
   }
 
   /**
-   * Sends a WAV audio buffer to the Whisper inference server for transcription.
-   * Returns the cleaned transcription text, or an empty string if an error occurs.
+   * Embeds a batch of texts with the configured embedding model.
+   * Unlike the other prompts this throws, since a missing vector can't be papered over.
+   *
+   * @param {string[]} texts
+   * @returns {Promise<Float32Array[]>} One vector per text, in the same order
+   */
+  async promptEmbedder(texts) {
+    if (texts.length === 0) return [];
+
+    const embeddings = await this.llm.embed(EMBEDDING_MODEL, texts);
+
+    return embeddings.map((embedding) => new Float32Array(embedding));
+  }
+
+  /**
+   * Sends a WAV audio buffer to the transcription backend, primed with the session vocabulary.
+   * Returns the filtered (and vocab corrected) transcription text, and its segments cleaned the same way.
    *
    * @param {Buffer} buffer - The raw WAV audio buffer to transcribe.
-   * @returns {Promise<string>} A promise that resolves to the cleaned transcription text.
+   * @throws {Error} If the backend can't be reached or answers with an error, so the audio isn't mistaken for silence.
+   * @returns {Promise<ClipTranscription>} A promise that resolves to the cleaned transcription.
    */
   async promptTranscriber(buffer) {
-    const audioBlob = new Blob([buffer], {
-      type: "audio/wav",
+    const result = await this.transcriber.transcribe(buffer, {
+      prompt: this.getTranscriberPrompt(),
+      language: TRANSCRIPTION_LANGUAGE,
     });
+    this.language = result.language ?? this.language;
 
-    const formData = new FormData();
-    formData.append("file", audioBlob, "voiceStream.wav");
+    const clean = (text) => {
+      const filtered = FilterTranscription(text);
+      return VOCAB_CORRECTION
+        ? CorrectVocabulary(filtered, this.vocabulary, VOCAB_CORRECTION_THRESHOLD)
+        : filtered;
+    };
 
-    try {
-      const res = await fetch(WHISPER_URL, {
-        method: "POST",
-        body: formData,
-      });
+    const text = clean(result.text);
+    // Segments whisper hallucinated or left empty are dropped like the text around them
+    const segments = text
+      ? result.segments
+          .map((segment) => ({ ...segment, text: clean(segment.text) }))
+          .filter((segment) => segment.text.trim().length > 0)
+      : [];
 
-      if (!res.ok) {
-        const json = await res.json();
-        const errorText = json.error;
-        throw new Error(`Whisper failed with code ${res.status}: ${errorText}`);
-      }
-
-      const result = await res.json();
-      return CleanTranscription(result.text);
-    } catch (err) {
-      console.error(err.message);
-      return ""; // returning "" here instead of throwing an error because it may have been a fluke
-    }
+    return { text, segments };
   }
 
   /**
@@ -1,4 +1,10 @@
+import {
+  MAX_QUEUED_AUDIO_BYTES,
+  TRANSCRIPTION_WORKERS,
+  WHISPER_DOWN_AFTER,
+} from "@/lib/static/Constants.js";
 import ModelHandler from "@/lib/session/ModelHandler.js";
+import CheckpointHandler from "@/lib/storage/CheckpointHandler.js";
 
 /**
  * Represents a queue type job
@@ -8,72 +14,340 @@ import ModelHandler from "@/lib/session/ModelHandler.js";
  * @property {string} userId
  *  The Discord User ID
  *
- * @property {Buffer} buffer
- *  The voice stream audio data, converted to wav
+ * @property {Buffer | null} buffer
+ *  The voice stream audio data, converted to wav. Null while the job waits in the checkpoint instead of memory
  *
  * @property {number} start
  *  The JS (millis) unix timestamp where audio stream started
  *
  * @property {number} end
  *  The JS (millis) unix timestamp where audio stream ended
+ *
+ * @property {number | null} [checkpointId]
+ *  The id of the job's audio in the session checkpoint, if it was saved
+ *
+ * @property {number} [size]
+ *  The audio's length in bytes, kept while the buffer is out of memory
+ *
+ * @property {number} [seq]
+ *  The order the job was queued in, which its transcript is committed in
+ *
+ * @property {boolean} [lastTry]
+ *  Whether the job already failed every retry and this is its final attempt
  */
 
 export default class QueueHandler {
-  /** @type {boolean} */
-  working = false;
-
-  /** @type {{ start: string, end: string, userId: string, buffer: Buffer }[] | []} */
+  /** @type {Job[]} */
   queue = [];
 
   /** @type {ModelHandler | null} */
   modelHandler = null;
 
+  /** @type {CheckpointHandler | null} */
+  checkpoint = null;
+
+  /** @type {number} */
+  workers = 1;
+
+  /** @type {number} */
+  active = 0;
+
+  /** @type {number} */
+  queuedJobs = 0;
+
+  /** @type {number} */
+  nextCommit = 0;
+
+  /** @type {Map<number, { job: Job, transcription: import("@/lib/session/ModelHandler.js").ClipTranscription | null }>} */
+  finished = new Map();
+
+  /** @type {number} */
+  memoryBytes = 0;
+
+  /** @type {boolean} */
+  warnedNoSpill = false;
+
+  /** @type {Job[]} */
+  deadLetters = [];
+
+  /** @type {Set<Job>} Jobs queued or being transcribed whose transcript isn't committed yet */
+  inFlight = new Set();
+
+  /** @type {Map<string, number>} When each user still speaking started, before their clip becomes a job */
+  speaking = new Map();
+
+  /** @type {boolean} Whether the dead letters had their last try, after which nothing waits for them */
+  lastTryDone = false;
+
+  /** @type {number | null} Where the rolling summaries were last told to stop */
+  heldAt = null;
+
+  /** @type {number} */
+  failedInARow = 0;
+
+  /** @type {boolean} */
+  whisperDown = false;
+
+  /** @type {((down: boolean) => void) | null} */
+  onWhisperOutage = null;
+
   /**
    * @param {ModelHandler} modelHandler
+   * @param {CheckpointHandler | null} [checkpoint] - Where queued audio is saved until it is transcribed
+   * @param {number} [workers] - How many jobs are transcribed at once
    * @requires ModelHandler
    */
-  constructor(modelHandler) {
+  constructor(modelHandler, checkpoint = null, workers = TRANSCRIPTION_WORKERS) {
     this.modelHandler = modelHandler;
+    this.checkpoint = checkpoint;
+    this.workers = workers;
   }
 
   /**
-   * Enqueues a new audio transcription job and starts the worker
-   * if it is currently idle.
+   * Whether any job is being transcribed right now
+   *
+   * @returns {boolean}
+   */
+  get working() {
+    return this.active > 0;
+  }
+
+  /**
+   * Enqueues a new audio transcription job and starts a worker
+   * if one is free. Jobs restored from a checkpoint keep their checkpoint id.
    *
    * @param {Job} job - The transcription job to enqueue.
    * @returns {Promise<void>}
    */
   async enqueue(job) {
+    if (this.checkpoint && job.checkpointId === undefined) {
+      job.checkpointId = this.checkpoint.saveJob(job);
+    }
+
+    job.seq = this.queuedJobs++;
+    job.size = job.buffer.length;
     this.queue.push(job);
+    this.holdInMemory(job);
+    this.inFlight.add(job);
+    this.holdSummaries();
 
-    if (!this.working) this.dequeue();
+    this.dequeue();
   }
 
   /**
-   * Dequeues and uses ModelHandler to process transcription jobs one-by-one.
-   * Automatically continues.
+   * Keeps a queued job's audio in memory while there's room under MAX_QUEUED_AUDIO_BYTES.
+   * Past that the audio only lives in the checkpoint until a worker picks the job up.
    *
-   * @returns {Promise<void>}
+   * @param {Job} job
+   *
+   * @returns {void}
    */
-  async dequeue() {
-    if (this.working || this.queue.length === 0) return;
+  holdInMemory(job) {
+    if (this.memoryBytes + job.size <= MAX_QUEUED_AUDIO_BYTES) {
+      this.memoryBytes += job.size;
+      return;
+    }
 
-    const job = this.queue.shift();
-    if (!job) return;
+    if (!this.checkpoint || job.checkpointId === null) {
+      if (!this.warnedNoSpill) {
+        console.warn("The transcription backlog is over its memory limit, but there is no checkpoint to move it to");
+        this.warnedNoSpill = true;
+      }
+      this.memoryBytes += job.size;
+      return;
+    }
+
+    job.buffer = null;
+  }
+
+  /**
+   * Starts transcription jobs until every worker is busy.
+   * Each worker picks up the next job when it finishes.
+   *
+   * @returns {void}
+   */
+  dequeue() {
+    while (this.active < this.workers && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+      this.work(job);
+    }
+  }
 
-    this.working = true;
+  /**
+   * Transcribes one job and commits every finished job that is next in line
+   *
+   * @param {Job} job
+   *
+   * @returns {Promise<void>}
+   */
+  async work(job) {
+    let transcription = null;
 
     try {
-      await this.modelHandler.addTranscription(job);
+      if (job.buffer) {
+        this.memoryBytes -= job.size;
+      } else {
+        job.buffer = this.checkpoint.loadJobAudio(job.checkpointId);
+      }
+
+      if (!job.buffer) {
+        console.error(`The audio of job [${job.checkpointId}] is missing from the checkpoint`);
+      } else {
+        transcription = await this.modelHandler.transcribe(job, job.lastTry ? 0 : undefined);
+        this.trackWhisper(true);
+      }
     } catch (err) {
-      console.error(err);
+      console.error(`Could not transcribe a clip from [${job.userId}]:`, err.message);
+      this.deadLetter(job);
+      this.trackWhisper(false);
     } finally {
-      this.working = false;
+      this.finished.set(job.seq, { job, transcription });
+      this.commitFinished();
+      this.active--;
 
       this.dequeue();
     }
   }
 
+  /**
+   * Hands finished transcriptions to the model in the order their jobs were queued,
+   * holding back any that finished before the jobs queued ahead of them
+   *
+   * @returns {void}
+   */
+  commitFinished() {
+    while (this.finished.has(this.nextCommit)) {
+      const { job, transcription } = this.finished.get(this.nextCommit);
+      this.finished.delete(this.nextCommit);
+      this.nextCommit++;
+      this.inFlight.delete(job);
+
+      // A job that failed stays in the checkpoint, so it's retried if the session is restored
+      if (transcription === null) continue;
+
+      try {
+        this.modelHandler.commitTranscription(job, transcription);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+
+    this.holdSummaries();
+  }
+
+  /**
+   * Holds the rolling summaries back from a clip that's still being recorded
+   *
+   * @param {string} userId
+   * @param {number} start - The JS (millis) unix timestamp the user started speaking at
+   *
+   * @returns {void}
+   */
+  startedSpeaking(userId, start) {
+    this.speaking.set(userId, start);
+    this.holdSummaries();
+  }
+
+  /**
+   * Lets the summaries go past a clip once it's recorded. Call it after the clip is enqueued,
+   * so the queued job takes over the hold.
+   *
+   * @param {string} userId
+   *
+   * @returns {void}
+   */
+  stoppedSpeaking(userId) {
+    this.speaking.delete(userId);
+    this.holdSummaries();
+  }
+
+  /**
+   * Keeps the rolling summaries short of the earliest clip that can still make it into the transcript,
+   * one that's being recorded, queued, transcribed or parked for a last try. Jobs are committed in the
+   * order their streams ended, so a long utterance lands after shorter ones that started later, and
+   * this lets it be slotted in where it was said.
+   *
+   * @returns {void}
+   */
+  holdSummaries() {
+    const waiting = this.lastTryDone ? [...this.inFlight] : [...this.inFlight, ...this.deadLetters];
+    const starts = [...this.speaking.values(), ...waiting.map((job) => job.start)];
+    const heldAt = starts.length > 0 ? Math.min(...starts) : null;
+    if (heldAt === this.heldAt) return;
+
+    this.heldAt = heldAt;
+    this.modelHandler.holdSummariesAt(heldAt);
+  }
+
+  /**
+   * Parks a job whose every retry failed until the session stops.
+   * Its audio goes back to the checkpoint if there is one, so a long outage doesn't fill up memory,
+   * and otherwise counts towards memoryBytes again. The rolling summaries keep waiting for it,
+   * so it lands where it was said if it's transcribed after all.
+   *
+   * @param {Job} job
+   *
+   * @returns {void}
+   */
+  deadLetter(job) {
+    if (this.checkpoint && job.checkpointId !== null && job.checkpointId !== undefined) {
+      job.buffer = null;
+    } else if (job.buffer) {
+      this.memoryBytes += job.size;
+    }
+
+    this.deadLetters.push(job);
+  }
+
+  /**
+   * Gives every dead-lettered job one last try, without retries.
+   * Whatever fails again is left in deadLetters, and the summaries stop waiting for it.
+   *
+   * @returns {Promise<void>}
+   */
+  async retryDeadLetters() {
+    for (const job of this.deadLetters.splice(0)) {
+      job.lastTry = true;
+      job.seq = this.queuedJobs++;
+      this.queue.push(job);
+      this.inFlight.add(job);
+    }
+
+    this.dequeue();
+    await this.finishTranscriptionQueue();
+
+    this.lastTryDone = true;
+    this.holdSummaries();
+  }
+
+  /**
+   * Counts the clips that failed in a row, and calls onWhisperOutage
+   * when whisper looks down or comes back up
+   *
+   * @param {boolean} succeeded
+   *
+   * @returns {void}
+   */
+  trackWhisper(succeeded) {
+    this.failedInARow = succeeded ? 0 : this.failedInARow + 1;
+
+    const down = this.failedInARow >= WHISPER_DOWN_AFTER;
+    if (down === this.whisperDown) return;
+
+    this.whisperDown = down;
+    this.onWhisperOutage?.(down);
+  }
+
+  /**
+   * Counts the WAV audio still waiting to be transcribed, not including the jobs in progress
+   *
+   * @returns {number}
+   */
+  getPendingBytes() {
+    return this.queue.reduce((acc, job) => acc + job.size, 0);
+  }
+
   /**
    * Waits for everything in queue to finsh.
    * Obviously this assumes ModelHandler is not null
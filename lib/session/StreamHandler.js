@@ -0,0 +1,149 @@
+import { STREAM_EDIT_INTERVAL } from "@/lib/static/Constants.js";
+import { SplitMessage } from "@/lib/static/Utils.js";
+
+/**
+ * The cursor shown at the end of a reply that's still being written
+ * @constant {string}
+ */
+const CURSOR = " ▌";
+
+/**
+ * Shows a model reply in Discord while it is being generated. The reply is edited into
+ * its message at most every STREAM_EDIT_INTERVAL, and once a message holds MESSAGE_CHUNK_SIZE
+ * characters the rest rolls over into new messages, like SplitMessage would split it.
+ */
+export default class StreamHandler {
+  /** @type {import("discord.js").TextBasedChannel | null} */
+  channel = null;
+
+  /** @type {import("discord.js").Message[]} */
+  messages = [];
+
+  /** @type {string[]} */
+  shown = [];
+
+  /** @type {string} */
+  text = "";
+
+  /** @type {Error | null} */
+  error = null;
+
+  /** @type {number} */
+  interval = STREAM_EDIT_INTERVAL;
+
+  /** @type {number} */
+  lastFlush = 0;
+
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  timer = null;
+
+  /** @type {Promise<void>} */
+  flushing = Promise.resolve();
+
+  /**
+   * @param {import("discord.js").TextBasedChannel} channel - Where the reply is posted
+   * @param {number} [interval] - The milliseconds between edits
+   */
+  constructor(channel, interval = STREAM_EDIT_INTERVAL) {
+    this.channel = channel;
+    this.interval = interval;
+  }
+
+  /**
+   * Takes the reply so far, which the messages catch up to at the next edit
+   *
+   * @param {string} text
+   *
+   * @returns {void}
+   */
+  update(text) {
+    this.text = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastFlush + this.interval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.queueFlush(true);
+    }, wait);
+  }
+
+  /**
+   * Notes that the model stopped partway, which is shown under the reply once it's finished
+   *
+   * @param {Error} err
+   *
+   * @returns {void}
+   */
+  fail(err) {
+    this.error = err;
+  }
+
+  /**
+   * Shows the whole reply without the cursor
+   *
+   * @param {string} text - The final reply, usually what was streamed
+   *
+   * @returns {Promise<import("discord.js").Message[]>} The messages the reply is in
+   */
+  async finish(text) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.text = text;
+
+    await this.queueFlush(false);
+
+    return this.messages;
+  }
+
+  /**
+   * Edits the messages after any edit still in flight
+   *
+   * @param {boolean} writing - Whether the model is still going
+   *
+   * @returns {Promise<void>}
+   */
+  queueFlush(writing) {
+    this.flushing = this.flushing
+      .then(() => this.flush(writing))
+      .catch((err) => console.error("Could not update a streamed message:", err));
+
+    return this.flushing;
+  }
+
+  /**
+   * Brings the messages up to date with the reply, only touching the ones that changed
+   *
+   * @param {boolean} writing
+   *
+   * @returns {Promise<void>}
+   */
+  async flush(writing) {
+    this.lastFlush = Date.now();
+
+    let text = this.text;
+    if (writing) {
+      text += CURSOR;
+    } else if (this.error) {
+      text += `\n\n-# ⚠️ The model stopped partway through (${this.error.message}), this is as far as it got.`;
+    }
+
+    const chunks = SplitMessage(text).filter((chunk) => chunk.trim().length > 0);
+
+    for (let i = 0; i < chunks.length; i++) {
+      if (this.shown[i] === chunks[i]) continue;
+
+      if (this.messages[i]) {
+        await this.messages[i].edit({ content: chunks[i] });
+      } else {
+        this.messages.push(await this.channel.send({ content: chunks[i] }));
+      }
+      this.shown[i] = chunks[i];
+    }
+
+    // The final reply can be shorter than what was streamed, e.g. when the model failed
+    for (const message of this.messages.splice(chunks.length)) {
+      await message.delete().catch(() => {});
+    }
+    this.shown.length = chunks.length;
+  }
+}
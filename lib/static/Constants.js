@@ -1,3 +1,4 @@
+import path from "node:path";
 import config from "@/conf/conf.toml";
 
 /**
@@ -19,10 +20,71 @@ export const USER = "user";
 export const ASSISTANT = "assistant";
 
 /**
- * The API endpoint URL for the Whisper inference server.
+ * The API endpoint URLs for the Whisper inference servers, used round-robin.
+ * The WHISPER_URL environment variable (comma separated for several) wins over the config file.
+ * @constant {string[]}
+ */
+export const WHISPER_URLS = (
+  process.env.WHISPER_URL ? process.env.WHISPER_URL.split(",") : [config.apis.whisper_url].flat()
+)
+  .map((url) => `${url}`.trim())
+  .filter(Boolean);
+
+/**
+ * The first Whisper endpoint
  * @constant {string}
  */
-export const WHISPER_URL = config.apis.whisper_url;
+export const WHISPER_URL = WHISPER_URLS[0];
+
+/**
+ * The url of the Ollama server used for summaries and embeddings.
+ * The OLLAMA_HOST environment variable wins over the config file.
+ * @constant {string}
+ */
+export const OLLAMA_HOST =
+  process.env.OLLAMA_HOST || config.apis.ollama_host || "http://127.0.0.1:11434";
+
+/**
+ * The LLM servers summaries can be written by
+ * @constant {string[]}
+ */
+export const LLM_PROVIDERS = ["ollama", "openai"];
+
+/**
+ * The kind of server that writes summaries
+ * @constant {string}
+ */
+export const LLM_PROVIDER = LLM_PROVIDERS.includes(config.llm?.provider)
+  ? config.llm.provider
+  : "ollama";
+
+/**
+ * The base url of the LLM server, falling back to the Ollama host.
+ * The LLM_HOST environment variable wins over the config file.
+ * @constant {string}
+ */
+export const LLM_HOST = (process.env.LLM_HOST || config.llm?.host || OLLAMA_HOST).replace(/\/+$/, "");
+
+/**
+ * How long the LLM server may go quiet in milliseconds, waiting for a reply or between streamed parts of it, 0 for no limit
+ * @constant {number}
+ */
+export const LLM_TIMEOUT = (parseFloat(config.llm?.timeout ?? 600) || 0) * 1000;
+
+/**
+ * Extra HTTP headers sent with every LLM request
+ * @constant {Record<string, string>}
+ */
+export const LLM_HEADERS = Object.fromEntries(
+  Object.entries(config.llm?.headers ?? {}).map(([name, value]) => [name, `${value}`]),
+);
+
+/**
+ * The bearer token sent to the LLM server.
+ * The LLM_API_KEY environment variable wins over the config file.
+ * @constant {string}
+ */
+export const LLM_API_KEY = process.env.LLM_API_KEY || config.llm?.api_key || "";
 
 /**
  * The specific model tag used for generating transcripts.
@@ -31,6 +93,72 @@ export const WHISPER_URL = config.apis.whisper_url;
  */
 export const WHISPER_MODEL = config.models.whisper_model;
 
+/**
+ * The speech-to-text backends clips can be transcribed with
+ * @constant {string[]}
+ */
+export const TRANSCRIPTION_BACKENDS = ["whisper_server", "openai", "whisper_cli"];
+
+/**
+ * The backend that transcribes clips
+ * @constant {string}
+ */
+export const TRANSCRIPTION_BACKEND = TRANSCRIPTION_BACKENDS.includes(config.transcription?.backend)
+  ? config.transcription.backend
+  : "whisper_server";
+
+/**
+ * The language whisper is told to expect, or an empty string to detect it
+ * @constant {string}
+ */
+export const TRANSCRIPTION_LANGUAGE = `${config.transcription?.language ?? ""}`.trim();
+
+/**
+ * How long transcribing a single clip may take in milliseconds, 0 for no limit
+ * @constant {number}
+ */
+export const TRANSCRIPTION_TIMEOUT = (parseFloat(config.transcription?.timeout ?? 120) || 0) * 1000;
+
+/**
+ * The OpenAI-compatible transcription endpoints, used round-robin
+ * @constant {string[]}
+ */
+export const OPENAI_TRANSCRIPTION_URLS = [
+  config.transcription?.openai_url ?? "http://127.0.0.1:8000/v1/audio/transcriptions",
+]
+  .flat()
+  .map((url) => `${url}`.trim())
+  .filter(Boolean);
+
+/**
+ * The key sent to OpenAI-compatible transcription servers.
+ * The TRANSCRIPTION_API_KEY environment variable wins over the config file.
+ * @constant {string}
+ */
+export const OPENAI_TRANSCRIPTION_KEY =
+  process.env.TRANSCRIPTION_API_KEY || config.transcription?.openai_api_key || "";
+
+/**
+ * The whisper.cpp binary the CLI backend runs
+ * @constant {string}
+ */
+export const WHISPER_CLI_PATH = config.transcription?.cli_path || "whisper-cli";
+
+/**
+ * The model file the whisper.cpp CLI loads
+ * @constant {string}
+ */
+export const WHISPER_CLI_MODEL = path.join(
+  config.transcription?.cli_model_directory || "models",
+  WHISPER_MODEL ?? "",
+);
+
+/**
+ * The number of threads the whisper.cpp CLI runs with
+ * @constant {number}
+ */
+export const WHISPER_THREADS = parseInt(config.limits.whisper_threads) || 4;
+
 /**
  * The specific model tag used for generating summaries.
  * currently using a qwen3 8b abliterated model
@@ -38,6 +166,32 @@ export const WHISPER_MODEL = config.models.whisper_model;
  */
 export const SUMMARY_MODEL = config.models.summary_model;
 
+/**
+ * The model that summarizes each transcript chunk
+ * @constant {string}
+ */
+export const CHUNK_MODEL = config.models.chunk_model || SUMMARY_MODEL;
+
+/**
+ * The model for the critic pass that merges the chunk summaries
+ * @constant {string}
+ */
+export const CRITIC_MODEL = config.models.critic_model || SUMMARY_MODEL;
+
+/**
+ * The model that revises the summary from feedback
+ * @constant {string}
+ */
+export const FEEDBACK_MODEL = config.models.feedback_model || SUMMARY_MODEL;
+
+/**
+ * The specific model tag used for embedding transcript chunks.
+ * Used by the ask command to search archived sessions
+ * @constant {string}
+ */
+export const EMBEDDING_MODEL =
+  config.models.embedding_model || "nomic-embed-text";
+
 /**
  * Your Discord Bot token
  * Used to login as your bot when running the program
@@ -67,6 +221,105 @@ export const CRITIC_PROMPT = config.prompts.critic_prompt;
  */
 export const FEEDBACK_PROMPT = config.prompts.feedback_prompt;
 
+/**
+ * The system prompt that condenses earlier campaign sessions into a "previously on..." recap.
+ * @constant {string}
+ */
+export const RECAP_PROMPT = config.prompts.recap_prompt;
+
+/**
+ * The instructions appended to the summary and critic prompts when a session belongs to a campaign.
+ * Used to keep recurring names consistent without re-summarizing earlier sessions
+ * @constant {string}
+ */
+export const CAMPAIGN_CONTEXT_PROMPT = config.prompts.campaign_context_prompt;
+
+/**
+ * The instructions appended to the summary prompt once a session has been paused,
+ * so the next segment is summarized with the story so far in mind
+ * @constant {string}
+ */
+export const SESSION_CONTEXT_PROMPT = config.prompts.session_context_prompt;
+
+/**
+ * The system prompt that answers questions from archived session excerpts.
+ * @constant {string}
+ */
+export const ASK_PROMPT = config.prompts.ask_prompt;
+
+/**
+ * The system prompt that extracts named entities from a final summary as JSON.
+ * @constant {string}
+ */
+export const GLOSSARY_PROMPT = config.prompts.glossary_prompt;
+
+/**
+ * The instructions added to the summary, critic and feedback prompts when a style asks for something else
+ * @constant {string}
+ */
+export const STYLE_PROMPT = config.prompts.style_prompt ?? "";
+
+// Every table under [styles] is a preset, its other keys (like default) are settings
+const configuredStyles = Object.entries(config.styles ?? {}).filter(
+  ([, style]) => typeof style === "object" && style !== null,
+);
+
+/**
+ * The summary style presets from the config by their lowercase name, with a plain "tale" when there are none
+ * @constant {Record<string, { description: string, instructions: string, summaryPrompt: string | null, criticPrompt: string | null, feedbackPrompt: string | null }>}
+ */
+export const SUMMARY_STYLES = Object.fromEntries(
+  (configuredStyles.length > 0 ? configuredStyles : [["tale", {}]]).map(([name, style]) => [
+    name.toLowerCase(),
+    {
+      description: style.description ?? "",
+      instructions: style.instructions ?? "",
+      summaryPrompt: style.summary_prompt || null,
+      criticPrompt: style.critic_prompt || null,
+      feedbackPrompt: style.feedback_prompt || null,
+    },
+  ]),
+);
+
+/**
+ * The style summaries are written in unless another is picked
+ * @constant {string}
+ */
+export const DEFAULT_STYLE = SUMMARY_STYLES[`${config.styles?.default ?? ""}`.toLowerCase()]
+  ? `${config.styles.default}`.toLowerCase()
+  : Object.keys(SUMMARY_STYLES)[0];
+
+/**
+ * How similar two names must be for the glossary to treat them as the same entity
+ * @constant {number}
+ */
+export const GLOSSARY_MATCH_THRESHOLD =
+  parseFloat(config.limits.glossary_match_threshold) || 0.8;
+
+/**
+ * The kinds of entities the glossary groups its entries by
+ * @constant {string[]}
+ */
+export const GLOSSARY_TYPES = ["npc", "place", "item", "faction", "creature", "other"];
+
+/**
+ * The approximate token size of the searchable transcript chunks
+ * @constant {number}
+ */
+export const ASK_CHUNK_TOKENS = parseInt(config.limits.ask_chunk_tokens) || 400;
+
+/**
+ * The number of chunks handed to the model for each question
+ * @constant {number}
+ */
+export const ASK_RESULTS = parseInt(config.limits.ask_results) || 6;
+
+/**
+ * The number of earlier campaign sessions that go into a recap
+ * @constant {number}
+ */
+export const RECAP_SESSIONS = parseInt(config.limits.recap_sessions) || 3;
+
 /**
  * The duration of silence for the OPUS stream to end
  * Used to keep OPUS streams accurate and subtract from end time
@@ -74,18 +327,61 @@ export const FEEDBACK_PROMPT = config.prompts.feedback_prompt;
  */
 export const SILENCE_DURATION = parseInt(config.limits.silence_duration) || 500;
 
+/**
+ * How many clips are transcribed at once
+ * @constant {number}
+ */
+export const TRANSCRIPTION_WORKERS = Math.max(1, parseInt(config.limits.transcription_workers) || 1);
+
+/**
+ * How many times a clip is sent to whisper again after it fails
+ * @constant {number}
+ */
+export const TRANSCRIPTION_RETRIES = Math.max(0, parseInt(config.limits.transcription_retries) || 0);
+
+/**
+ * How long to wait before retrying a failed clip, doubled for every retry after the first
+ * @constant {number}
+ */
+export const TRANSCRIPTION_RETRY_DELAY = parseInt(config.limits.transcription_retry_delay) || 2000;
+
+/**
+ * How many clips in a row have to fail before whisper is reported as down
+ * @constant {number}
+ */
+export const WHISPER_DOWN_AFTER = Math.max(1, parseInt(config.limits.whisper_down_after) || 3);
+
+/**
+ * The bytes of queued audio kept in memory before clips are left in the checkpoint until they're needed
+ * @constant {number}
+ */
+export const MAX_QUEUED_AUDIO_BYTES =
+  1024 * 1024 * (parseFloat(config.limits.max_queued_audio_mb) || 64);
+
 /**
  * The percentage of max token limit to trigger a mid-session summary
  * @constant {number}
  */
 export const TOKEN_SPLIT_RATIO = parseFloat(config.limits.token_split_ratio) || 0.75;
 
+/**
+ * How many transcript entries each chunk repeats from the end of the one before it
+ * @constant {number}
+ */
+export const CHUNK_OVERLAP = Math.max(0, parseInt(config.limits.chunk_overlap ?? 2) || 0);
+
 /**
  * The max character limit for chunking discord messages
  * @constant {number}
  */
 export const MESSAGE_CHUNK_SIZE = parseInt(config.limits.message_chunk_size) || 1800;
 
+/**
+ * The milliseconds between edits of a message the model is streaming into
+ * @constant {number}
+ */
+export const STREAM_EDIT_INTERVAL = parseInt(config.limits?.stream_edit_interval) || 1500;
+
 /**
  * Bot Discord Activity Type
  * @constant {string}
@@ -98,6 +394,12 @@ export const ACTIVITY_TYPE = config.discord?.activity_type || "Listening";
  */
 export const ACTIVITY_NAME = config.discord?.activity_name || "your D&D Campaign";
 
+/**
+ * The servers slash commands are registered in on login, empty registers them globally
+ * @constant {string[]}
+ */
+export const SLASH_COMMAND_GUILDS = (config.discord?.slash_command_guilds || []).map(String);
+
 /**
  * The duration summary bot keeps a collector open for
  * Used to make sure threads don't instantly close
@@ -159,6 +461,131 @@ export const FFMPEG_WAV_ARGS = [
  */
 export const MAX_TOKEN_LIMIT = config.limits.token_limit;
 
+/**
+ * Whether transcript attachments show Discord names next to character names
+ * @constant {boolean}
+ */
+export const TRANSCRIPT_DISPLAY_NAMES =
+  config.transcript?.show_display_names ?? true;
+
+/**
+ * The transcript file formats the bot can post
+ * @constant {string[]}
+ */
+export const EXPORT_FORMATS = ["txt", "srt", "vtt", "json", "md"];
+
+/**
+ * The transcript files posted when a session stops, unless the GM picks others
+ * @constant {string[]}
+ */
+const configuredFormats = (config.transcript?.export_formats ?? []).filter((format) =>
+  EXPORT_FORMATS.includes(format),
+);
+export const DEFAULT_EXPORT_FORMATS =
+  configuredFormats.length > 0 ? configuredFormats : ["txt"];
+
+/**
+ * Whether transcriptions are rewritten to the canonical spelling of vocab terms
+ * @constant {boolean}
+ */
+export const VOCAB_CORRECTION = config.transcript?.vocab_correction ?? true;
+
+/**
+ * How similar a transcribed phrase must be to a vocab term to be rewritten
+ * @constant {number}
+ */
+export const VOCAB_CORRECTION_THRESHOLD =
+  parseFloat(config.transcript?.vocab_correction_threshold) || 0.8;
+
+/**
+ * The longest pause (in milliseconds) between two lines by the same speaker that still counts as one turn
+ * @constant {number}
+ */
+export const TURN_MERGE_GAP = Math.max(0, parseInt(config.transcript?.turn_merge_gap ?? 1500) || 0);
+
+/**
+ * The approximate token budget of the vocab prompt sent to whisper, which only reads the last 224 tokens of it
+ * @constant {number}
+ */
+export const VOCAB_PROMPT_TOKENS = 200;
+
+/**
+ * Sentences whisper makes up on silence, dropped from transcriptions
+ * @constant {string[]}
+ */
+export const HALLUCINATION_PHRASES = config.filters?.hallucination_phrases ?? [];
+
+/**
+ * What happens to bracketed sound descriptions: "remove", "normalize" or "keep"
+ * @constant {string}
+ */
+export const NON_SPEECH_TAGS = ["remove", "normalize", "keep"].includes(config.filters?.non_speech_tags)
+  ? config.filters.non_speech_tags
+  : "remove";
+
+/**
+ * How many times in a row a word or phrase may repeat before the loop is collapsed
+ * @constant {number}
+ */
+export const MAX_REPEATS = Math.max(1, parseInt(config.filters?.max_repeats) || 3);
+
+/**
+ * The shortest clip (in milliseconds) that's sent to whisper
+ * @constant {number}
+ */
+export const MIN_CLIP_DURATION = parseInt(config.filters?.min_clip_duration ?? 300) || 0;
+
+/**
+ * The quietest clip (in dBFS) that's sent to whisper
+ * @constant {number}
+ */
+export const MIN_CLIP_LEVEL = parseFloat(config.filters?.min_clip_level ?? -50) || -Infinity;
+
+/**
+ * The folder recorded sessions keep their audio in
+ * @constant {string}
+ */
+export const RECORDINGS_PATH = config.recording?.directory || "recordings";
+
+/**
+ * Whether a mixed track is rendered when a recorded session stops
+ * @constant {boolean}
+ */
+export const RECORDING_MIX = config.recording?.mix_on_stop ?? true;
+
+/**
+ * The Opus bitrate of the mixed track
+ * @constant {string}
+ */
+export const RECORDING_MIX_BITRATE = config.recording?.mix_bitrate || "32k";
+
+/**
+ * Whether sessions keep a pinned status message in their text channel
+ * @constant {boolean}
+ */
+export const STATUS_MESSAGE = config.status?.pinned_message ?? false;
+
+/**
+ * The milliseconds between updates of the pinned status message
+ * @constant {number}
+ */
+export const STATUS_UPDATE_INTERVAL = 1000 * (parseInt(config.status?.update_interval) || 30);
+
+/**
+ * The SQLite file that archives past sessions.
+ * The DATABASE_PATH environment variable wins over the config file.
+ * @constant {string}
+ */
+export const DATABASE_PATH =
+  process.env.DATABASE_PATH || config.storage?.database_path || "data/noteify.sqlite";
+
+/**
+ * The max number of archived sessions listed by the sessions command
+ * @constant {number}
+ */
+export const SESSION_LIST_LIMIT =
+  parseInt(config.storage?.session_list_limit) || 10;
+
 /**
  * The list of commands for Note Ify
  * @constant {Object}
@@ -171,21 +598,106 @@ export const COMMAND_LIST = {
       trusted: "--trustees",
       players: "--players",
       force: "--force",
+      campaign: "--campaign",
+      characters: "--characters",
+      formats: "--formats",
+      record: "--record",
+      style: "--style",
     },
-    desc: "Tells the bot to join the voice channel you're currently in and begin recording the session. You can optionally specify participants using flags: `--gm @user` to set the game master (defaults to you), `--players @user @user ...` to list players to track, `--trustees @user @user ...` to allow additional users to control the bot, and `--force` to foce the bot to leave/restart a session. Example: `@bot start --gm @gmUser --players @p1 @p2 --trustees @helper --force`.",
+    desc: "Tells the bot to join the voice channel you're currently in and begin recording the session. You can optionally specify participants using flags: `--gm @user` to set the game master (defaults to you), `--players @user @user ...` to list players to track, `--trustees @user @user ...` to allow additional users to control the bot, `--campaign <name>` to link the session to a campaign so earlier sessions are used as context, `--characters @user=Name @user=\"Two Words\"` to have players show up as their characters (remembered for next time), `--formats txt srt vtt json md` to pick the transcript files posted at the end, `--record` to keep everyone's audio on the host (announced in the channel), `--style <name> [name ...]` to pick the summary styles (see `style list`), and `--force` to foce the bot to leave/restart a session. Example: `@bot start --gm @gmUser --players @p1 @p2 --trustees @helper --campaign Curse of Strahd --characters @p1=Thistle @p2=\"Brother Alden\" --formats md srt --style tale recap --force`.",
   },
   stop: {
     cmd: "stop",
-    desc: "Tells the bot to leave the voice channel and begin summarizing the session. Only the GM or users listed with `--trustees` during `start` can run this command. Usage: `@bot stop`.",
+    flags: {
+      formats: "--formats",
+      style: "--style",
+    },
+    desc: "Tells the bot to leave the voice channel and begin summarizing the session. Only the GM or users listed with `--trustees` during `start` can run this command. Add `--formats txt srt vtt json md` to change which transcript files get posted, and `--style <name> [name ...]` to change the summary styles, each one posted as its own summary of the same transcript. Usage: `@bot stop --formats md --style bard ledger`.",
   },
   pause: {
     cmd: "pause",
-    desc: "Tells the bot to remain in the voice channel but stop recording and summarize the current game state. Useful for breaks or resetting the model's context. Only the GM or users listed with `--trustees` during `start` can run this command. Usage: `@bot pause`.",
+    desc: "Tells the bot to leave the voice channel for a break, finish transcribing and post a summary of the session so far. That summary is carried into the rest of the session as context and becomes part of the final summary. Only the GM or users listed with `--trustees` during `start` can run this command. Usage: `@bot pause`.",
   },
   unpause: {
     cmd: "unpause",
     desc: "Resumes recording for the previously specified participants after a pause. The bot will continue monitoring the same players defined during `start`. Only the GM or users listed with `--trustees` can run this command. Usage: `@bot unpause`.",
   },
+  sessions: {
+    cmd: "sessions",
+    desc: "Lists the most recent sessions I've archived for this server along with their short ids. Usage: `@bot sessions`.",
+  },
+  show: {
+    cmd: "show",
+    desc: "Re-posts the summary and transcript of an archived session. The id can be the short id shown by `sessions`. Usage: `@bot show <id>`.",
+  },
+  export: {
+    cmd: "export",
+    desc: "Posts the transcript of an archived session as `txt`, `srt` or `vtt` subtitles, `json` or `md` (Markdown). Leave out the id to export the latest session. Usage: `@bot export srt vtt 1a2b3c4d`.",
+  },
+  recap: {
+    cmd: "recap",
+    flags: {
+      sessions: "--sessions",
+    },
+    desc: "Posts a \"previously on...\" digest of a campaign's last few sessions, great for reading out before play starts. Leave out the campaign to use the one from this server's latest session, and use `--sessions <n>` to change how many sessions are covered. Usage: `@bot recap Curse of Strahd --sessions 5`.",
+  },
+  ask: {
+    cmd: "ask",
+    flags: {
+      campaign: "--campaign",
+    },
+    desc: "Answers a question about past sessions from their transcripts and summaries, citing the session and timestamp it found the answer in. Add `--campaign <name>` to only search one campaign. Usage: `@bot ask what was the password the innkeeper gave us? --campaign Curse of Strahd`.",
+  },
+  glossary: {
+    cmd: "glossary",
+    subcommands: {
+      edit: "edit",
+      merge: "merge",
+      remove: "remove",
+    },
+    flags: {
+      campaign: "--campaign",
+      type: "--type",
+      desc: "--desc",
+      rename: "--rename",
+      into: "--into",
+    },
+    desc: "Shows the NPCs, places and items I've picked up from a campaign's summaries. `glossary` lists everything, `glossary <name>` shows one entry. Trustees can fix entries with `glossary edit <name> --type <type> --desc <text> --rename <new name>`, combine duplicates with `glossary merge <name> --into <name>` and delete with `glossary remove <name>`. Add `--campaign <name>` to pick a campaign other than the latest one. Usage: `@bot glossary Ireena`.",
+  },
+  character: {
+    cmd: "character",
+    subcommands: {
+      set: "set",
+      list: "list",
+      clear: "clear",
+    },
+    desc: "Manages the character names players show up as in transcripts and summaries. `character set <name>` sets yours, `character set @user <name>` sets someone else's (trustees only), `character clear [@user]` goes back to the Discord name and `character list` shows everyone. Usage: `@bot character set Brother Alden`.",
+  },
+  vocab: {
+    cmd: "vocab",
+    subcommands: {
+      add: "add",
+      remove: "remove",
+      list: "list",
+    },
+    flags: {
+      campaign: "--campaign",
+    },
+    desc: "Manages the names and words whisper should listen for, on top of character and glossary names. `vocab list` shows them, trustees can `vocab add <term>` and `vocab remove <term>`. Terms apply to the whole server unless you add `--campaign <name>`. Usage: `@bot vocab add Vallaki --campaign Curse of Strahd`.",
+  },
+  style: {
+    cmd: "style",
+    subcommands: {
+      list: "list",
+      add: "add",
+      remove: "remove",
+    },
+    desc: "Manages the summary styles picked with `--style` on `start` and `stop`. `style list` shows the configured presets and this server's own, trustees can `style add <name> <instructions>` to add or replace one for this server and `style remove <name>` to delete it. Usage: `@bot style add haiku Write every scene as a haiku.`",
+  },
+  status: {
+    cmd: "status",
+    desc: "Shows what the bot is doing in the current session: its state, how long it has been running, how long each speaker has talked, how much audio is still waiting for whisper, the transcript's size in tokens and how long a summary would take right now. Usage: `@bot status`.",
+  },
   help: {
     cmd: "help",
     desc: "Literally this message. Can be used by typing `@bot help`.",
@@ -197,7 +709,22 @@ export const COMMAND_LIST = {
  * @constant {Set<string>}
  */
 export const COMMAND_FLAGS = {
-  start: new Set(["--gm", "--trustees", "--players", "--force"]),
+  start: new Set([
+    "--gm",
+    "--trustees",
+    "--players",
+    "--force",
+    "--campaign",
+    "--characters",
+    "--formats",
+    "--record",
+    "--style",
+  ]),
+  stop: new Set(["--formats", "--style"]),
+  recap: new Set(["--sessions"]),
+  ask: new Set(["--campaign"]),
+  glossary: new Set(["--campaign", "--type", "--desc", "--rename", "--into"]),
+  vocab: new Set(["--campaign"]),
 };
 
 /**
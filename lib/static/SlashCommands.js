@@ -1,42 +1,155 @@
 import { SlashCommandBuilder } from "discord.js";
-import { COMMAND_LIST } from "@/lib/static/Constants.js";
+import { COMMAND_LIST, EXPORT_FORMATS, GLOSSARY_TYPES } from "@/lib/static/Constants.js";
 
 /**
- * Array of slash command data ready to be pushed to the Discord REST API.
- * (e.g., via rest.put(Routes.applicationCommands(CLIENT_ID), { body: SlashCommands }))
+ * Adds the options every glossary subcommand shares
+ *
+ * @param {import("discord.js").SlashCommandSubcommandBuilder} subcommand
+ * @param {boolean} needsName
+ *
+ * @returns {import("discord.js").SlashCommandSubcommandBuilder}
+ */
+function glossaryOptions(subcommand, needsName) {
+  if (needsName) {
+    subcommand.addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("The entry's name or one of its spellings")
+        .setRequired(true)
+    );
+  }
+
+  return subcommand.addStringOption((option) =>
+    option
+      .setName("campaign")
+      .setDescription("The campaign (defaults to the latest one)")
+      .setRequired(false)
+  );
+}
+
+/**
+ * Adds the campaign option every vocab subcommand shares
+ *
+ * @param {import("discord.js").SlashCommandSubcommandBuilder} subcommand
+ *
+ * @returns {import("discord.js").SlashCommandSubcommandBuilder}
+ */
+function vocabOptions(subcommand) {
+  return subcommand.addStringOption((option) =>
+    option
+      .setName("campaign")
+      .setDescription("Limit the term to one campaign (defaults to the whole server)")
+      .setRequired(false)
+  );
+}
+
+/**
+ * How many player options /start has, Discord has no option that picks several users at once
+ * @constant {number}
+ */
+export const SLASH_PLAYER_OPTIONS = 8;
+
+/**
+ * How many trustee options /start has
+ * @constant {number}
+ */
+export const SLASH_TRUSTEE_OPTIONS = 4;
+
+/**
+ * Adds numbered user options, e.g. player1 to player8
+ *
+ * @param {SlashCommandBuilder} command
+ * @param {string} name
+ * @param {number} count
+ * @param {string} description
+ *
+ * @returns {SlashCommandBuilder}
+ */
+function userOptions(command, name, count, description) {
+  for (let i = 1; i <= count; i++) {
+    command.addUserOption((option) =>
+      option.setName(`${name}${i}`).setDescription(description).setRequired(false)
+    );
+  }
+
+  return command;
+}
+
+/**
+ * Array of slash command data, registered with Discord on login by AppController.registerSlashCommands
  */
 export const SlashCommands = [
-  new SlashCommandBuilder()
-    .setName(COMMAND_LIST.start.cmd)
-    .setDescription("Starts recording the session.")
-    .addUserOption((option) =>
+  userOptions(
+    userOptions(
+      new SlashCommandBuilder()
+        .setName(COMMAND_LIST.start.cmd)
+        .setDescription("Starts recording the session.")
+        .addUserOption((option) =>
+          option
+            .setName("gm")
+            .setDescription("The Game Master (defaults to you)")
+            .setRequired(false)
+        ),
+      "player",
+      SLASH_PLAYER_OPTIONS,
+      "A player to track"
+    ),
+    "trustee",
+    SLASH_TRUSTEE_OPTIONS,
+    "Someone else allowed to control the bot"
+  )
+    .addBooleanOption((option) =>
+      option
+        .setName("force")
+        .setDescription("Force the bot to leave/restart an existing session")
+        .setRequired(false)
+    )
+    .addStringOption((option) =>
       option
-        .setName("gm")
-        .setDescription("The Game Master (defaults to you)")
+        .setName("campaign")
+        .setDescription("The campaign this session belongs to")
         .setRequired(false)
     )
     .addStringOption((option) =>
       option
-        .setName("players")
-        .setDescription("List of players to track (e.g., @user1 @user2)")
+        .setName("characters")
+        .setDescription("Character names, e.g. @user1=Thistle @user2=\"Brother Alden\"")
         .setRequired(false)
     )
     .addStringOption((option) =>
       option
-        .setName("trustees")
-        .setDescription("List of trustees to allow bot control (e.g., @user1 @user2)")
+        .setName("formats")
+        .setDescription(`Transcript files to post at the end, any of: ${EXPORT_FORMATS.join(" ")}`)
         .setRequired(false)
     )
     .addBooleanOption((option) =>
       option
-        .setName("force")
-        .setDescription("Force the bot to leave/restart an existing session")
+        .setName("record")
+        .setDescription("Keep everyone's audio on the host (announced in the channel)")
+        .setRequired(false)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("style")
+        .setDescription("Summary styles to write, e.g. tale recap (see /style list)")
         .setRequired(false)
     ),
 
   new SlashCommandBuilder()
     .setName(COMMAND_LIST.stop.cmd)
-    .setDescription("Stops recording and begins summarizing."),
+    .setDescription("Stops recording and begins summarizing.")
+    .addStringOption((option) =>
+      option
+        .setName("formats")
+        .setDescription(`Transcript files to post, any of: ${EXPORT_FORMATS.join(" ")}`)
+        .setRequired(false)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("style")
+        .setDescription("Summary styles to write instead of the ones picked at start")
+        .setRequired(false)
+    ),
 
   new SlashCommandBuilder()
     .setName(COMMAND_LIST.pause.cmd)
@@ -46,6 +159,249 @@ export const SlashCommands = [
     .setName(COMMAND_LIST.unpause.cmd)
     .setDescription("Resumes recording from a paused state."),
 
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.sessions.cmd)
+    .setDescription("Lists the sessions archived for this server."),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.show.cmd)
+    .setDescription("Re-posts an archived session's summary and transcript.")
+    .addStringOption((option) =>
+      option
+        .setName("id")
+        .setDescription("The session id (the short id from /sessions works)")
+        .setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.export.cmd)
+    .setDescription("Posts an archived session's transcript in another format.")
+    .addStringOption((option) =>
+      option
+        .setName("format")
+        .setDescription("The file format")
+        .setRequired(true)
+        .addChoices(...EXPORT_FORMATS.map((format) => ({ name: format, value: format })))
+    )
+    .addStringOption((option) =>
+      option
+        .setName("id")
+        .setDescription("The session id (defaults to the latest session)")
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.recap.cmd)
+    .setDescription("Posts a \"previously on...\" digest of a campaign.")
+    .addStringOption((option) =>
+      option
+        .setName("campaign")
+        .setDescription("The campaign to recap (defaults to the latest one)")
+        .setRequired(false)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("sessions")
+        .setDescription("How many of the latest sessions to cover")
+        .setMinValue(1)
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.ask.cmd)
+    .setDescription("Answers a question about past sessions.")
+    .addStringOption((option) =>
+      option
+        .setName("question")
+        .setDescription("What you want to know")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("campaign")
+        .setDescription("Only search sessions of this campaign")
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.glossary.cmd)
+    .setDescription("Shows or corrects a campaign's NPCs, places and items.")
+    .addSubcommand((subcommand) =>
+      glossaryOptions(
+        subcommand.setName("list").setDescription("Lists every entry."),
+        false
+      )
+    )
+    .addSubcommand((subcommand) =>
+      glossaryOptions(
+        subcommand.setName("show").setDescription("Shows one entry."),
+        true
+      )
+    )
+    .addSubcommand((subcommand) =>
+      glossaryOptions(
+        subcommand
+          .setName(COMMAND_LIST.glossary.subcommands.edit)
+          .setDescription("Corrects an entry (trustees only)."),
+        true
+      )
+        .addStringOption((option) =>
+          option
+            .setName("type")
+            .setDescription("What kind of entity it is")
+            .addChoices(...GLOSSARY_TYPES.map((type) => ({ name: type, value: type })))
+            .setRequired(false)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("description")
+            .setDescription("A short description")
+            .setRequired(false)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("rename")
+            .setDescription("The correct spelling of the name")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      glossaryOptions(
+        subcommand
+          .setName(COMMAND_LIST.glossary.subcommands.merge)
+          .setDescription("Folds a duplicate entry into another (trustees only)."),
+        true
+      ).addStringOption((option) =>
+        option
+          .setName("into")
+          .setDescription("The entry to keep")
+          .setRequired(true)
+      )
+    )
+    .addSubcommand((subcommand) =>
+      glossaryOptions(
+        subcommand
+          .setName(COMMAND_LIST.glossary.subcommands.remove)
+          .setDescription("Deletes an entry (trustees only)."),
+        true
+      )
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.character.cmd)
+    .setDescription("Manages the character names players show up as.")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.character.subcommands.set)
+        .setDescription("Sets your character (or someone else's, trustees only).")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("The character's name")
+            .setRequired(true)
+        )
+        .addUserOption((option) =>
+          option
+            .setName("user")
+            .setDescription("Whose character it is (defaults to you)")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.character.subcommands.clear)
+        .setDescription("Goes back to the Discord name.")
+        .addUserOption((option) =>
+          option
+            .setName("user")
+            .setDescription("Whose character to clear (defaults to you)")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.character.subcommands.list)
+        .setDescription("Lists everyone's characters.")
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.vocab.cmd)
+    .setDescription("Manages the names and words whisper listens for.")
+    .addSubcommand((subcommand) =>
+      vocabOptions(
+        subcommand
+          .setName(COMMAND_LIST.vocab.subcommands.add)
+          .setDescription("Adds a term (trustees only).")
+          .addStringOption((option) =>
+            option
+              .setName("term")
+              .setDescription("The name or word, spelled the way it should be")
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand((subcommand) =>
+      vocabOptions(
+        subcommand
+          .setName(COMMAND_LIST.vocab.subcommands.remove)
+          .setDescription("Removes a term (trustees only).")
+          .addStringOption((option) =>
+            option
+              .setName("term")
+              .setDescription("The term to remove")
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand((subcommand) =>
+      vocabOptions(
+        subcommand
+          .setName(COMMAND_LIST.vocab.subcommands.list)
+          .setDescription("Lists the terms.")
+      )
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.style.cmd)
+    .setDescription("Manages the summary styles picked with --style.")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.style.subcommands.list)
+        .setDescription("Lists the configured styles and this server's own.")
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.style.subcommands.add)
+        .setDescription("Adds or replaces a style for this server (trustees only).")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("A short name to pick it with, e.g. haiku")
+            .setRequired(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("instructions")
+            .setDescription("How the summary should be written")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName(COMMAND_LIST.style.subcommands.remove)
+        .setDescription("Removes one of this server's styles (trustees only).")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("The style to remove")
+            .setRequired(true)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName(COMMAND_LIST.status.cmd)
+    .setDescription("Shows what the bot is doing in the current session."),
+
   new SlashCommandBuilder()
     .setName(COMMAND_LIST.help.cmd)
     .setDescription("Shows the help message listing all commands."),
@@ -0,0 +1,128 @@
+import {
+  CRITIC_PROMPT,
+  DEFAULT_STYLE,
+  FEEDBACK_PROMPT,
+  STYLE_PROMPT,
+  SUMMARY_PROMPT,
+  SUMMARY_STYLES,
+} from "@/lib/static/Constants.js";
+
+/**
+ * A preset for how the summary of a session is written
+ *
+ * @typedef {Object} SummaryStyle
+ *
+ * @property {string} name
+ *  The lowercase name picked with --style
+ *
+ * @property {string} description
+ *  What the style writes, shown in the style list
+ *
+ * @property {string} instructions
+ *  Added to the summary, critic and feedback prompts, empty to use them as they are
+ *
+ * @property {string | null} summaryPrompt
+ *  Replaces SUMMARY_PROMPT outright when set
+ *
+ * @property {string | null} criticPrompt
+ *  Replaces CRITIC_PROMPT outright when set
+ *
+ * @property {string | null} feedbackPrompt
+ *  Replaces FEEDBACK_PROMPT outright when set
+ *
+ * @property {boolean} custom
+ *  Whether a server added the style with the style command rather than the config
+ */
+
+/**
+ * Style names trustees can pick for their own presets
+ */
+export const STYLE_NAME = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Turns a server's saved style into a preset
+ *
+ * @param {{ name: string, instructions: string }} guildStyle
+ * @returns {SummaryStyle}
+ */
+function customStyle({ name, instructions }) {
+  return {
+    name: name.toLowerCase(),
+    description: instructions.split("\n")[0],
+    instructions,
+    summaryPrompt: null,
+    criticPrompt: null,
+    feedbackPrompt: null,
+    custom: true,
+  };
+}
+
+/**
+ * Lists the configured styles followed by the server's own, which can't shadow a configured one.
+ *
+ * @param {{ name: string, instructions: string }[]} [guildStyles] - As saved with the style command.
+ * @returns {SummaryStyle[]}
+ */
+export function ListStyles(guildStyles = []) {
+  const styles = Object.entries(SUMMARY_STYLES).map(([name, style]) => ({ name, ...style, custom: false }));
+
+  for (const guildStyle of guildStyles) {
+    if (!SUMMARY_STYLES[guildStyle.name.toLowerCase()]) styles.push(customStyle(guildStyle));
+  }
+
+  return styles;
+}
+
+/**
+ * Finds a style by name, ignoring case.
+ *
+ * @param {string} [name] - The default style when empty.
+ * @param {{ name: string, instructions: string }[]} [guildStyles]
+ * @returns {SummaryStyle | null} Null if neither the config nor the server has it.
+ */
+export function FindStyle(name = DEFAULT_STYLE, guildStyles = []) {
+  const lowered = (name || DEFAULT_STYLE).trim().toLowerCase();
+  return ListStyles(guildStyles).find((style) => style.name === lowered) ?? null;
+}
+
+/**
+ * Picks the summary styles out of command arguments.
+ *
+ * @param {string[]} args - e.g. ["recap", "bard"] or ["recap,bard"].
+ * @param {{ name: string, instructions: string }[]} [guildStyles]
+ * @returns {{ styles: SummaryStyle[], unknown: string[] }} The styles found without duplicates, and everything else.
+ */
+export function ParseStyles(args, guildStyles = []) {
+  const styles = [];
+  const unknown = [];
+
+  for (const arg of args.flatMap((a) => a.split(","))) {
+    if (!arg.trim()) continue;
+
+    const style = FindStyle(arg, guildStyles);
+    if (!style) {
+      unknown.push(arg);
+    } else if (!styles.some((picked) => picked.name === style.name)) {
+      styles.push(style);
+    }
+  }
+
+  return { styles, unknown };
+}
+
+/**
+ * Builds the system prompts a style writes its summaries with.
+ *
+ * @param {SummaryStyle | null} [style] - The prompts from the config as they are when null.
+ * @returns {{ summary: string, critic: string, feedback: string }}
+ */
+export function StylePrompts(style = null) {
+  const styled = (prompt) =>
+    style?.instructions ? `${prompt}\n\n${STYLE_PROMPT}\n<style>\n${style.instructions}\n</style>` : prompt;
+
+  return {
+    summary: style?.summaryPrompt ?? styled(SUMMARY_PROMPT),
+    critic: style?.criticPrompt ?? styled(CRITIC_PROMPT),
+    feedback: style?.feedbackPrompt ?? styled(FEEDBACK_PROMPT),
+  };
+}
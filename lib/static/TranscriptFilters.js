@@ -0,0 +1,143 @@
+import {
+  HALLUCINATION_PHRASES,
+  MAX_REPEATS,
+  MIN_CLIP_DURATION,
+  MIN_CLIP_LEVEL,
+  NON_SPEECH_TAGS,
+} from "@/lib/static/Constants.js";
+import { CleanTranscription, WavDuration, WavLevel } from "@/lib/static/Utils.js";
+
+/**
+ * Sound descriptions whisper writes instead of speech: [laughs], (music), *sighs* and ♪ ... ♪
+ */
+const NON_SPEECH_TAG = /\[([^\]]*)\]|\(([^)]*)\)|\*([^*\n]+)\*|♪([^♪]*)♪|♪/g;
+
+/**
+ * Lowercases a phrase and strips its punctuation so near-identical phrases compare equal.
+ *
+ * @param {string} phrase
+ * @returns {string}
+ */
+function phraseKey(phrase) {
+  return phrase
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Drops or rewrites the sound descriptions in a transcription.
+ *
+ * @param {string} text
+ * @param {string} mode - "remove" drops them, "normalize" rewrites them as [lowercase tag], "keep" leaves them alone.
+ * @returns {string}
+ */
+export function FilterNonSpeech(text, mode = NON_SPEECH_TAGS) {
+  if (mode === "keep") return text;
+
+  return text.replace(new RegExp(`\\s*(?:${NON_SPEECH_TAG.source})`, "g"), (match, ...groups) => {
+    if (mode !== "normalize") return "";
+
+    // Whatever is between music notes is lyrics or humming, not a description
+    const tag = match.includes("♪")
+      ? "music"
+      : phraseKey(groups.slice(0, 3).find((group) => group !== undefined) ?? "");
+    if (!tag) return "";
+
+    return `${match.match(/^\s*/)[0]}[${tag}]`;
+  });
+}
+
+/**
+ * Drops every sentence that is nothing but a known hallucination.
+ *
+ * @param {string} text
+ * @param {string[]} phrases - The hallucinations, compared without case or punctuation.
+ * @returns {string}
+ */
+export function RemoveHallucinations(text, phrases = HALLUCINATION_PHRASES) {
+  const blocked = new Set(phrases.map(phraseKey).filter(Boolean));
+  if (blocked.size === 0) return text;
+
+  return text.replace(/[^.!?]+[.!?]*/g, (sentence) =>
+    blocked.has(phraseKey(sentence)) ? "" : sentence,
+  );
+}
+
+/**
+ * Collapses whisper's repetition loops, where a word or phrase repeats over and over,
+ * down to a single copy. Shorter runs, like an honest "no, no, no", are left alone.
+ *
+ * @param {string} text
+ * @param {number} maxRepeats - How many times in a row a phrase may appear before it counts as a loop.
+ * @returns {string}
+ */
+export function CollapseRepetitions(text, maxRepeats = MAX_REPEATS) {
+  const words = text.trim().split(/\s+/);
+  const keys = words.map(phraseKey);
+  const repeats = (i, j, n) => keys.slice(i, i + n).every((key, k) => key === keys[j + k]);
+
+  let collapsed = false;
+  for (let n = 1; n * (maxRepeats + 1) <= words.length; n++) {
+    for (let i = 0; i + n * (maxRepeats + 1) <= words.length; i++) {
+      let runs = 1;
+      while (i + (runs + 1) * n <= words.length && repeats(i, i + runs * n, n)) runs++;
+
+      if (runs > maxRepeats) {
+        words.splice(i + n, (runs - 1) * n);
+        keys.splice(i + n, (runs - 1) * n);
+        collapsed = true;
+      }
+    }
+  }
+
+  return collapsed ? `${text.match(/^\s*/)[0]}${words.join(" ")}` : text;
+}
+
+/**
+ * Runs a raw whisper transcription through every filter: the known artifacts, sound descriptions,
+ * hallucinated phrases and repetition loops. What's left is empty if nothing was really said.
+ *
+ * @param {string} text - The raw text whisper answered with.
+ * @param {{ nonSpeech?: string, phrases?: string[], maxRepeats?: number }} [options] - Defaults to the [filters] config.
+ * @returns {string}
+ */
+export function FilterTranscription(text, options = {}) {
+  const {
+    nonSpeech = NON_SPEECH_TAGS,
+    phrases = HALLUCINATION_PHRASES,
+    maxRepeats = MAX_REPEATS,
+  } = options;
+
+  let filtered = CleanTranscription(text);
+  filtered = FilterNonSpeech(filtered, nonSpeech);
+  filtered = RemoveHallucinations(filtered, phrases);
+  filtered = CollapseRepetitions(filtered, maxRepeats);
+
+  // A clip that was only noise leaves nothing worth a transcript line
+  return /[\p{L}\p{N}]/u.test(filtered) ? filtered : "";
+}
+
+/**
+ * Tells why a clip isn't worth sending to whisper, if it isn't.
+ *
+ * @param {Buffer} wav - The clip as a WAV file.
+ * @param {{ minDuration?: number, minLevel?: number }} [options] - Defaults to the [filters] config.
+ * @returns {string | null} The reason to skip it, or null to transcribe it.
+ */
+export function ClipRejection(wav, options = {}) {
+  const { minDuration = MIN_CLIP_DURATION, minLevel = MIN_CLIP_LEVEL } = options;
+
+  const duration = WavDuration(wav);
+  if (duration > 0 && duration < minDuration) {
+    return `only ${duration}ms long`;
+  }
+
+  const level = WavLevel(wav);
+  if (level < minLevel) {
+    return `too quiet (${Number.isFinite(level) ? level.toFixed(1) : "-∞"} dBFS)`;
+  }
+
+  return null;
+}
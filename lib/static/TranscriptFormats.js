@@ -0,0 +1,179 @@
+import { EXPORT_FORMATS } from "@/lib/static/Constants.js";
+import { FormatTranscript, ShortId, SplitTurns } from "@/lib/static/Utils.js";
+
+/**
+ * The other names people use for each export format
+ */
+const FORMAT_ALIASES = {
+  text: "txt",
+  webvtt: "vtt",
+  markdown: "md",
+};
+
+/**
+ * Formats milliseconds as a subtitle timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT).
+ *
+ * @param {number} ms - Milliseconds from session start.
+ * @param {string} separator - What goes between the seconds and milliseconds.
+ * @returns {string}
+ */
+export function FormatTimestamp(ms, separator) {
+  const safe = typeof ms === "number" && ms > 0 ? Math.floor(ms) : 0;
+
+  const h = Math.floor(safe / 3600000).toString().padStart(2, "0");
+  const m = Math.floor((safe % 3600000) / 60000).toString().padStart(2, "0");
+  const s = Math.floor((safe % 60000) / 1000).toString().padStart(2, "0");
+  const msPad = (safe % 1000).toString().padStart(3, "0");
+
+  return `${h}:${m}:${s}${separator}${msPad}`;
+}
+
+/**
+ * Renders the transcript as SRT subtitles, one cue per utterance.
+ *
+ * @param {{ name: string, start: number, end: number, text: string }[]} entries
+ * @returns {string}
+ */
+export function FormatSrt(entries) {
+  return entries
+    .map(
+      (entry, i) =>
+        `${i + 1}\n${FormatTimestamp(entry.start, ",")} --> ${FormatTimestamp(entry.end, ",")}\n${entry.name}: ${entry.text.trim()}\n`,
+    )
+    .join("\n");
+}
+
+/**
+ * Renders the transcript as WebVTT subtitles, tagging each cue with its speaker.
+ *
+ * @param {{ name: string, start: number, end: number, text: string }[]} entries
+ * @returns {string}
+ */
+export function FormatVtt(entries) {
+  const cues = entries.map(
+    (entry) =>
+      `${FormatTimestamp(entry.start, ".")} --> ${FormatTimestamp(entry.end, ".")}\n<v ${entry.name}>${entry.text.trim()}\n`,
+  );
+
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+/**
+ * Renders the transcript as JSON for other tools to pick up.
+ *
+ * @param {{ userId: string, name: string, start: number, end: number, text: string }[]} entries
+ * @param {{ id: string, campaign?: string | null, startedAt?: number, displayNames?: Record<string, string> }} session
+ * @returns {string}
+ */
+export function FormatJson(entries, session) {
+  const displayNames = session.displayNames ?? {};
+
+  return JSON.stringify(
+    {
+      session: {
+        id: session.id,
+        campaign: session.campaign ?? null,
+        startedAt: session.startedAt ?? null,
+      },
+      entries: entries.map((entry) => ({
+        userId: entry.userId,
+        name: entry.name,
+        displayName: displayNames[entry.userId] ?? null,
+        start: entry.start,
+        end: entry.end,
+        text: entry.text.trim(),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Renders the transcript as Markdown, folding consecutive lines by the same speaker together.
+ *
+ * @param {{ userId: string, name: string, start: number, text: string }[]} entries
+ * @param {{ id: string, campaign?: string | null, startedAt?: number, displayNames?: Record<string, string> }} session
+ * @returns {string}
+ */
+export function FormatMarkdown(entries, session) {
+  const displayNames = session.displayNames ?? {};
+  const title = session.campaign
+    ? `# ${session.campaign} - Session ${ShortId(session.id)}`
+    : `# Session ${ShortId(session.id)}`;
+  const date = session.startedAt
+    ? `\n_Played ${new Date(session.startedAt).toLocaleString()}_\n`
+    : "";
+
+  const blocks = [];
+  let lastSpeaker = null;
+  for (const entry of entries) {
+    if (entry.userId !== lastSpeaker) {
+      const displayName = displayNames[entry.userId];
+      const speaker =
+        displayName && displayName !== entry.name
+          ? `**${entry.name}** (${displayName})`
+          : `**${entry.name}**`;
+      blocks.push(`${speaker} \`${FormatTimestamp(entry.start, ".")}\``);
+      lastSpeaker = entry.userId;
+    }
+    blocks.push(entry.text.trim());
+  }
+
+  return `${title}\n${date}\n${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Renders a session transcript in one of the EXPORT_FORMATS.
+ *
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {{ userId: string, name: string, start: number, end: number, text: string, userContent: string }[]} entries - Session log entries as built by CreateLogEntry.
+ * @param {{ id: string, campaign?: string | null, startedAt?: number, displayNames?: Record<string, string> }} session
+ * @returns {{ name: string, content: string }} The file name and contents.
+ */
+export function ExportTranscript(format, entries, session) {
+  const name = `Transcript-${session.id}.${format}`;
+
+  if (entries.length === 0) {
+    return { name, content: "No transcript available." };
+  }
+
+  // Subtitles and JSON keep one cue per utterance rather than per merged turn
+  switch (format) {
+    case "srt":
+      return { name, content: FormatSrt(SplitTurns(entries)) };
+    case "vtt":
+      return { name, content: FormatVtt(SplitTurns(entries)) };
+    case "json":
+      return { name, content: FormatJson(SplitTurns(entries), session) };
+    case "md":
+      return { name, content: FormatMarkdown(entries, session) };
+    default:
+      return { name: `Transcript-${session.id}.txt`, content: FormatTranscript(entries) };
+  }
+}
+
+/**
+ * Picks the export formats out of command arguments, accepting a few common aliases.
+ *
+ * @param {string[]} args - e.g. ["srt", "markdown"] or ["srt,vtt"].
+ * @returns {{ formats: string[], unknown: string[] }} The recognised formats without duplicates, and everything else.
+ */
+export function ParseExportFormats(args) {
+  const formats = [];
+  const unknown = [];
+
+  for (const arg of args.flatMap((a) => a.split(","))) {
+    const lowered = arg.trim().toLowerCase().replace(/^\./, "");
+    if (!lowered) continue;
+
+    const format = FORMAT_ALIASES[lowered] ?? lowered;
+    if (!EXPORT_FORMATS.includes(format)) {
+      unknown.push(arg);
+    } else if (!formats.includes(format)) {
+      formats.push(format);
+    }
+  }
+
+  return { formats, unknown };
+}
@@ -1,15 +1,16 @@
-import { COMMAND_FLAGS, MESSAGE_CHUNK_SIZE } from "@/lib/static/Constants.js";
+import { COMMAND_FLAGS, MESSAGE_CHUNK_SIZE, TURN_MERGE_GAP } from "@/lib/static/Constants.js";
 
 /**
  * Estimates the number of tokens in a text string using the standard heuristic
- * (1 token ≈ 4 characters).
+ * (1 token ≈ 4 characters), or a ratio calibrated against the model's tokenizer.
  *
  * @param {string} text - The input text to measure.
+ * @param {number} [charsPerToken] - How many characters make one token.
  * @returns {number} The estimated token count (rounded up).
  */
-export function EstimateTokens(text) {
+export function EstimateTokens(text, charsPerToken = 4) {
   if (!text) return 0;
-  return Math.ceil(text.length / 4);
+  return Math.ceil(text.length / charsPerToken);
 }
 
 /**
@@ -120,6 +121,20 @@ export function FormatDuration(ms) {
   return `${h}:${m}:${s}:${msPad}`;
 }
 
+/**
+ * Parses a timestamp made by FormatDuration (HH:MM:SS:mmm) back into milliseconds.
+ *
+ * @param {string} timestamp - e.g. "00:01:05:000".
+ * @returns {number | null} The milliseconds, or null if the timestamp is malformed.
+ */
+export function ParseDuration(timestamp) {
+  const match = timestamp?.match(/^(\d+):(\d{2}):(\d{2})[:.,](\d{3})$/);
+  if (!match) return null;
+
+  const [, h, m, s, ms] = match.map(Number);
+  return h * 3600000 + m * 60000 + s * 1000 + ms;
+}
+
 /**
  * Parses command arguments and groups them by flags.
  *
@@ -201,3 +216,399 @@ export function ParseCommands(args, flags) {
     freeArgs,
   };
 }
+
+/**
+ * Builds a session log entry from a single transcribed utterance, rendering both
+ * the model-readable block and the timestamped user-readable block.
+ *
+ * @param {string} userId - The Discord User ID of the speaker.
+ * @param {string} name - The name the speaker appears as in the transcript.
+ * @param {number} start - Milliseconds from session start where the utterance began.
+ * @param {number} end - Milliseconds from session start where the utterance ended.
+ * @param {string} text - The cleaned transcription.
+ * @param {string | null} [displayName] - The speaker's Discord name, shown next to their character name in the user-readable block.
+ * @returns {{ userId: string, name: string, start: number, end: number, text: string, userContent: string, modelContent: string, modelTokens: number }}
+ */
+export function CreateLogEntry(userId, name, start, end, text, displayName = null) {
+  const modelContent = `<${name}>\n${text}</${name}>`;
+  const speaker =
+    displayName && displayName !== name ? `${name} (${displayName})` : name;
+  const userContent = `<${speaker} [${FormatDuration(start)}]>\n${text}</${speaker} [${FormatDuration(end)}]>`;
+
+  return {
+    userId,
+    name,
+    start,
+    end,
+    text,
+    userContent,
+    modelContent,
+    modelTokens: EstimateTokens(modelContent),
+  };
+}
+
+/**
+ * Returns the utterances a session log entry was merged from, or the entry's own utterance.
+ *
+ * @param {{ start: number, end: number, text: string, segments?: { start: number, end: number, text: string }[] }} entry
+ * @returns {{ start: number, end: number, text: string }[]}
+ */
+export function TurnSegments(entry) {
+  return entry.segments ?? [{ start: entry.start, end: entry.end, text: entry.text }];
+}
+
+/**
+ * Joins two entries by the same speaker into one turn. The model-readable block reads as one
+ * line of speech, while the user-readable block and `segments` keep every utterance's own timing.
+ *
+ * @param {ReturnType<typeof CreateLogEntry>} first
+ * @param {ReturnType<typeof CreateLogEntry>} second - Said after the first.
+ * @returns {ReturnType<typeof CreateLogEntry> & { segments: { start: number, end: number, text: string }[] }}
+ */
+export function JoinLogEntries(first, second) {
+  const segments = [...TurnSegments(first), ...TurnSegments(second)];
+  const entry = CreateLogEntry(
+    first.userId,
+    first.name,
+    first.start,
+    Math.max(first.end, second.end),
+    segments.map((segment) => segment.text.trim()).join(" "),
+  );
+
+  return {
+    ...entry,
+    userContent: `${first.userContent}\n\n${second.userContent}`,
+    segments,
+  };
+}
+
+/**
+ * Whether an entry picks up where the same speaker's previous one left off, closely enough to be the same turn.
+ *
+ * @param {{ userId: string, end: number }} previous
+ * @param {{ userId: string, start: number }} entry
+ * @param {number} [gap] - The longest pause in milliseconds, 0 never merges.
+ * @returns {boolean}
+ */
+export function ContinuesTurn(previous, entry, gap = TURN_MERGE_GAP) {
+  return gap > 0 && previous.userId === entry.userId && entry.start - previous.end <= gap;
+}
+
+/**
+ * Orders session log entries by when they were said and merges each speaker's fragments into turns.
+ *
+ * @param {ReturnType<typeof CreateLogEntry>[]} entries
+ * @param {number} [gap] - The longest pause in milliseconds, 0 never merges.
+ * @returns {ReturnType<typeof CreateLogEntry>[]}
+ */
+export function MergeTurns(entries, gap = TURN_MERGE_GAP) {
+  const turns = [];
+  for (const entry of [...entries].sort((a, b) => a.start - b.start)) {
+    const last = turns.at(-1);
+    if (last && ContinuesTurn(last, entry, gap)) {
+      turns[turns.length - 1] = JoinLogEntries(last, entry);
+    } else {
+      turns.push(entry);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Splits merged turns back into the utterances they were made of, each with its own timing.
+ *
+ * @param {{ userId: string, name: string, start: number, end: number, text: string, segments?: { start: number, end: number, text: string }[] }[]} entries
+ * @returns {{ userId: string, name: string, start: number, end: number, text: string }[]}
+ */
+export function SplitTurns(entries) {
+  return entries.flatMap((entry) =>
+    TurnSegments(entry).map((segment) => ({ userId: entry.userId, name: entry.name, ...segment })),
+  );
+}
+
+/**
+ * Joins session log entries into the plain text transcript sent as an attachment.
+ *
+ * @param {{ userContent: string }[]} entries
+ * @returns {string}
+ */
+export function FormatTranscript(entries) {
+  return entries.map((entry) => `\n${entry.userContent}\n`).join("");
+}
+
+/**
+ * Shortens a session UUID to the prefix shown to users.
+ *
+ * @param {string} id - The full session UUID.
+ * @returns {string} The first 8 characters of the id.
+ */
+export function ShortId(id) {
+  return id.slice(0, 8);
+}
+
+/**
+ * Measures how closely two embedding vectors point in the same direction.
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} Between -1 and 1, or 0 if either vector is empty or the lengths differ.
+ */
+export function CosineSimilarity(a, b) {
+  if (a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Counts the single-character insertions, deletions and substitutions
+ * needed to turn one string into another (Levenshtein distance).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function EditDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Scores how alike two names are, ignoring case, punctuation and a leading "the".
+ * Used to catch the different spellings whisper produces for the same fantasy name.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 for identical names down to 0 for nothing in common.
+ */
+export function NameSimilarity(a, b) {
+  const normalize = (name) =>
+    name
+      .toLowerCase()
+      .replace(/^the\s+/, "")
+      .replace(/[^\p{L}\p{N}\s]/gu, "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  const left = normalize(a);
+  const right = normalize(b);
+  const longest = Math.max(left.length, right.length);
+  if (longest === 0) return 0;
+
+  return 1 - EditDistance(left, right) / longest;
+}
+
+/**
+ * Splits a raw command message on whitespace while keeping double-quoted text together,
+ * so `--characters <@1>="Brother Alden"` stays one argument. The quotes themselves are dropped.
+ *
+ * @param {string} content - The raw message content.
+ * @returns {string[]}
+ */
+export function TokenizeCommand(content) {
+  const tokens = content.trim().match(/(?:[^\s"]+|"[^"]*"?)+/g) ?? [];
+
+  return tokens.map((token) => token.replace(/"/g, ""));
+}
+
+/**
+ * Parses a `@user=Character Name` argument.
+ *
+ * @param {string} arg - A single tokenized argument, e.g. "<@123456789>=Thistle".
+ * @returns {{ userId: string, name: string } | null} The pair, or null if the argument is malformed.
+ */
+export function ParseCharacterArg(arg) {
+  const match = arg?.match(/^(<@!?\d+>)=(.+)$/);
+  if (!match) return null;
+
+  const name = match[2].trim();
+  if (!name) return null;
+
+  return { userId: ExtractUserId(match[1]), name };
+}
+
+/**
+ * Rewrites near-miss spellings of vocabulary terms to their canonical spelling,
+ * e.g. "Stored" -> "Strahd". Longer terms are tried first so multi-word names win
+ * over their parts, and punctuation plus a trailing possessive are kept as-is.
+ *
+ * @param {string} text - The cleaned transcription.
+ * @param {string[]} terms - The canonical spellings.
+ * @param {number} threshold - How alike (0.0 to 1.0) a phrase must be to a term to be rewritten.
+ * @returns {string}
+ */
+export function CorrectVocabulary(text, terms, threshold) {
+  if (!text || terms.length === 0) return text;
+
+  const wordCount = (term) => term.trim().split(/\s+/).length;
+  const maxWords = Math.max(...terms.map(wordCount));
+
+  // Odd indices hold the whitespace between words, so joining the parts gives the original text back
+  const parts = text.split(/(\s+)/);
+  const wordIndexes = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    if (parts[i]) wordIndexes.push(i);
+  }
+
+  for (let w = 0; w < wordIndexes.length; w++) {
+    for (let n = Math.min(maxWords, wordIndexes.length - w); n >= 1; n--) {
+      const first = wordIndexes[w];
+      const last = wordIndexes[w + n - 1];
+      const match = parts
+        .slice(first, last + 1)
+        .join("")
+        .match(/^([^\p{L}\p{N}]*)(.*?)((?:['’]s)?[^\p{L}\p{N}]*)$/u);
+      const [, lead, phrase, trail] = match;
+      if (!phrase) continue;
+
+      let best = null;
+      let bestScore = threshold;
+      for (const term of terms) {
+        if (wordCount(term) !== n) continue;
+
+        const score = NameSimilarity(phrase, term);
+        if (score >= bestScore) {
+          best = term;
+          bestScore = score;
+        }
+      }
+      if (!best) continue;
+
+      parts[first] = `${lead}${best}${trail}`;
+      for (let i = first + 1; i <= last; i++) parts[i] = "";
+      w += n - 1;
+      break;
+    }
+  }
+
+  return parts.join("");
+}
+
+/**
+ * Finds a chunk of a WAV file by its id, e.g. "fmt " or "data".
+ * FFmpeg writes piped WAVs with placeholder sizes, so a chunk never runs past the end of the file.
+ *
+ * @param {Buffer} wav - The whole WAV file.
+ * @param {string} id - The four character chunk id.
+ * @returns {{ start: number, end: number } | null} The byte range of the chunk's body, or null if it is missing or the buffer isn't a WAV.
+ */
+export function FindWavChunk(wav, id) {
+  if (wav.length < 12 || wav.toString("ascii", 0, 4) !== "RIFF") return null;
+
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const size = wav.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (wav.toString("ascii", offset, offset + 4) === id) {
+      return { start, end: Math.min(wav.length, size > 0 ? start + size : wav.length) };
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Measures how loud a 16-bit PCM WAV file is on average.
+ *
+ * @param {Buffer} wav - The whole WAV file.
+ * @returns {number} The RMS level in dBFS (0 is full scale, -Infinity is digital silence), or 0 if the file can't be read.
+ */
+export function WavLevel(wav) {
+  const format = FindWavChunk(wav, "fmt ");
+  const data = FindWavChunk(wav, "data");
+  // Bits per sample sit 14 bytes into the fmt chunk, anything but 16-bit isn't judged
+  if (!format || !data || format.end - format.start < 16 || wav.readUInt16LE(format.start + 14) !== 16) {
+    return 0;
+  }
+
+  const samples = Math.floor((data.end - data.start) / 2);
+  if (samples === 0) return -Infinity;
+
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = wav.readInt16LE(data.start + i * 2) / 32768;
+    sumOfSquares += sample * sample;
+  }
+
+  return 20 * Math.log10(Math.sqrt(sumOfSquares / samples));
+}
+
+/**
+ * Works out how long a PCM WAV file plays for.
+ *
+ * @param {Buffer} wav - The whole WAV file.
+ * @returns {number} The duration in milliseconds, 0 if the file can't be read.
+ */
+export function WavDuration(wav) {
+  const format = FindWavChunk(wav, "fmt ");
+  const data = FindWavChunk(wav, "data");
+  if (!format || !data || format.end - format.start < 16) return 0;
+
+  // The byte rate sits 8 bytes into the fmt chunk
+  const byteRate = wav.readUInt32LE(format.start + 8);
+  if (byteRate === 0) return 0;
+
+  return Math.round(((data.end - data.start) / byteRate) * 1000);
+}
+
+/**
+ * Splits items into consecutive groups that each stay within a budget, keeping their order.
+ * An item that's over the budget on its own gets a group to itself.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => number} sizeOf
+ * @param {number} budget
+ * @returns {T[][]}
+ */
+export function GroupByBudget(items, sizeOf, budget) {
+  const groups = [];
+
+  let group = [];
+  let size = 0;
+  for (const item of items) {
+    const itemSize = sizeOf(item);
+    if (group.length > 0 && size + itemSize > budget) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+
+    group.push(item);
+    size += itemSize;
+  }
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+}
@@ -0,0 +1,1033 @@
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { DATABASE_PATH } from "@/lib/static/Constants.js";
+import { SplitTurns } from "@/lib/static/Utils.js";
+
+/**
+ * Represents a session as it is stored in the archive
+ *
+ * @typedef {Object} ArchivedSession
+ *
+ * @property {string} id
+ *  The session's UUID
+ *
+ * @property {string} guildId
+ *  The Discord guild the session was played in
+ *
+ * @property {string | null} textChannelId
+ *  The text channel summaries were posted to
+ *
+ * @property {string | null} voiceChannelId
+ *  The voice channel that was recorded
+ *
+ * @property {string | null} gmId
+ *  The Discord User ID of the GM
+ *
+ * @property {string[]} players
+ *  The Discord User IDs that were tracked
+ *
+ * @property {Record<string, string>} nicknames
+ *  The names each tracked user appears as in the transcript
+ *
+ * @property {string[]} trustees
+ *  The Discord User IDs allowed to control the session
+ *
+ * @property {number} startedAt
+ *  The JS (millis) unix timestamp the session started
+ *
+ * @property {number | null} stoppedAt
+ *  The JS (millis) unix timestamp the session stopped
+ *
+ * @property {string | null} finalSummary
+ *  The summary produced by the critic pass
+ *
+ * @property {string | null} campaign
+ *  The campaign the session belongs to, if any
+ *
+ * @property {Record<string, string>} displayNames
+ *  The Discord names of the tracked users, shown next to character names
+ *
+ * @property {string[]} exportFormats
+ *  The transcript formats the GM picked, empty for the configured defaults
+ *
+ * @property {boolean} recorded
+ *  Whether the session's audio is kept on disk
+ *
+ * @property {string[]} summaryStyles
+ *  The styles the GM picked for the summary, the first one is posted with the feedback thread. Empty for the default style
+ */
+
+/**
+ * Represents an entry of a campaign's glossary
+ *
+ * @typedef {Object} GlossaryEntry
+ *
+ * @property {number | null} id
+ *  The row id, null until the entry is saved
+ *
+ * @property {string} guildId
+ *  The Discord guild the campaign belongs to
+ *
+ * @property {string} campaign
+ *  The campaign name, or an empty string for sessions outside of a campaign
+ *
+ * @property {string} name
+ *  The canonical spelling of the entity
+ *
+ * @property {string} type
+ *  One of GLOSSARY_TYPES
+ *
+ * @property {string} description
+ *  A short description of the entity
+ *
+ * @property {string[]} aliases
+ *  Other spellings that were merged into this entry
+ *
+ * @property {string[]} related
+ *  Names of characters the entity is connected to
+ *
+ * @property {string | null} firstSessionId
+ *  The session the entity first appeared in
+ *
+ * @property {string | null} lastSessionId
+ *  The session the entity last appeared in
+ *
+ * @property {boolean} locked
+ *  Whether a trustee edited the entry, which stops extraction from overwriting its description
+ */
+
+/**
+ * Schema versions for the archive, applied in order and tracked with PRAGMA user_version.
+ * Never edit a migration that has shipped - append a new one instead.
+ * @constant {string[]}
+ */
+const MIGRATIONS = [
+  `CREATE TABLE sessions (
+     id TEXT PRIMARY KEY,
+     guild_id TEXT NOT NULL,
+     text_channel_id TEXT,
+     voice_channel_id TEXT,
+     gm_id TEXT,
+     players TEXT NOT NULL DEFAULT '[]',
+     nicknames TEXT NOT NULL DEFAULT '{}',
+     trustees TEXT NOT NULL DEFAULT '[]',
+     started_at INTEGER NOT NULL,
+     stopped_at INTEGER,
+     final_summary TEXT
+   );
+   CREATE INDEX sessions_guild ON sessions (guild_id, started_at);
+
+   CREATE TABLE transcript_entries (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     seq INTEGER NOT NULL,
+     user_id TEXT NOT NULL,
+     name TEXT NOT NULL,
+     start_ms INTEGER NOT NULL,
+     end_ms INTEGER NOT NULL,
+     text TEXT NOT NULL,
+     PRIMARY KEY (session_id, seq)
+   );
+
+   CREATE TABLE chunk_summaries (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     seq INTEGER NOT NULL,
+     content TEXT NOT NULL,
+     PRIMARY KEY (session_id, seq)
+   );
+
+   CREATE TABLE feedback_revisions (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     seq INTEGER NOT NULL,
+     feedback TEXT NOT NULL,
+     revision TEXT NOT NULL,
+     created_at INTEGER NOT NULL,
+     PRIMARY KEY (session_id, seq)
+   );`,
+  `CREATE TABLE pending_jobs (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     user_id TEXT NOT NULL,
+     start_at INTEGER NOT NULL,
+     end_at INTEGER NOT NULL,
+     audio BLOB NOT NULL
+   );
+   CREATE INDEX pending_jobs_session ON pending_jobs (session_id, id);`,
+  `ALTER TABLE sessions ADD COLUMN campaign TEXT COLLATE NOCASE;
+   CREATE INDEX sessions_campaign ON sessions (guild_id, campaign, started_at);`,
+  `CREATE TABLE transcript_chunks (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     seq INTEGER NOT NULL,
+     kind TEXT NOT NULL,
+     start_ms INTEGER,
+     end_ms INTEGER,
+     content TEXT NOT NULL,
+     model TEXT NOT NULL,
+     embedding BLOB NOT NULL,
+     PRIMARY KEY (session_id, seq)
+   );`,
+  `CREATE TABLE glossary_entries (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     guild_id TEXT NOT NULL,
+     campaign TEXT NOT NULL DEFAULT '' COLLATE NOCASE,
+     name TEXT NOT NULL,
+     type TEXT NOT NULL,
+     description TEXT NOT NULL DEFAULT '',
+     aliases TEXT NOT NULL DEFAULT '[]',
+     related TEXT NOT NULL DEFAULT '[]',
+     first_session_id TEXT,
+     last_session_id TEXT,
+     locked INTEGER NOT NULL DEFAULT 0
+   );
+   CREATE INDEX glossary_campaign ON glossary_entries (guild_id, campaign);`,
+  `CREATE TABLE characters (
+     guild_id TEXT NOT NULL,
+     user_id TEXT NOT NULL,
+     name TEXT NOT NULL,
+     PRIMARY KEY (guild_id, user_id)
+   );
+   ALTER TABLE sessions ADD COLUMN display_names TEXT NOT NULL DEFAULT '{}';`,
+  `CREATE TABLE vocabulary (
+     guild_id TEXT NOT NULL,
+     campaign TEXT NOT NULL DEFAULT '' COLLATE NOCASE,
+     term TEXT NOT NULL COLLATE NOCASE,
+     PRIMARY KEY (guild_id, campaign, term)
+   );`,
+  `ALTER TABLE sessions ADD COLUMN export_formats TEXT NOT NULL DEFAULT '[]';`,
+  `ALTER TABLE sessions ADD COLUMN recorded INTEGER NOT NULL DEFAULT 0;
+   CREATE TABLE recordings (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     user_id TEXT,
+     start_ms INTEGER NOT NULL,
+     end_ms INTEGER,
+     path TEXT NOT NULL
+   );
+   CREATE INDEX recordings_session ON recordings (session_id);`,
+  `ALTER TABLE sessions ADD COLUMN summary_styles TEXT NOT NULL DEFAULT '[]';
+   CREATE TABLE summary_styles (
+     guild_id TEXT NOT NULL,
+     name TEXT NOT NULL COLLATE NOCASE,
+     instructions TEXT NOT NULL,
+     PRIMARY KEY (guild_id, name)
+   );`,
+];
+
+export default class ArchiveHandler {
+  /** @type {Database | null} */
+  db = null;
+
+  /**
+   * Opens (or creates) the archive database and brings its schema up to date
+   *
+   * @param {string} path - The SQLite file to use, or ":memory:"
+   */
+  constructor(path = DATABASE_PATH) {
+    if (path !== ":memory:") {
+      mkdirSync(dirname(path), { recursive: true });
+    }
+
+    this.db = new Database(path, { create: true });
+    this.db.run("PRAGMA journal_mode = WAL;");
+    this.db.run("PRAGMA foreign_keys = ON;");
+
+    this.migrate();
+  }
+
+  /**
+   * Applies every migration newer than the database's user_version
+   *
+   * @returns {void}
+   */
+  migrate() {
+    const { user_version: version } = this.db
+      .query("PRAGMA user_version")
+      .get();
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.run(MIGRATIONS[i]);
+        this.db.run(`PRAGMA user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  /**
+   * Records a session as soon as it starts so it can be found again if the bot dies.
+   * Sessions without a stoppedAt are considered unfinished.
+   *
+   * @param {ArchivedSession} session
+   *
+   * @returns {void}
+   */
+  createSession(session) {
+    this.db.run(
+      `INSERT OR IGNORE INTO sessions (id, guild_id, text_channel_id, voice_channel_id, gm_id,
+         players, nicknames, trustees, started_at, campaign, display_names, export_formats,
+         recorded, summary_styles)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.id,
+        session.guildId,
+        session.textChannelId ?? null,
+        session.voiceChannelId ?? null,
+        session.gmId ?? null,
+        JSON.stringify(session.players ?? []),
+        JSON.stringify(session.nicknames ?? {}),
+        JSON.stringify(session.trustees ?? []),
+        session.startedAt,
+        session.campaign ?? null,
+        JSON.stringify(session.displayNames ?? {}),
+        JSON.stringify(session.exportFormats ?? []),
+        session.recorded ? 1 : 0,
+        JSON.stringify(session.summaryStyles ?? []),
+      ],
+    );
+  }
+
+  /**
+   * Lists every session that was started but never stopped, oldest first
+   *
+   * @returns {ArchivedSession[]}
+   */
+  listUnfinishedSessions() {
+    return this.db
+      .query("SELECT * FROM sessions WHERE stopped_at IS NULL ORDER BY started_at")
+      .all()
+      .map(toSession);
+  }
+
+  /**
+   * Marks an unfinished session as stopped without a summary and drops its pending audio
+   *
+   * @param {string} sessionId
+   *
+   * @returns {void}
+   */
+  discardSession(sessionId) {
+    this.db.transaction(() => {
+      this.db.run("UPDATE sessions SET stopped_at = ? WHERE id = ?", [
+        Date.now(),
+        sessionId,
+      ]);
+      this.db.run("DELETE FROM pending_jobs WHERE session_id = ?", [sessionId]);
+    })();
+  }
+
+  /**
+   * Checkpoints an untranscribed audio job
+   *
+   * @param {string} sessionId
+   * @param {{ userId: string, start: number, end: number, buffer: Buffer }} job
+   *
+   * @returns {number} The id of the stored job
+   */
+  addPendingJob(sessionId, job) {
+    const { lastInsertRowid } = this.db.run(
+      `INSERT INTO pending_jobs (session_id, user_id, start_at, end_at, audio)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, job.userId, job.start, job.end, job.buffer],
+    );
+
+    return Number(lastInsertRowid);
+  }
+
+  /**
+   * Removes a transcribed job and, if it produced any speech, appends the
+   * resulting transcript entry in the same transaction so a crash never
+   * leaves both or neither behind. An entry with segments is stored as one row per segment,
+   * like saveSession stores merged turns.
+   *
+   * @param {string} sessionId
+   * @param {number | null} jobId
+   * @param {{ userId: string, name: string, start: number, end: number, text: string, segments?: { start: number, end: number, text: string }[] } | null} entry
+   *
+   * @returns {void}
+   */
+  completePendingJob(sessionId, jobId, entry) {
+    this.db.transaction(() => {
+      if (jobId !== null && jobId !== undefined) {
+        this.db.run("DELETE FROM pending_jobs WHERE id = ?", [jobId]);
+      }
+
+      for (const segment of entry ? SplitTurns([entry]) : []) {
+        this.db.run(
+          `INSERT INTO transcript_entries (session_id, seq, user_id, name, start_ms, end_ms, text)
+           VALUES (?, (SELECT COUNT(*) FROM transcript_entries WHERE session_id = ?), ?, ?, ?, ?, ?)`,
+          [
+            sessionId,
+            sessionId,
+            segment.userId,
+            segment.name,
+            segment.start,
+            segment.end,
+            segment.text,
+          ],
+        );
+      }
+    })();
+  }
+
+  /**
+   * Returns a session's checkpointed audio jobs in the order they were queued
+   *
+   * @param {string} sessionId
+   *
+   * @returns {{ checkpointId: number, userId: string, start: number, end: number, buffer: Buffer }[]}
+   */
+  getPendingJobs(sessionId) {
+    return this.db
+      .query(
+        `SELECT id, user_id, start_at, end_at, audio
+         FROM pending_jobs WHERE session_id = ? ORDER BY id`,
+      )
+      .all(sessionId)
+      .map((row) => ({
+        checkpointId: row.id,
+        userId: row.user_id,
+        start: row.start_at,
+        end: row.end_at,
+        buffer: Buffer.from(row.audio),
+      }));
+  }
+
+  /**
+   * Returns the audio of one checkpointed job
+   *
+   * @param {number} jobId
+   *
+   * @returns {Buffer | null} Null if the job is gone
+   */
+  getPendingJobAudio(jobId) {
+    const row = this.db.query("SELECT audio FROM pending_jobs WHERE id = ?").get(jobId);
+
+    return row ? Buffer.from(row.audio) : null;
+  }
+
+  /**
+   * Writes a finished session along with its transcript, chunk summaries and final summary.
+   * Saving the same session twice replaces the previous copy. Checkpointed jobs are dropped once the session
+   * is stopped, a session saved without stoppedAt keeps them for the next resume.
+   *
+   * @param {ArchivedSession} session
+   * @param {{ userId: string, name: string, start: number, end: number, text: string }[]} entries
+   * @param {string[]} chunkSummaries
+   *
+   * @returns {void}
+   */
+  saveSession(session, entries, chunkSummaries) {
+    this.db.transaction(() => {
+      this.db.run(
+        `INSERT INTO sessions (id, guild_id, text_channel_id, voice_channel_id, gm_id,
+           players, nicknames, trustees, started_at, stopped_at, final_summary, campaign,
+           display_names, export_formats, recorded, summary_styles)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           players = excluded.players,
+           nicknames = excluded.nicknames,
+           display_names = excluded.display_names,
+           export_formats = excluded.export_formats,
+           summary_styles = excluded.summary_styles,
+           trustees = excluded.trustees,
+           stopped_at = excluded.stopped_at,
+           final_summary = excluded.final_summary`,
+        [
+          session.id,
+          session.guildId,
+          session.textChannelId ?? null,
+          session.voiceChannelId ?? null,
+          session.gmId ?? null,
+          JSON.stringify(session.players ?? []),
+          JSON.stringify(session.nicknames ?? {}),
+          JSON.stringify(session.trustees ?? []),
+          session.startedAt,
+          session.stoppedAt ?? null,
+          session.finalSummary ?? null,
+          session.campaign ?? null,
+          JSON.stringify(session.displayNames ?? {}),
+          JSON.stringify(session.exportFormats ?? []),
+          session.recorded ? 1 : 0,
+          JSON.stringify(session.summaryStyles ?? []),
+        ],
+      );
+
+      this.db.run("DELETE FROM transcript_entries WHERE session_id = ?", [
+        session.id,
+      ]);
+      const insertEntry = this.db.prepare(
+        `INSERT INTO transcript_entries (session_id, seq, user_id, name, start_ms, end_ms, text)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      );
+      entries.forEach((entry, seq) =>
+        insertEntry.run(
+          session.id,
+          seq,
+          entry.userId,
+          entry.name,
+          entry.start,
+          entry.end,
+          entry.text,
+        ),
+      );
+
+      this.db.run("DELETE FROM chunk_summaries WHERE session_id = ?", [
+        session.id,
+      ]);
+      const insertSummary = this.db.prepare(
+        "INSERT INTO chunk_summaries (session_id, seq, content) VALUES (?, ?, ?)",
+      );
+      chunkSummaries.forEach((content, seq) =>
+        insertSummary.run(session.id, seq, content),
+      );
+
+      if (session.stoppedAt) {
+        this.db.run("DELETE FROM pending_jobs WHERE session_id = ?", [
+          session.id,
+        ]);
+      }
+    })();
+  }
+
+  /**
+   * Stores one round of user feedback and the model's revised summary
+   *
+   * @param {string} sessionId
+   * @param {string} feedback
+   * @param {string} revision
+   *
+   * @returns {void}
+   */
+  addFeedbackRevision(sessionId, feedback, revision) {
+    this.db.run(
+      `INSERT INTO feedback_revisions (session_id, seq, feedback, revision, created_at)
+       VALUES (?, (SELECT COUNT(*) FROM feedback_revisions WHERE session_id = ?), ?, ?, ?)`,
+      [sessionId, sessionId, feedback, revision, Date.now()],
+    );
+  }
+
+  /**
+   * Lists a guild's archived sessions, newest first
+   *
+   * @param {string} guildId
+   * @param {number} limit
+   *
+   * @returns {ArchivedSession[]}
+   */
+  listSessions(guildId, limit) {
+    return this.db
+      .query(
+        "SELECT * FROM sessions WHERE guild_id = ? ORDER BY started_at DESC LIMIT ?",
+      )
+      .all(guildId, limit)
+      .map(toSession);
+  }
+
+  /**
+   * Finds a guild's sessions whose id starts with the given prefix,
+   * so users only have to type the short id shown by the sessions command
+   *
+   * @param {string} guildId
+   * @param {string} idPrefix
+   *
+   * @returns {ArchivedSession[]}
+   */
+  findSessions(guildId, idPrefix) {
+    const escaped = idPrefix.toLowerCase().replace(/[\\%_]/g, "\\$&");
+
+    return this.db
+      .query(
+        "SELECT * FROM sessions WHERE guild_id = ? AND id LIKE ? ESCAPE '\\' ORDER BY started_at DESC",
+      )
+      .all(guildId, `${escaped}%`)
+      .map(toSession);
+  }
+
+  /**
+   * Returns the latest summary of a campaign's finished sessions, oldest first.
+   * A session's latest feedback revision wins over its original final summary.
+   *
+   * @param {string} guildId
+   * @param {string} campaign - Matched case-insensitively
+   * @param {number} limit - How many of the most recent sessions to return
+   * @param {string | null} [excludeId] - A session to leave out, usually the one being summarized
+   *
+   * @returns {{ id: string, startedAt: number, summary: string }[]}
+   */
+  getCampaignSummaries(guildId, campaign, limit, excludeId = null) {
+    return this.db
+      .query(
+        `SELECT id, started_at AS startedAt, COALESCE(
+           (SELECT revision FROM feedback_revisions f
+            WHERE f.session_id = s.id ORDER BY seq DESC LIMIT 1),
+           final_summary) AS summary
+         FROM sessions s
+         WHERE guild_id = ? AND campaign = ? AND stopped_at IS NOT NULL
+           AND final_summary IS NOT NULL AND id IS NOT ?
+         ORDER BY started_at DESC LIMIT ?`,
+      )
+      .all(guildId, campaign, excludeId, limit)
+      .reverse();
+  }
+
+  /**
+   * Returns the campaign of a guild's most recently started campaign session
+   *
+   * @param {string} guildId
+   *
+   * @returns {string | null}
+   */
+  getLatestCampaign(guildId) {
+    const row = this.db
+      .query(
+        `SELECT campaign FROM sessions WHERE guild_id = ? AND campaign IS NOT NULL
+         ORDER BY started_at DESC LIMIT 1`,
+      )
+      .get(guildId);
+
+    return row?.campaign ?? null;
+  }
+
+  /**
+   * Replaces a session's searchable chunks
+   *
+   * @param {string} sessionId
+   * @param {string} model - The embedding model that produced the vectors
+   * @param {{ kind: string, start: number | null, end: number | null, content: string, embedding: Float32Array }[]} chunks
+   *
+   * @returns {void}
+   */
+  saveTranscriptChunks(sessionId, model, chunks) {
+    this.db.transaction(() => {
+      this.db.run("DELETE FROM transcript_chunks WHERE session_id = ?", [
+        sessionId,
+      ]);
+
+      const insertChunk = this.db.prepare(
+        `INSERT INTO transcript_chunks (session_id, seq, kind, start_ms, end_ms, content, model, embedding)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      );
+      chunks.forEach((chunk, seq) =>
+        insertChunk.run(
+          sessionId,
+          seq,
+          chunk.kind,
+          chunk.start,
+          chunk.end,
+          chunk.content,
+          model,
+          new Uint8Array(
+            chunk.embedding.buffer,
+            chunk.embedding.byteOffset,
+            chunk.embedding.byteLength,
+          ),
+        ),
+      );
+    })();
+  }
+
+  /**
+   * Lists a guild's finished sessions that have not been embedded with the given model yet
+   *
+   * @param {string} guildId
+   * @param {string} model
+   *
+   * @returns {ArchivedSession[]}
+   */
+  listUnindexedSessions(guildId, model) {
+    return this.db
+      .query(
+        `SELECT * FROM sessions s WHERE guild_id = ? AND stopped_at IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM transcript_chunks c
+                           WHERE c.session_id = s.id AND c.model = ?)
+         ORDER BY started_at`,
+      )
+      .all(guildId, model)
+      .map(toSession);
+  }
+
+  /**
+   * Returns every searchable chunk of a guild, optionally limited to one campaign
+   *
+   * @param {string} guildId
+   * @param {string | null} campaign
+   * @param {string} model - Only chunks embedded with this model are comparable
+   *
+   * @returns {{ sessionId: string, startedAt: number, kind: string, start: number | null, end: number | null, content: string, embedding: Float32Array }[]}
+   */
+  getTranscriptChunks(guildId, campaign, model) {
+    return this.db
+      .query(
+        `SELECT c.session_id, s.started_at, c.kind, c.start_ms, c.end_ms, c.content, c.embedding
+         FROM transcript_chunks c JOIN sessions s ON s.id = c.session_id
+         WHERE s.guild_id = ? AND (? IS NULL OR s.campaign = ?) AND c.model = ?
+         ORDER BY s.started_at, c.seq`,
+      )
+      .all(guildId, campaign, campaign, model)
+      .map((row) => ({
+        sessionId: row.session_id,
+        startedAt: row.started_at,
+        kind: row.kind,
+        start: row.start_ms,
+        end: row.end_ms,
+        content: row.content,
+        embedding: new Float32Array(new Uint8Array(row.embedding).buffer),
+      }));
+  }
+
+  /**
+   * Returns every glossary entry of a campaign, sorted by name
+   *
+   * @param {string} guildId
+   * @param {string} campaign - An empty string for sessions outside of a campaign
+   *
+   * @returns {GlossaryEntry[]}
+   */
+  getGlossary(guildId, campaign) {
+    return this.db
+      .query(
+        `SELECT * FROM glossary_entries WHERE guild_id = ? AND campaign = ?
+         ORDER BY name COLLATE NOCASE`,
+      )
+      .all(guildId, campaign)
+      .map(toGlossaryEntry);
+  }
+
+  /**
+   * Inserts a new glossary entry or updates an existing one by id
+   *
+   * @param {GlossaryEntry} entry
+   *
+   * @returns {number} The entry's id
+   */
+  saveGlossaryEntry(entry) {
+    const values = [
+      entry.name,
+      entry.type,
+      entry.description ?? "",
+      JSON.stringify(entry.aliases ?? []),
+      JSON.stringify(entry.related ?? []),
+      entry.firstSessionId ?? null,
+      entry.lastSessionId ?? null,
+      entry.locked ? 1 : 0,
+    ];
+
+    if (entry.id) {
+      this.db.run(
+        `UPDATE glossary_entries SET name = ?, type = ?, description = ?, aliases = ?,
+           related = ?, first_session_id = ?, last_session_id = ?, locked = ?
+         WHERE id = ?`,
+        [...values, entry.id],
+      );
+      return entry.id;
+    }
+
+    const { lastInsertRowid } = this.db.run(
+      `INSERT INTO glossary_entries (name, type, description, aliases, related,
+         first_session_id, last_session_id, locked, guild_id, campaign)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, entry.guildId, entry.campaign ?? ""],
+    );
+    return Number(lastInsertRowid);
+  }
+
+  /**
+   * Deletes a glossary entry
+   *
+   * @param {number} id
+   *
+   * @returns {void}
+   */
+  deleteGlossaryEntry(id) {
+    this.db.run("DELETE FROM glossary_entries WHERE id = ?", [id]);
+  }
+
+  /**
+   * Returns the character name every player of a guild has set
+   *
+   * @param {string} guildId
+   *
+   * @returns {Map<string, string>} User ID to character name
+   */
+  getCharacters(guildId) {
+    return new Map(
+      this.db
+        .query("SELECT user_id, name FROM characters WHERE guild_id = ?")
+        .all(guildId)
+        .map((row) => [row.user_id, row.name]),
+    );
+  }
+
+  /**
+   * Remembers a player's character name, or forgets it when name is null
+   *
+   * @param {string} guildId
+   * @param {string} userId
+   * @param {string | null} name
+   *
+   * @returns {void}
+   */
+  setCharacter(guildId, userId, name) {
+    if (name === null) {
+      this.db.run("DELETE FROM characters WHERE guild_id = ? AND user_id = ?", [
+        guildId,
+        userId,
+      ]);
+      return;
+    }
+
+    this.db.run(
+      `INSERT INTO characters (guild_id, user_id, name) VALUES (?, ?, ?)
+       ON CONFLICT (guild_id, user_id) DO UPDATE SET name = excluded.name`,
+      [guildId, userId, name],
+    );
+  }
+
+  /**
+   * Returns the vocabulary terms of a guild, alphabetically
+   *
+   * @param {string} guildId
+   * @param {string | null} campaign - Also includes this campaign's terms when given
+   *
+   * @returns {{ campaign: string, term: string }[]} Guild-wide terms have an empty campaign
+   */
+  getVocabulary(guildId, campaign = null) {
+    return this.db
+      .query(
+        `SELECT campaign, term FROM vocabulary
+         WHERE guild_id = ? AND (campaign = '' OR campaign = ?)
+         ORDER BY term COLLATE NOCASE`,
+      )
+      .all(guildId, campaign || "");
+  }
+
+  /**
+   * Adds a term to a guild's or campaign's vocabulary
+   *
+   * @param {string} guildId
+   * @param {string} campaign - An empty string for guild-wide terms
+   * @param {string} term
+   *
+   * @returns {boolean} Whether the term was new
+   */
+  addVocabulary(guildId, campaign, term) {
+    return (
+      this.db.run(
+        "INSERT OR IGNORE INTO vocabulary (guild_id, campaign, term) VALUES (?, ?, ?)",
+        [guildId, campaign, term],
+      ).changes > 0
+    );
+  }
+
+  /**
+   * Removes a term from a guild's or campaign's vocabulary
+   *
+   * @param {string} guildId
+   * @param {string} campaign - An empty string for guild-wide terms
+   * @param {string} term
+   *
+   * @returns {boolean} Whether the term existed
+   */
+  removeVocabulary(guildId, campaign, term) {
+    return (
+      this.db.run(
+        "DELETE FROM vocabulary WHERE guild_id = ? AND campaign = ? AND term = ?",
+        [guildId, campaign, term],
+      ).changes > 0
+    );
+  }
+
+  /**
+   * Returns the summary styles a guild added with the style command, alphabetically
+   *
+   * @param {string} guildId
+   *
+   * @returns {{ name: string, instructions: string }[]}
+   */
+  getSummaryStyles(guildId) {
+    return this.db
+      .query(
+        "SELECT name, instructions FROM summary_styles WHERE guild_id = ? ORDER BY name",
+      )
+      .all(guildId);
+  }
+
+  /**
+   * Adds a summary style to a guild, or replaces its instructions if it already has one by that name
+   *
+   * @param {string} guildId
+   * @param {string} name
+   * @param {string} instructions
+   *
+   * @returns {boolean} Whether the style was new
+   */
+  setSummaryStyle(guildId, name, instructions) {
+    const existed = this.db
+      .query("SELECT 1 FROM summary_styles WHERE guild_id = ? AND name = ?")
+      .get(guildId, name);
+
+    this.db.run(
+      `INSERT INTO summary_styles (guild_id, name, instructions) VALUES (?, ?, ?)
+       ON CONFLICT (guild_id, name) DO UPDATE SET instructions = excluded.instructions`,
+      [guildId, name, instructions],
+    );
+
+    return !existed;
+  }
+
+  /**
+   * Removes a summary style from a guild
+   *
+   * @param {string} guildId
+   * @param {string} name
+   *
+   * @returns {boolean} Whether the style existed
+   */
+  removeSummaryStyle(guildId, name) {
+    return (
+      this.db.run(
+        "DELETE FROM summary_styles WHERE guild_id = ? AND name = ?",
+        [guildId, name],
+      ).changes > 0
+    );
+  }
+
+  /**
+   * Remembers where a piece of a session's recorded audio was written
+   *
+   * @param {string} sessionId
+   * @param {{ userId: string | null, start: number, end: number | null, path: string }} recording - A null userId marks the mixed track
+   *
+   * @returns {void}
+   */
+  addRecording(sessionId, recording) {
+    this.db.run(
+      `INSERT INTO recordings (session_id, user_id, start_ms, end_ms, path)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, recording.userId, recording.start, recording.end, recording.path],
+    );
+  }
+
+  /**
+   * Returns the recorded audio files of a session, in the order they were spoken
+   *
+   * @param {string} sessionId
+   *
+   * @returns {{ userId: string | null, start: number, end: number | null, path: string }[]} The mixed track has a null userId
+   */
+  getRecordings(sessionId) {
+    return this.db
+      .query(
+        `SELECT user_id AS userId, start_ms AS start, end_ms AS "end", path
+         FROM recordings WHERE session_id = ? ORDER BY start_ms, id`,
+      )
+      .all(sessionId);
+  }
+
+  /**
+   * Returns a session's transcript entries in the order they were logged
+   *
+   * @param {string} sessionId
+   *
+   * @returns {{ userId: string, name: string, start: number, end: number, text: string }[]}
+   */
+  getTranscriptEntries(sessionId) {
+    return this.db
+      .query(
+        `SELECT user_id AS userId, name, start_ms AS start, end_ms AS end, text
+         FROM transcript_entries WHERE session_id = ? ORDER BY seq`,
+      )
+      .all(sessionId);
+  }
+
+  /**
+   * Returns a session's chunk summaries in chronological order
+   *
+   * @param {string} sessionId
+   *
+   * @returns {string[]}
+   */
+  getChunkSummaries(sessionId) {
+    return this.db
+      .query(
+        "SELECT content FROM chunk_summaries WHERE session_id = ? ORDER BY seq",
+      )
+      .all(sessionId)
+      .map((row) => row.content);
+  }
+
+  /**
+   * Returns every feedback round of a session, oldest first
+   *
+   * @param {string} sessionId
+   *
+   * @returns {{ feedback: string, revision: string, createdAt: number }[]}
+   */
+  getFeedbackRevisions(sessionId) {
+    return this.db
+      .query(
+        `SELECT feedback, revision, created_at AS createdAt
+         FROM feedback_revisions WHERE session_id = ? ORDER BY seq`,
+      )
+      .all(sessionId);
+  }
+
+  /**
+   * Closes the underlying database
+   *
+   * @returns {void}
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Maps a sessions row to an ArchivedSession
+ *
+ * @param {Object} row
+ *
+ * @returns {ArchivedSession}
+ */
+function toSession(row) {
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    textChannelId: row.text_channel_id,
+    voiceChannelId: row.voice_channel_id,
+    gmId: row.gm_id,
+    players: JSON.parse(row.players),
+    nicknames: JSON.parse(row.nicknames),
+    trustees: JSON.parse(row.trustees),
+    startedAt: row.started_at,
+    stoppedAt: row.stopped_at,
+    finalSummary: row.final_summary,
+    campaign: row.campaign,
+    displayNames: JSON.parse(row.display_names),
+    exportFormats: JSON.parse(row.export_formats),
+    recorded: row.recorded === 1,
+    summaryStyles: JSON.parse(row.summary_styles),
+  };
+}
+
+/**
+ * Maps a glossary_entries row to a GlossaryEntry
+ *
+ * @param {Object} row
+ *
+ * @returns {GlossaryEntry}
+ */
+function toGlossaryEntry(row) {
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    campaign: row.campaign,
+    name: row.name,
+    type: row.type,
+    description: row.description,
+    aliases: JSON.parse(row.aliases),
+    related: JSON.parse(row.related),
+    firstSessionId: row.first_session_id,
+    lastSessionId: row.last_session_id,
+    locked: row.locked === 1,
+  };
+}
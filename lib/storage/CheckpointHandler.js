@@ -0,0 +1,84 @@
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+
+/**
+ * Continuously saves a single session's queued audio and transcript entries to the archive
+ * so an in-progress session survives the bot process dying.
+ *
+ * Checkpointing must never break transcription, so every write only logs its errors.
+ */
+export default class CheckpointHandler {
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {string | null} */
+  sessionId = null;
+
+  /**
+   * @param {ArchiveHandler} archive
+   * @param {string} sessionId
+   */
+  constructor(archive, sessionId) {
+    this.archive = archive;
+    this.sessionId = sessionId;
+  }
+
+  /**
+   * Saves a queued job's audio until it has been transcribed
+   *
+   * @param {{ userId: string, start: number, end: number, buffer: Buffer }} job
+   *
+   * @returns {number | null} The checkpoint id to hand back to completeJob
+   */
+  saveJob(job) {
+    try {
+      return this.archive.addPendingJob(this.sessionId, job);
+    } catch (err) {
+      console.error(`Could not checkpoint job for [${job.userId}]:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Reads a saved job's audio back, for jobs that were dropped from memory while they waited
+   *
+   * @param {number} checkpointId
+   *
+   * @returns {Buffer | null}
+   */
+  loadJobAudio(checkpointId) {
+    try {
+      return this.archive.getPendingJobAudio(checkpointId);
+    } catch (err) {
+      console.error(`Could not read checkpointed job [${checkpointId}]:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Swaps a transcribed job's audio for its transcript entry
+   *
+   * @param {number | null | undefined} checkpointId
+   * @param {{ userId: string, name: string, start: number, end: number, text: string } | null} entry
+   *
+   * @returns {void}
+   */
+  completeJob(checkpointId, entry) {
+    try {
+      this.archive.completePendingJob(this.sessionId, checkpointId ?? null, entry);
+    } catch (err) {
+      console.error(`Could not checkpoint transcript entry:`, err);
+    }
+  }
+
+  /**
+   * Returns everything captured before the last shutdown
+   *
+   * @returns {{ entries: { userId: string, name: string, start: number, end: number, text: string }[], jobs: { checkpointId: number, userId: string, start: number, end: number, buffer: Buffer }[] }}
+   */
+  restore() {
+    return {
+      entries: this.archive.getTranscriptEntries(this.sessionId),
+      jobs: this.archive.getPendingJobs(this.sessionId),
+    };
+  }
+}
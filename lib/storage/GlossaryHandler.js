@@ -0,0 +1,266 @@
+import {
+  GLOSSARY_MATCH_THRESHOLD,
+  GLOSSARY_TYPES,
+} from "@/lib/static/Constants.js";
+import { NameSimilarity } from "@/lib/static/Utils.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+
+/**
+ * Keeps each campaign's glossary of NPCs, places and items up to date from session summaries,
+ * and applies the corrections trustees make by hand.
+ */
+export default class GlossaryHandler {
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {ModelHandler | null} */
+  modelHandler = null;
+
+  /**
+   * @param {ArchiveHandler} archive
+   * @param {ModelHandler} [modelHandler] - Used for extraction, defaults to a blank handler
+   */
+  constructor(archive, modelHandler = new ModelHandler(new Map(), Date.now())) {
+    this.archive = archive;
+    this.modelHandler = modelHandler;
+  }
+
+  /**
+   * Finds the entry a name refers to, either by its name or one of its aliases.
+   * Exact (case-insensitive) matches win, otherwise the most similar name above
+   * GLOSSARY_MATCH_THRESHOLD is used.
+   *
+   * @param {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry[]} entries
+   * @param {string} name
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry | null}
+   */
+  findEntry(entries, name) {
+    const lowered = name.toLowerCase();
+    const exact = entries.find((entry) =>
+      [entry.name, ...entry.aliases].some((n) => n.toLowerCase() === lowered),
+    );
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = GLOSSARY_MATCH_THRESHOLD;
+    for (const entry of entries) {
+      for (const candidate of [entry.name, ...entry.aliases]) {
+        const score = NameSimilarity(candidate, name);
+        if (score >= bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Looks an entry up the way a person would ask for it: the same as findEntry,
+   * but falling back to partial names so "ireena" finds "Ireena Kolyana"
+   *
+   * @param {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry[]} entries
+   * @param {string} query
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry[]} Every plausible match
+   */
+  searchEntries(entries, query) {
+    const match = this.findEntry(entries, query);
+    if (match) return [match];
+
+    const lowered = query.toLowerCase();
+    return entries.filter((entry) =>
+      [entry.name, ...entry.aliases].some(
+        (n) =>
+          n.toLowerCase().includes(lowered) ||
+          n
+            .split(/\s+/)
+            .some((word) => NameSimilarity(word, query) >= GLOSSARY_MATCH_THRESHOLD),
+      ),
+    );
+  }
+
+  /**
+   * Runs the extraction pass over a session's summary and merges the results into its campaign's glossary
+   *
+   * @param {string} guildId
+   * @param {string} campaign - An empty string for sessions outside of a campaign
+   * @param {string} sessionId
+   * @param {string} summary
+   *
+   * @returns {Promise<number>} How many entries were added or updated
+   */
+  async extractFromSession(guildId, campaign, sessionId, summary) {
+    const known = this.archive.getGlossary(guildId, campaign);
+    const entities = await this.modelHandler.getEntities(
+      summary,
+      known.map((entry) => entry.name),
+    );
+
+    return this.mergeEntities(guildId, campaign, sessionId, entities);
+  }
+
+  /**
+   * Merges extracted entities into the glossary. Spelling variants of a known entry
+   * become aliases, and descriptions of entries a trustee edited are left alone.
+   *
+   * @param {string} guildId
+   * @param {string} campaign
+   * @param {string} sessionId
+   * @param {{ name: string, type?: string, description?: string, related?: string[] }[]} entities
+   *
+   * @returns {number} How many entries were added or updated
+   */
+  mergeEntities(guildId, campaign, sessionId, entities) {
+    const entries = this.archive.getGlossary(guildId, campaign);
+    let changed = 0;
+
+    for (const entity of entities) {
+      const name = typeof entity?.name === "string" ? entity.name.trim() : "";
+      if (!name) continue;
+
+      const type = GLOSSARY_TYPES.includes(entity.type) ? entity.type : "other";
+      const description =
+        typeof entity.description === "string" ? entity.description.trim() : "";
+      const related = Array.isArray(entity.related)
+        ? entity.related.filter((r) => typeof r === "string" && r.trim())
+        : [];
+
+      const match = this.findEntry(entries, name);
+      if (match) {
+        if (
+          match.name.toLowerCase() !== name.toLowerCase() &&
+          !match.aliases.some((alias) => alias.toLowerCase() === name.toLowerCase())
+        ) {
+          match.aliases.push(name);
+        }
+        if (!match.locked && description) {
+          match.description = description;
+        }
+        match.related = mergeNames(match.related, related);
+        match.lastSessionId = sessionId;
+
+        this.archive.saveGlossaryEntry(match);
+      } else {
+        const entry = {
+          id: null,
+          guildId,
+          campaign,
+          name,
+          type,
+          description,
+          aliases: [],
+          related: mergeNames([], related),
+          firstSessionId: sessionId,
+          lastSessionId: sessionId,
+          locked: false,
+        };
+        entry.id = this.archive.saveGlossaryEntry(entry);
+        entries.push(entry);
+      }
+
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Applies a trustee's correction to an entry and locks it against future extraction
+   *
+   * @param {string} guildId
+   * @param {string} campaign
+   * @param {string} name
+   * @param {{ type?: string, description?: string, rename?: string }} changes
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry | null} The edited entry, or null if none matched
+   */
+  editEntry(guildId, campaign, name, changes) {
+    const entry = this.findEntry(this.archive.getGlossary(guildId, campaign), name);
+    if (!entry) return null;
+
+    if (changes.type) entry.type = changes.type;
+    if (changes.description) entry.description = changes.description;
+    if (changes.rename && changes.rename !== entry.name) {
+      entry.aliases = mergeNames(entry.aliases, [entry.name]).filter(
+        (alias) => alias.toLowerCase() !== changes.rename.toLowerCase(),
+      );
+      entry.name = changes.rename;
+    }
+    entry.locked = true;
+
+    this.archive.saveGlossaryEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Folds one entry into another, keeping the target's name and description
+   * and remembering the source's spellings as aliases
+   *
+   * @param {string} guildId
+   * @param {string} campaign
+   * @param {string} name - The entry to fold away
+   * @param {string} into - The entry to keep
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry | null} The merged entry, or null if either side is missing or both are the same
+   */
+  mergeEntries(guildId, campaign, name, into) {
+    const entries = this.archive.getGlossary(guildId, campaign);
+    const source = this.findEntry(entries, name);
+    const target = this.findEntry(entries, into);
+    if (!source || !target || source.id === target.id) return null;
+
+    target.aliases = mergeNames(target.aliases, [source.name, ...source.aliases]);
+    target.related = mergeNames(target.related, source.related);
+    target.description ||= source.description;
+    target.firstSessionId ??= source.firstSessionId;
+    target.locked = true;
+
+    this.archive.db.transaction(() => {
+      this.archive.saveGlossaryEntry(target);
+      this.archive.deleteGlossaryEntry(source.id);
+    })();
+
+    return target;
+  }
+
+  /**
+   * Deletes an entry
+   *
+   * @param {string} guildId
+   * @param {string} campaign
+   * @param {string} name
+   *
+   * @returns {import("@/lib/storage/ArchiveHandler.js").GlossaryEntry | null} The deleted entry, or null if none matched
+   */
+  removeEntry(guildId, campaign, name) {
+    const entry = this.findEntry(this.archive.getGlossary(guildId, campaign), name);
+    if (!entry) return null;
+
+    this.archive.deleteGlossaryEntry(entry.id);
+    return entry;
+  }
+}
+
+/**
+ * Unions two name lists, ignoring case
+ *
+ * @param {string[]} existing
+ * @param {string[]} incoming
+ *
+ * @returns {string[]}
+ */
+function mergeNames(existing, incoming) {
+  const merged = [...existing];
+  for (const name of incoming) {
+    const trimmed = name.trim();
+    if (!merged.some((n) => n.toLowerCase() === trimmed.toLowerCase())) {
+      merged.push(trimmed);
+    }
+  }
+
+  return merged;
+}
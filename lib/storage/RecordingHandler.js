@@ -0,0 +1,215 @@
+import fs from "node:fs";
+import path from "node:path";
+import prism from "prism-media";
+import { RECORDINGS_PATH, RECORDING_MIX_BITRATE } from "@/lib/static/Constants.js";
+import { FindWavChunk } from "@/lib/static/Utils.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+
+/**
+ * The sample rate of the WAV audio FFMPEG_WAV_ARGS produces
+ * @constant {number}
+ */
+const SAMPLE_RATE = 16000;
+
+/**
+ * Bytes per sample of 16-bit mono PCM
+ * @constant {number}
+ */
+const SAMPLE_BYTES = 2;
+
+/**
+ * Keeps the audio of a recorded session on disk: every utterance as its own WAV file
+ * under `<RECORDINGS_PATH>/<sessionId>/<userId>-<offsetMs>.wav`, and on request a single
+ * time-aligned Opus/OGG mix of the whole session.
+ *
+ * Recording must never break transcription, so every write only logs its errors.
+ */
+export default class RecordingHandler {
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {string | null} */
+  sessionId = null;
+
+  /** @type {number | null} */
+  sessionStart = null;
+
+  /** @type {string | null} */
+  directory = null;
+
+  /**
+   * @param {ArchiveHandler | null} archive - Where the file paths are stored with the session
+   * @param {string} sessionId
+   * @param {number} sessionStart
+   * @param {string} [root] - The folder every session's recordings go under
+   */
+  constructor(archive, sessionId, sessionStart, root = RECORDINGS_PATH) {
+    this.archive = archive;
+    this.sessionId = sessionId;
+    this.sessionStart = sessionStart;
+    this.directory = path.join(root, sessionId);
+  }
+
+  /**
+   * Writes an utterance's WAV audio to disk
+   *
+   * @param {{ userId: string, start: number, end: number, buffer: Buffer }} job
+   *
+   * @returns {string | null} The file path, or null if it couldn't be written
+   */
+  saveUtterance(job) {
+    const offset = Math.max(0, Math.round(job.start - this.sessionStart));
+    const filePath = path.join(this.directory, `${job.userId}-${offset}.wav`);
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(filePath, job.buffer);
+
+      this.archive?.addRecording(this.sessionId, {
+        userId: job.userId,
+        start: offset,
+        end: Math.max(offset, Math.round(job.end - this.sessionStart)),
+        path: filePath,
+      });
+    } catch (err) {
+      console.error(`Could not record utterance for [${job.userId}]:`, err);
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Lists the utterances recorded so far, in the order they were spoken
+   *
+   * @returns {{ userId: string, offset: number, path: string }[]}
+   */
+  listUtterances() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs
+      .readdirSync(this.directory)
+      .map((file) => {
+        const match = file.match(/^(\d+)-(\d+)\.wav$/);
+        return match
+          ? { userId: match[1], offset: Number(match[2]), path: path.join(this.directory, file) }
+          : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Mixes every utterance into one raw PCM track where each sits at its offset from session start.
+   * The track is built on disk so a long session never has to fit in memory, one utterance at a time
+   * with the file reads and writes in between, so mixing hours of audio never holds up the event loop.
+   *
+   * @param {string} pcmPath
+   *
+   * @returns {Promise<number>} How many utterances were mixed in
+   */
+  async mixToPcm(pcmPath) {
+    const utterances = this.listUtterances();
+    const track = await fs.promises.open(pcmPath, "w+");
+
+    try {
+      for (const utterance of utterances) {
+        const samples = readWavSamples(await fs.promises.readFile(utterance.path));
+        if (!samples) {
+          console.warn(`Skipping unreadable recording ${utterance.path}`);
+          continue;
+        }
+
+        const position = Math.round((utterance.offset / 1000) * SAMPLE_RATE) * SAMPLE_BYTES;
+
+        // Overlapping speakers are summed with whatever is already on the track
+        const existing = new Int16Array(samples.length);
+        const bytes = new Uint8Array(existing.buffer);
+        await track.read(bytes, 0, bytes.length, position);
+        for (let i = 0; i < samples.length; i++) {
+          existing[i] = Math.max(-32768, Math.min(32767, existing[i] + samples[i]));
+        }
+        await track.write(bytes, 0, bytes.length, position);
+      }
+    } finally {
+      await track.close();
+    }
+
+    return utterances.length;
+  }
+
+  /**
+   * Renders the whole session into a single Opus/OGG file next to the utterances
+   *
+   * @returns {Promise<string | null>} The file path, or null if there was nothing to mix or FFmpeg failed
+   */
+  async renderMix() {
+    const pcmPath = path.join(this.directory, "mix.pcm");
+    const oggPath = path.join(this.directory, "mix.ogg");
+
+    try {
+      if ((await this.mixToPcm(pcmPath)) === 0) return null;
+
+      const { command } = prism.FFmpeg.getInfo();
+      const proc = Bun.spawn(
+        [
+          command,
+          "-y",
+          "-loglevel",
+          "error",
+          "-f",
+          "s16le",
+          "-ar",
+          `${SAMPLE_RATE}`,
+          "-ac",
+          "1",
+          "-i",
+          pcmPath,
+          "-c:a",
+          "libopus",
+          "-b:a",
+          RECORDING_MIX_BITRATE,
+          oggPath,
+        ],
+        { stdout: "ignore", stderr: "pipe" },
+      );
+
+      if ((await proc.exited) !== 0) {
+        throw new Error(`FFmpeg exited with ${proc.exitCode}: ${await new Response(proc.stderr).text()}`);
+      }
+
+      this.archive?.addRecording(this.sessionId, {
+        userId: null,
+        start: 0,
+        end: null,
+        path: oggPath,
+      });
+
+      return oggPath;
+    } catch (err) {
+      console.error(`Could not mix the recording of session [${this.sessionId}]:`, err);
+      return null;
+    } finally {
+      fs.rmSync(pcmPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Pulls the 16-bit samples out of a WAV file.
+ * Typed arrays use the machine's byte order, which is little-endian like the WAV on every platform Bun runs on.
+ *
+ * @param {Buffer} wav
+ *
+ * @returns {Int16Array | null} Null if the file isn't a WAV
+ */
+function readWavSamples(wav) {
+  const data = FindWavChunk(wav, "data");
+  if (!data) return null;
+
+  const length = Math.floor((data.end - data.start) / SAMPLE_BYTES) * SAMPLE_BYTES;
+  const start = wav.byteOffset + data.start;
+
+  // Copied out, as the samples don't have to sit at an even offset in the buffer
+  return new Int16Array(wav.buffer.slice(start, start + length));
+}
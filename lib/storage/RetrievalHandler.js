@@ -0,0 +1,198 @@
+import {
+  ASK_CHUNK_TOKENS,
+  ASK_PROMPT,
+  ASK_RESULTS,
+  EMBEDDING_MODEL,
+  SYSTEM,
+  USER,
+} from "@/lib/static/Constants.js";
+import {
+  CosineSimilarity,
+  CreateLogEntry,
+  EstimateTokens,
+  ShortId,
+} from "@/lib/static/Utils.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+
+/**
+ * How many chunks are sent to the embedding model per request
+ * @constant {number}
+ */
+const EMBED_BATCH_SIZE = 32;
+
+/**
+ * Represents a searchable piece of an archived session
+ *
+ * @typedef {Object} Chunk
+ *
+ * @property {string} kind
+ *  Either "transcript" or "summary"
+ *
+ * @property {number | null} start
+ *  Milliseconds from session start of the first utterance, null for summaries
+ *
+ * @property {number | null} end
+ *  Milliseconds from session start of the last utterance, null for summaries
+ *
+ * @property {string} content
+ *  The text that is embedded and shown to the model
+ */
+
+export default class RetrievalHandler {
+  /** @type {ArchiveHandler | null} */
+  archive = null;
+
+  /** @type {ModelHandler | null} */
+  modelHandler = null;
+
+  /**
+   * @param {ArchiveHandler} archive
+   * @param {ModelHandler} [modelHandler] - Used for embeddings and answers, defaults to a blank handler
+   */
+  constructor(archive, modelHandler = new ModelHandler(new Map(), Date.now())) {
+    this.archive = archive;
+    this.modelHandler = modelHandler;
+  }
+
+  /**
+   * Splits a session into searchable chunks: timestamped transcript pieces of roughly
+   * ASK_CHUNK_TOKENS each, plus one chunk per section of the final summary.
+   *
+   * @param {{ userId: string, name: string, start: number, end: number, text: string }[]} entries
+   * @param {string | null} finalSummary
+   *
+   * @returns {Chunk[]}
+   */
+  buildChunks(entries, finalSummary) {
+    /** @type {Chunk[]} */
+    const chunks = [];
+
+    let current = [];
+    let currentTokens = 0;
+    const flush = () => {
+      if (current.length === 0) return;
+      chunks.push({
+        kind: "transcript",
+        start: current[0].start,
+        end: current.at(-1).end,
+        content: current.map((entry) => entry.userContent).join("\n"),
+      });
+      current = [];
+      currentTokens = 0;
+    };
+
+    for (const e of entries) {
+      const entry = CreateLogEntry(e.userId, e.name, e.start, e.end, e.text);
+      current.push(entry);
+      currentTokens += EstimateTokens(entry.userContent);
+
+      if (currentTokens >= ASK_CHUNK_TOKENS) flush();
+    }
+    flush();
+
+    // Summaries are split on their markdown headers so each chunk stays on one topic
+    for (const section of (finalSummary ?? "").split(/\n(?=#)/)) {
+      if (section.trim().length === 0) continue;
+      chunks.push({ kind: "summary", start: null, end: null, content: section.trim() });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Embeds and stores the chunks of one archived session
+   *
+   * @param {{ id: string, finalSummary: string | null }} session
+   *
+   * @returns {Promise<void>}
+   */
+  async indexSession(session) {
+    const entries = this.archive.getTranscriptEntries(session.id);
+    const chunks = this.buildChunks(entries, session.finalSummary);
+
+    const embeddings = [];
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+      embeddings.push(
+        ...(await this.modelHandler.promptEmbedder(batch.map((c) => c.content))),
+      );
+    }
+
+    this.archive.saveTranscriptChunks(
+      session.id,
+      EMBEDDING_MODEL,
+      chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })),
+    );
+    console.log(`Session [${session.id}] indexed into ${chunks.length} chunks`);
+  }
+
+  /**
+   * Indexes every finished session of a guild that isn't searchable yet,
+   * e.g. sessions archived before the ask command existed or before the embedding model changed
+   *
+   * @param {string} guildId
+   *
+   * @returns {Promise<void>}
+   */
+  async indexGuild(guildId) {
+    for (const session of this.archive.listUnindexedSessions(guildId, EMBEDDING_MODEL)) {
+      await this.indexSession(session);
+    }
+  }
+
+  /**
+   * Finds the chunks most similar to a question
+   *
+   * @param {string} question
+   * @param {string} guildId
+   * @param {string | null} campaign
+   * @param {number} [limit]
+   *
+   * @returns {Promise<{ sessionId: string, startedAt: number, kind: string, start: number | null, end: number | null, content: string, score: number }[]>}
+   */
+  async search(question, guildId, campaign, limit = ASK_RESULTS) {
+    const chunks = this.archive.getTranscriptChunks(guildId, campaign, EMBEDDING_MODEL);
+    if (chunks.length === 0) return [];
+
+    const [queryEmbedding] = await this.modelHandler.promptEmbedder([question]);
+
+    return chunks
+      .map(({ embedding, ...chunk }) => ({
+        ...chunk,
+        score: CosineSimilarity(queryEmbedding, embedding),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .sort((a, b) => a.startedAt - b.startedAt || (a.start ?? 0) - (b.start ?? 0));
+  }
+
+  /**
+   * Answers a question from the guild's archived sessions, citing sessions and timestamps
+   *
+   * @param {string} question
+   * @param {string} guildId
+   * @param {string | null} campaign
+   *
+   * @returns {Promise<string>} The answer, or an empty string if nothing relevant was archived
+   */
+  async answer(question, guildId, campaign) {
+    await this.indexGuild(guildId);
+
+    const excerpts = await this.search(question, guildId, campaign);
+    if (excerpts.length === 0) return "";
+
+    const context = excerpts
+      .map(
+        (excerpt) =>
+          `<excerpt session="${ShortId(excerpt.sessionId)}" date="${new Date(excerpt.startedAt).toDateString()}" kind="${excerpt.kind}">\n${excerpt.content}\n</excerpt>`,
+      )
+      .join("\n");
+    const chatLog = [
+      { role: SYSTEM, content: ASK_PROMPT },
+      { role: USER, content: `${context}\n\nQuestion: ${question}` },
+    ];
+
+    return await this.modelHandler.promptSummarizer(chatLog);
+  }
+}
@@ -0,0 +1,51 @@
+import { TRANSCRIPTION_BACKEND } from "@/lib/static/Constants.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+import WhisperServerBackend from "@/lib/transcription/WhisperServerBackend.js";
+import OpenAIBackend from "@/lib/transcription/OpenAIBackend.js";
+import WhisperCliBackend from "@/lib/transcription/WhisperCliBackend.js";
+
+/**
+ * Builds the speech-to-text backend picked under transcription.backend
+ *
+ * @param {string} [name] - One of TRANSCRIPTION_BACKENDS
+ *
+ * @returns {TranscriptionBackend}
+ */
+export function CreateTranscriptionBackend(name = TRANSCRIPTION_BACKEND) {
+  switch (name) {
+    case "openai":
+      return new OpenAIBackend();
+    case "whisper_cli":
+      return new WhisperCliBackend();
+    default:
+      return new WhisperServerBackend();
+  }
+}
+
+/** @type {TranscriptionBackend | null} */
+let sharedBackend = null;
+
+/**
+ * The backend every session shares, so round-robin keeps spreading clips across the endpoints
+ *
+ * @returns {TranscriptionBackend}
+ */
+export function SharedTranscriptionBackend() {
+  sharedBackend ??= CreateTranscriptionBackend();
+  return sharedBackend;
+}
+
+/**
+ * Describes where a backend sends its clips, for the startup log
+ *
+ * @param {TranscriptionBackend} backend
+ *
+ * @returns {string}
+ */
+export function DescribeTranscriptionBackend(backend) {
+  if (backend instanceof WhisperCliBackend) {
+    return `${backend.name} (${backend.binary} -m ${backend.model})`;
+  }
+
+  return `${backend.name} (${backend.urls.join(", ")})`;
+}
@@ -0,0 +1,66 @@
+import {
+  OPENAI_TRANSCRIPTION_KEY,
+  OPENAI_TRANSCRIPTION_URLS,
+  WHISPER_MODEL,
+} from "@/lib/static/Constants.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+
+/**
+ * Sends clips to an OpenAI-compatible `/v1/audio/transcriptions` endpoint,
+ * like the ones faster-whisper-server and LocalAI serve
+ */
+export default class OpenAIBackend extends TranscriptionBackend {
+  /** @type {string} */
+  model = "";
+
+  /** @type {string} */
+  apiKey = "";
+
+  /**
+   * @param {string[]} [urls] - The transcription endpoints, used round-robin
+   * @param {string} [model] - The model name the server knows
+   * @param {string} [apiKey] - Sent as a bearer token when set
+   */
+  constructor(urls = OPENAI_TRANSCRIPTION_URLS, model = WHISPER_MODEL, apiKey = OPENAI_TRANSCRIPTION_KEY) {
+    super("openai", urls);
+    this.model = model;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {import("@/lib/transcription/TranscriptionBackend.js").TranscriptionOptions} [options]
+   *
+   * @returns {Promise<import("@/lib/transcription/TranscriptionBackend.js").Transcription>}
+   */
+  async transcribe(buffer, options = {}) {
+    const url = this.nextUrl();
+
+    const formData = TranscriptionBackend.clipForm(buffer, options);
+    formData.append("model", this.model);
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        body: formData,
+        signal: this.timeoutSignal(),
+      });
+
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        // OpenAI nests the message, FastAPI based servers put it under detail
+        const message = json.error?.message ?? json.error ?? json.detail ?? res.statusText;
+        throw new Error(`Transcription server failed with code ${res.status}: ${typeof message === "string" ? message : JSON.stringify(message)}`);
+      }
+
+      return TranscriptionBackend.fromVerboseJson(await res.json());
+    } catch (err) {
+      if (err.name === "TimeoutError") {
+        throw new Error(`The transcription server at ${url} didn't answer within ${this.timeout / 1000}s`);
+      }
+      throw res ? err : new Error(`Could not reach the transcription server at ${url}: ${err.message}`);
+    }
+  }
+}
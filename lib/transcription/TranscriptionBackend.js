@@ -0,0 +1,122 @@
+import { TRANSCRIPTION_TIMEOUT } from "@/lib/static/Constants.js";
+
+/**
+ * What a backend heard in one clip
+ *
+ * @typedef {Object} Transcription
+ *
+ * @property {string} text
+ *  Everything said in the clip, as the backend wrote it
+ *
+ * @property {string | null} language
+ *  The language the backend detected or was told, if it reports one
+ *
+ * @property {{ start: number, end: number, text: string }[]} segments
+ *  The clip's sentences with their timings in milliseconds from the start of the clip, empty if the backend doesn't report them
+ */
+
+/**
+ * The options every backend takes for a clip
+ *
+ * @typedef {Object} TranscriptionOptions
+ *
+ * @property {string} [prompt]
+ *  Words to prime whisper with, like character names
+ *
+ * @property {string} [language]
+ *  The language to expect, detected when empty
+ */
+
+export default class TranscriptionBackend {
+  /** @type {string} */
+  name = "";
+
+  /** @type {string[]} */
+  urls = [];
+
+  /** @type {number} */
+  turn = 0;
+
+  /** @type {number} How long one clip may take in milliseconds, 0 for no limit */
+  timeout = TRANSCRIPTION_TIMEOUT;
+
+  /**
+   * @param {string} name - How the backend is called in the config and logs
+   * @param {string[]} [urls] - The endpoints to share clips between, round-robin
+   */
+  constructor(name, urls = []) {
+    this.name = name;
+    this.urls = urls;
+  }
+
+  /**
+   * Picks the endpoint for the next request, so retries land on the next server in line
+   *
+   * @returns {string}
+   */
+  nextUrl() {
+    return this.urls[this.turn++ % this.urls.length];
+  }
+
+  /**
+   * The abort signal for one request, which gives up once the timeout has passed
+   *
+   * @returns {AbortSignal | undefined}
+   */
+  timeoutSignal() {
+    return this.timeout > 0 ? AbortSignal.timeout(this.timeout) : undefined;
+  }
+
+  /**
+   * Transcribes one WAV clip
+   *
+   * @param {Buffer} buffer - The clip as a 16kHz mono WAV file
+   * @param {TranscriptionOptions} [options]
+   *
+   * @throws {Error} If the backend fails, so the clip isn't mistaken for silence
+   *
+   * @returns {Promise<Transcription>}
+   */
+  async transcribe(buffer, options = {}) {
+    throw new Error(`The ${this.name} backend can't transcribe`);
+  }
+
+  /**
+   * Reads the `verbose_json` answer whisper.cpp's server and OpenAI-compatible servers share,
+   * where segment timings are in seconds
+   *
+   * @param {{ text?: string, language?: string, segments?: { start: number, end: number, text: string }[] }} result
+   *
+   * @returns {Transcription}
+   */
+  static fromVerboseJson(result) {
+    return {
+      text: result.text ?? "",
+      language: result.language || null,
+      segments: (result.segments ?? []).map((segment) => ({
+        start: Math.round(segment.start * 1000),
+        end: Math.round(segment.end * 1000),
+        text: segment.text,
+      })),
+    };
+  }
+
+  /**
+   * Builds the multipart form both HTTP backends send
+   *
+   * @param {Buffer} buffer
+   * @param {TranscriptionOptions} options
+   *
+   * @returns {FormData}
+   */
+  static clipForm(buffer, { prompt, language } = {}) {
+    const formData = new FormData();
+    formData.append("file", new Blob([buffer], { type: "audio/wav" }), "voiceStream.wav");
+    formData.append("response_format", "verbose_json");
+
+    if (prompt) formData.append("prompt", prompt);
+    if (language) formData.append("language", language);
+
+    return formData;
+  }
+}
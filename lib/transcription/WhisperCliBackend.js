@@ -0,0 +1,106 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { WHISPER_CLI_MODEL, WHISPER_CLI_PATH, WHISPER_THREADS } from "@/lib/static/Constants.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+
+/**
+ * Runs a local whisper.cpp binary for every clip, reading back the JSON file it writes
+ */
+export default class WhisperCliBackend extends TranscriptionBackend {
+  /** @type {string} */
+  binary = "";
+
+  /** @type {string} */
+  model = "";
+
+  /** @type {number} */
+  threads = 4;
+
+  /**
+   * @param {string} [binary] - The whisper.cpp CLI, e.g. whisper-cli
+   * @param {string} [model] - The path of the ggml model file
+   * @param {number} [threads]
+   */
+  constructor(binary = WHISPER_CLI_PATH, model = WHISPER_CLI_MODEL, threads = WHISPER_THREADS) {
+    super("whisper_cli");
+    this.binary = binary;
+    this.model = model;
+    this.threads = threads;
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {import("@/lib/transcription/TranscriptionBackend.js").TranscriptionOptions} [options]
+   *
+   * @returns {Promise<import("@/lib/transcription/TranscriptionBackend.js").Transcription>}
+   */
+  async transcribe(buffer, { prompt, language } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "noteify-whisper-"));
+    const clipPath = path.join(directory, "clip.wav");
+    const outputBase = path.join(directory, "clip");
+
+    try {
+      fs.writeFileSync(clipPath, buffer);
+
+      const args = [
+        this.binary,
+        "-m",
+        this.model,
+        "-f",
+        clipPath,
+        "-t",
+        `${this.threads}`,
+        "-l",
+        language || "auto",
+        "-oj",
+        "-of",
+        outputBase,
+        "-np",
+      ];
+      if (prompt) args.push("--prompt", prompt);
+
+      let proc;
+      try {
+        proc = Bun.spawn(args, { stdout: "ignore", stderr: "pipe" });
+      } catch (err) {
+        throw new Error(`Could not run ${this.binary}: ${err.message}`);
+      }
+
+      // A binary that hangs is killed, so the clip fails and gets retried like any other failure
+      let timedOut = false;
+      const timer =
+        this.timeout > 0
+          ? setTimeout(() => {
+              timedOut = true;
+              proc.kill();
+            }, this.timeout)
+          : null;
+      await proc.exited;
+      clearTimeout(timer);
+
+      if (timedOut) {
+        throw new Error(`whisper.cpp didn't finish within ${this.timeout / 1000}s`);
+      }
+      if (proc.exitCode !== 0) {
+        throw new Error(`whisper.cpp exited with ${proc.exitCode}: ${(await new Response(proc.stderr).text()).trim()}`);
+      }
+
+      // Offsets are already in milliseconds from the start of the clip
+      const result = JSON.parse(fs.readFileSync(`${outputBase}.json`, "utf8"));
+      const segments = (result.transcription ?? []).map((segment) => ({
+        start: segment.offsets.from,
+        end: segment.offsets.to,
+        text: segment.text,
+      }));
+
+      return {
+        text: segments.map((segment) => segment.text).join(""),
+        language: result.result?.language ?? null,
+        segments,
+      };
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { WHISPER_URLS } from "@/lib/static/Constants.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+
+/**
+ * Sends clips to whisper.cpp's server and its `/inference` endpoint
+ */
+export default class WhisperServerBackend extends TranscriptionBackend {
+  /**
+   * @param {string[]} [urls] - The `/inference` endpoints, used round-robin
+   */
+  constructor(urls = WHISPER_URLS) {
+    super("whisper_server", urls);
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {import("@/lib/transcription/TranscriptionBackend.js").TranscriptionOptions} [options]
+   *
+   * @returns {Promise<import("@/lib/transcription/TranscriptionBackend.js").Transcription>}
+   */
+  async transcribe(buffer, options = {}) {
+    const url = this.nextUrl();
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        body: TranscriptionBackend.clipForm(buffer, options),
+        signal: this.timeoutSignal(),
+      });
+
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(`Whisper failed with code ${res.status}: ${json.error ?? res.statusText}`);
+      }
+
+      return TranscriptionBackend.fromVerboseJson(await res.json());
+    } catch (err) {
+      if (err.name === "TimeoutError") {
+        throw new Error(`Whisper at ${url} didn't answer within ${this.timeout / 1000}s`);
+      }
+      throw res ? err : new Error(`Could not reach whisper at ${url}: ${err.message}`);
+    }
+  }
+}
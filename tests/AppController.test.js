@@ -0,0 +1,564 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ollamaStub, whisperStub } from "./setup.js";
+import {
+  fakeButton,
+  fakeClient,
+  fakeGuild,
+  fakeInteraction,
+  fakeMember,
+  fakeMessage,
+  fakeTextChannel,
+} from "./stubs/FakeDiscord.js";
+import AppController from "@/lib/controller/AppController.js";
+import SessionController from "@/lib/controller/SessionController.js";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import { COMMAND_LIST, SESSION_STATES } from "@/lib/static/Constants.js";
+import { CreateLogEntry } from "@/lib/static/Utils.js";
+import {
+  SlashCommands,
+  SLASH_PLAYER_OPTIONS,
+  SLASH_TRUSTEE_OPTIONS,
+} from "@/lib/static/SlashCommands.js";
+
+const gm = fakeMember("1", { displayName: "GMguy" });
+const player = fakeMember("2", { displayName: "xXSlayer99Xx" });
+const stranger = fakeMember("3");
+const guild = fakeGuild("guild-1", [gm, player, stranger]);
+
+let archive;
+let app;
+
+beforeEach(() => {
+  whisperStub.reset();
+  ollamaStub.reset();
+  archive = new ArchiveHandler(":memory:");
+  app = new AppController(fakeClient(), archive);
+});
+
+/**
+ * Puts a session into the controller the way start would, minus the voice connection
+ */
+function runningSession(textChannel) {
+  const session = new SessionController(
+    fakeClient(),
+    guild.id,
+    new Map([
+      [gm.id, "GM"],
+      [player.id, "Thistle"],
+    ]),
+    new Set([gm.id, player.id]),
+    new Set([gm.id]),
+    null,
+    textChannel,
+    { gmId: gm.id, archive },
+  );
+  archive.createSession(session.getArchiveRecord());
+  app.sessionManager.set(guild.id, session);
+
+  return session;
+}
+
+describe("AppController command routing", () => {
+  test("ignores bots and messages that don't mention it", async () => {
+    const fromBot = fakeMessage("@bot help", { guild, member: gm, bot: true });
+    const unmentioned = fakeMessage("help", { guild, member: gm, mentioned: false });
+
+    await app.handleMessage(fromBot);
+    await app.handleMessage(unmentioned);
+
+    expect(fromBot.replies).toHaveLength(0);
+    expect(unmentioned.replies).toHaveLength(0);
+  });
+
+  test("needs the mention to come first", async () => {
+    const message = fakeMessage(`help <@${fakeClient().user.id}>`, { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toContain("needs to be mentioned FIRST");
+  });
+
+  test("only works in a server", async () => {
+    const message = fakeMessage("@bot help", { guild: null, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies).toEqual(["This command only works in a server."]);
+  });
+
+  test("lists every command in help", async () => {
+    const message = fakeMessage("@bot help", { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    const help = message.replies.join("\n");
+    for (const command of Object.values(COMMAND_LIST)) {
+      expect(help).toContain(`\`${command.cmd}\``);
+    }
+  });
+
+  test("points unknown commands to help", async () => {
+    const message = fakeMessage("@bot dance", { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toContain("I couldn't understand that");
+  });
+
+  test("refuses to start without a voice channel", async () => {
+    const message = fakeMessage("@bot start", { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies).toEqual(["You must be in a voice channel first!"]);
+    expect(app.sessionManager.has(guild.id)).toBe(false);
+  });
+
+  test("has nothing to stop, pause or unpause without a session", async () => {
+    for (const command of ["stop", "pause", "unpause"]) {
+      const message = fakeMessage(`@bot ${command}`, { guild, member: gm });
+      await app.handleMessage(message);
+
+      expect(message.replies).toHaveLength(1);
+    }
+  });
+
+  test("only lets trustees stop a session", async () => {
+    runningSession(fakeTextChannel());
+    const message = fakeMessage("@bot stop", { guild, member: stranger });
+
+    await app.handleMessage(message);
+
+    expect(message.replies).toEqual(["You do not have permission to stop this session."]);
+    expect(app.sessionManager.has(guild.id)).toBe(true);
+  });
+
+  test("pauses with a summary of the session so far", async () => {
+    ollamaStub.respond = () => "The party rested in Vallaki.";
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.sessionState = SESSION_STATES.playing;
+    session.queueHandler.enqueue({ userId: player.id, start: Date.now(), end: Date.now() + 500, buffer: Buffer.alloc(4) });
+
+    const message = fakeMessage("@bot pause", { guild, member: gm, channel: textChannel });
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toContain("take a break");
+    expect(session.getSessionState()).toBe(SESSION_STATES.paused);
+    expect(textChannel.sent.at(-1).content).toBe("⏸️ **The story so far:**\nThe party rested in Vallaki.");
+
+    const again = fakeMessage("@bot pause", { guild, member: gm, channel: textChannel });
+    await app.handleMessage(again);
+    expect(again.replies).toEqual(["This session isn't recording right now, so there's nothing to pause."]);
+  });
+
+  test("reports the session's status", async () => {
+    const session = runningSession(fakeTextChannel());
+    session.sessionState = SESSION_STATES.playing;
+    session.modelHandler.sessionLog.push(
+      CreateLogEntry(player.id, "Thistle", 0, 61_000, "I open the door."),
+      CreateLogEntry(gm.id, "GM", 61_000, 64_000, "It creaks."),
+    );
+    session.queueHandler.queue.push({ userId: player.id, start: 0, end: 1, buffer: Buffer.alloc(2048), size: 2048 });
+
+    const message = fakeMessage("@bot status", { guild, member: stranger });
+    await app.handleMessage(message);
+
+    const [status] = message.replies;
+    expect(status).toContain("**State:** 🔴 Recording");
+    expect(status).toContain("- Thistle: 00:01:01\n- GM: 00:00:03");
+    expect(status).toContain("1 clip(s) waiting (2 KB of audio)");
+    expect(status).toMatch(/~\d+ tokens/);
+    expect(status).toMatch(/\*\*Summary ETA:\*\* ~\d+ minute\(s\)/);
+  });
+
+  test("has no status without a session", async () => {
+    const message = fakeMessage("@bot status", { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toStartWith("No session is currently running.");
+  });
+
+  test("manages the server's own summary styles", async () => {
+    runningSession(fakeTextChannel());
+    const send = async (content, member = gm) => {
+      const message = fakeMessage(`@bot ${content}`, { guild, member });
+      await app.handleMessage(message);
+      return message.replies.join("\n");
+    };
+
+    expect(await send("style add haiku Write every scene as a haiku.")).toContain("Added the `haiku` style");
+    expect(await send("style add haiku Write it as one haiku.")).toContain("Updated the `haiku` style");
+    expect(await send("style add recap Shorter.")).toContain("one of the configured styles");
+    expect(await send("style add h@iku Nope.")).toContain("short name");
+    expect(await send("style add limerick Nope.", stranger)).toContain("Only trustees");
+    expect(archive.getSummaryStyles(guild.id)).toEqual([{ name: "haiku", instructions: "Write it as one haiku." }]);
+
+    const list = await send("style list", stranger);
+    expect(list).toContain("`recap`");
+    expect(list).toContain("`haiku` *(this server)* - Write it as one haiku.");
+
+    expect(await send("style remove haiku")).toContain("Removed the `haiku` style");
+    expect(archive.getSummaryStyles(guild.id)).toEqual([]);
+  });
+
+  test("refuses styles it doesn't know", async () => {
+    runningSession(fakeTextChannel());
+    const message = fakeMessage("@bot stop --style limerick", { guild, member: gm });
+
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toStartWith("I don't know the style `limerick`. Pick from tale, recap");
+    expect(app.sessionManager.get(guild.id).getSessionState()).not.toBe(SESSION_STATES.revising);
+  });
+
+  test("lists archived sessions", async () => {
+    archive.saveSession(
+      {
+        id: "abcdef12-0000",
+        guildId: guild.id,
+        players: [player.id],
+        nicknames: { [player.id]: "Thistle" },
+        trustees: [],
+        startedAt: Date.now() - 60_000,
+        stoppedAt: Date.now(),
+        finalSummary: "We won.",
+        campaign: "Curse of Strahd",
+      },
+      [],
+      [],
+    );
+    const message = fakeMessage("@bot sessions", { guild, member: player });
+
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toContain("`abcdef12`");
+    expect(message.replies[0]).toContain("**Curse of Strahd**");
+    expect(message.replies[0]).toContain("Thistle");
+  });
+});
+
+describe("slash commands", () => {
+  test("has one for every command, each within Discord's option limit", () => {
+    expect(SlashCommands.map((c) => c.name).sort()).toEqual(
+      Object.values(COMMAND_LIST).map((c) => c.cmd).sort(),
+    );
+    for (const command of SlashCommands) {
+      expect(command.options?.length ?? 0).toBeLessThanOrEqual(25);
+    }
+
+    const start = SlashCommands.find((c) => c.name === COMMAND_LIST.start.cmd);
+    const userOptions = start.options.filter((o) => o.type === 6).map((o) => o.name);
+    expect(userOptions).toHaveLength(1 + SLASH_PLAYER_OPTIONS + SLASH_TRUSTEE_OPTIONS);
+    expect(userOptions).toContain("player1");
+    expect(userOptions).toContain(`trustee${SLASH_TRUSTEE_OPTIONS}`);
+  });
+
+  test("registers globally or per server", async () => {
+    const calls = [];
+    app.client.application = { commands: { set: async (...args) => calls.push(args) } };
+
+    await app.registerSlashCommands([]);
+    await app.registerSlashCommands(["guild-1", "guild-2"]);
+
+    expect(calls).toEqual([[SlashCommands], [SlashCommands, "guild-1"], [SlashCommands, "guild-2"]]);
+  });
+
+  test("keeps registering in other servers when one fails", async () => {
+    const registered = [];
+    app.client.application = {
+      commands: {
+        set: async (_, guildId) => {
+          if (guildId === "gone") throw new Error("Missing Access");
+          registered.push(guildId);
+        },
+      },
+    };
+
+    await app.registerSlashCommands(["gone", "guild-1"]);
+
+    expect(registered).toEqual(["guild-1"]);
+  });
+
+  test("defers stop before summarizing", async () => {
+    ollamaStub.respond = (req) => (req.format === "json" ? '{"entities": []}' : "Summary.");
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    const interaction = fakeInteraction(COMMAND_LIST.stop.cmd, {
+      guild,
+      member: gm,
+      channel: textChannel,
+      options: { formats: "md" },
+    });
+
+    await app.handleSlashCommand(interaction);
+
+    expect(interaction.responses[0]).toEqual({ type: "defer", ephemeral: true });
+    expect(interaction.responses[1].type).toBe("edit");
+    expect(interaction.responses[1].content).toContain("begun summarizing");
+    expect(session.getSessionState()).toBe(SESSION_STATES.revising);
+    expect(textChannel.sent[1].files[0].name).toBe(`Transcript-${session.getId()}.md`);
+  });
+
+  test("answers permission errors through the deferred reply", async () => {
+    runningSession(fakeTextChannel());
+    const interaction = fakeInteraction(COMMAND_LIST.pause.cmd, { guild, member: stranger });
+
+    await app.handleSlashCommand(interaction);
+
+    expect(interaction.responses.map((r) => r.type)).toEqual(["defer", "edit"]);
+    expect(interaction.responses[1].content).toBe("You do not have permission to pause this session.");
+  });
+
+  test("reads players and trustees from user options", async () => {
+    let startOptions = null;
+    app.coreHandleStart = async (guild, member, voiceChannel, textChannel, options) => {
+      startOptions = options;
+    };
+    const interaction = fakeInteraction(COMMAND_LIST.start.cmd, {
+      guild,
+      member: gm,
+      options: { player1: player.user, player3: stranger.user, trustee2: stranger.user },
+    });
+
+    await app.handleSlashCommand(interaction);
+
+    expect(startOptions.playerArgs).toEqual([`<@${player.id}>`, `<@${stranger.id}>`]);
+    expect(startOptions.trusteeArgs).toEqual([`<@${stranger.id}>`]);
+  });
+});
+
+describe("stop to summary", () => {
+  test("stops a running session for a forced start, even when its summary fails", async () => {
+    ollamaStub.respond = () => "";
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.sessionState = SESSION_STATES.playing;
+    session.modelHandler.sessionLog.push(CreateLogEntry(player.id, "Thistle", 0, 1000, "Hello."));
+    const replies = [];
+
+    await app.coreHandleStart(guild, gm, null, textChannel, { force: true }, async (text) => replies.push(text));
+
+    expect(session.getSessionState()).toBe(SESSION_STATES.revising);
+    expect(replies).toEqual(["You must be in a voice channel first!"]);
+  });
+
+  test("transcribes what's queued, posts the summary and transcript, and archives the session", async () => {
+    whisperStub.respond = ({ bytes }) => (bytes === 4 ? "We should head to Valaki." : "Agreed.");
+    ollamaStub.respond = (req) =>
+      req.format === "json"
+        ? JSON.stringify({ entities: [{ name: "Vallaki", type: "place", description: "A walled town." }] })
+        : "The party set off for Vallaki.";
+
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.modelHandler.setVocabulary(["Vallaki"]);
+    const now = Date.now();
+    session.queueHandler.enqueue({ userId: player.id, start: now, end: now + 1500, buffer: Buffer.alloc(4) });
+    session.queueHandler.enqueue({ userId: gm.id, start: now + 2000, end: now + 2500, buffer: Buffer.alloc(8) });
+
+    const message = fakeMessage("@bot stop", { guild, member: gm, channel: textChannel });
+    await app.handleMessage(message);
+
+    expect(message.replies[0]).toContain("begun summarizing");
+    expect(session.getSessionState()).toBe(SESSION_STATES.revising);
+    expect(app.sessionCloser.get(guild.id).has(session.getId())).toBe(true);
+
+    // The summary goes out first, then the transcript with the feedback thread
+    expect(textChannel.sent[0].content).toBe("The party set off for Vallaki.");
+    const [transcript] = textChannel.sent[1].files;
+    expect(transcript.name).toBe(`Transcript-${session.getId()}.txt`);
+    expect(transcript.attachment.toString()).toContain("We should head to Vallaki.");
+    expect(textChannel.threads).toHaveLength(1);
+    expect(textChannel.threads[0].collectors).toHaveLength(1);
+
+    const [archived] = archive.listSessions(guild.id, 1);
+    expect(archived.stoppedAt).not.toBeNull();
+    expect(archived.finalSummary).toBe("The party set off for Vallaki.");
+    expect(archive.getTranscriptEntries(session.getId()).map((e) => e.name)).toEqual(["Thistle", "GM"]);
+
+    // Indexing and the glossary run in the background
+    for (let i = 0; i < 50 && archive.getGlossary(guild.id, "").length === 0; i++) {
+      await Bun.sleep(20);
+    }
+    expect(archive.getGlossary(guild.id, "").map((e) => e.name)).toEqual(["Vallaki"]);
+    expect(ollamaStub.requests.some((r) => r.path === "/api/embed")).toBe(true);
+  });
+
+  test("tries failed clips once more and counts the ones that are still missing", async () => {
+    whisperStub.respond = ({ bytes }) => (bytes === 4 ? "Made it on the last try." : new Error("still down"));
+    ollamaStub.respond = (req) => (req.format === "json" ? '{"entities": []}' : "Summary.");
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    const now = Date.now();
+    session.queueHandler.deadLetters.push(
+      { userId: player.id, start: now, end: now + 1, buffer: Buffer.alloc(4), size: 4 },
+      { userId: gm.id, start: now, end: now + 1, buffer: Buffer.alloc(8), size: 8 },
+    );
+
+    await app.closeSession(guild.id, session);
+
+    expect(session.modelHandler.sessionLog.map((e) => e.text)).toEqual(["Made it on the last try."]);
+    expect(textChannel.sent[0].content).toBe(
+      "Summary.\n-# ⚠️ 1 utterance(s) could not be transcribed and are missing from this summary.",
+    );
+  });
+
+  test("warns the channel when whisper goes down and comes back", async () => {
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+
+    await session.reportWhisperOutage(true);
+    await session.reportWhisperOutage(false);
+
+    expect(textChannel.sent[0].content).toContain("I can't reach whisper");
+    expect(textChannel.sent[1].content).toContain("Whisper is back");
+  });
+
+  test("keeps the pinned status message up to date until the summary is out", async () => {
+    ollamaStub.respond = (req) => (req.format === "json" ? '{"entities": []}' : "Summary.");
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.statusMessage = await textChannel.send({ content: session.getStatusMessage() });
+    await session.statusMessage.pin();
+
+    await app.closeSession(guild.id, session);
+
+    expect(session.statusMessage.edits).toBeGreaterThanOrEqual(2);
+    expect(session.statusMessage.content).toContain("✅ Summarized, taking feedback");
+    expect(session.statusMessage.pinned).toBe(false);
+  });
+
+  test("stops updating the status message when the summary fails", async () => {
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.statusMessage = await textChannel.send({ content: session.getStatusMessage() });
+    await session.statusMessage.pin();
+    session.statusTimer = setInterval(() => session.updateStatusMessage(), 60_000);
+    session.modelHandler.sessionLog.push(CreateLogEntry(player.id, "Thistle", 0, 1000, "Hello."));
+    session.modelHandler.getCriticSummary = async () => {
+      throw new Error("Something went wrong with getting the final summary:");
+    };
+
+    await expect(session.stop()).rejects.toThrow("final summary");
+
+    expect(session.summarizing).toBe(false);
+    expect(session.statusTimer).toBeNull();
+    expect(session.statusMessage.pinned).toBe(false);
+  });
+
+  test("archives the transcript without a summary when the summarizer fails", async () => {
+    ollamaStub.respond = () => "";
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.modelHandler.sessionLog.push(
+      CreateLogEntry(player.id, "Thistle", 0, 1000, "I open the door."),
+      CreateLogEntry(gm.id, "GM", 5000, 6000, "It creaks."),
+    );
+    archive.addPendingJob(session.getId(), { userId: player.id, start: 0, end: 1, buffer: Buffer.from("lost") });
+
+    await expect(session.stop()).rejects.toThrow("Something went wrong with getting the final summary");
+
+    expect(archive.getTranscriptEntries(session.getId()).map((e) => e.text)).toEqual(["I open the door.", "It creaks."]);
+    // Still unfinished with its checkpoint, so it's offered for summarizing again
+    const [unfinished] = archive.listUnfinishedSessions();
+    expect(unfinished.id).toBe(session.getId());
+    expect(unfinished.finalSummary).toBeNull();
+    expect(archive.getPendingJobs(session.getId())).toHaveLength(1);
+  });
+
+  test("posts a summary for every style picked, from the same transcript", async () => {
+    ollamaStub.respond = (req) =>
+      req.format === "json"
+        ? '{"entities": []}'
+        : req.messages[0].content.includes("haiku")
+          ? "Five seven five."
+          : req.messages[0].content.includes("<style>")
+            ? "- Reached Vallaki"
+            : "A long tale.";
+    archive.setSummaryStyle(guild.id, "haiku", "Write it as one haiku.");
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+    session.modelHandler.sessionLog.push(CreateLogEntry(player.id, "Thistle", 0, 1000, "Onwards!"));
+
+    await app.closeSession(guild.id, session, [], ["recap", "haiku"]);
+
+    expect(textChannel.sent.map((m) => m.content).slice(0, 2)).toEqual([
+      "- Reached Vallaki",
+      "**haiku**\nFive seven five.",
+    ]);
+    expect(textChannel.sent[2].files).toHaveLength(1);
+    expect(session.modelHandler.feedbackChat.at(-1).content).toBe("- Reached Vallaki");
+
+    const [archived] = archive.listSessions(guild.id, 1);
+    expect(archived.summaryStyles).toEqual(["recap", "haiku"]);
+    expect(archived.finalSummary).toBe("- Reached Vallaki");
+  });
+
+  test("revises the summary from feedback in the thread", async () => {
+    let summary = "First summary.";
+    ollamaStub.respond = (req) => (req.format === "json" ? '{"entities": []}' : summary);
+    const textChannel = fakeTextChannel();
+    const session = runningSession(textChannel);
+
+    await app.closeSession(guild.id, session);
+
+    summary = "Revised summary.";
+    const [collector] = textChannel.threads[0].collectors;
+    await collector.handlers.collect({ content: "Thistle was there too", react: async () => {} });
+
+    expect(textChannel.threads[0].sent.at(-1).content).toBe("Revised summary.");
+    expect(archive.getFeedbackRevisions(session.getId()).at(-1).revision).toBe("Revised summary.");
+  });
+});
+
+describe("resuming after a crash", () => {
+  /**
+   * Leaves an unfinished session with some transcript behind, as if the bot went down mid-session
+   */
+  function crashedSession(textChannel) {
+    app.client.channels.fetch = async (id) => (id === textChannel.id ? textChannel : null);
+    const record = {
+      id: "crashed-session",
+      guildId: guild.id,
+      textChannelId: textChannel.id,
+      voiceChannelId: "voice-gone",
+      gmId: gm.id,
+      players: [gm.id, player.id],
+      nicknames: { [gm.id]: "GM", [player.id]: "Thistle" },
+      trustees: [gm.id],
+      startedAt: Date.now() - 60_000,
+    };
+    archive.createSession(record);
+    archive.completePendingJob(record.id, null, { userId: player.id, name: "Thistle", start: 0, end: 1000, text: "Hello." });
+
+    return archive.listUnfinishedSessions()[0];
+  }
+
+  test("reports a summary that fails and keeps the session to try again", async () => {
+    ollamaStub.respond = () => "";
+    const textChannel = fakeTextChannel();
+    const record = crashedSession(textChannel);
+
+    await app.offerResume(record);
+    const [collector] = textChannel.sent[0].collectors;
+    await collector.handlers.collect(fakeButton("summarize", gm.id));
+
+    expect(textChannel.sent.at(-1).content).toContain("Something went wrong with session");
+    expect(textChannel.sent.at(-1).content).toContain("I'll ask again the next time I start up");
+    expect(archive.listUnfinishedSessions().map((s) => s.id)).toEqual([record.id]);
+    expect(archive.getTranscriptEntries(record.id).map((e) => e.text)).toEqual(["Hello."]);
+  });
+
+  test("only lets the session's trustees decide", async () => {
+    const textChannel = fakeTextChannel();
+    await app.offerResume(crashedSession(textChannel));
+    const button = fakeButton("discard", stranger.id);
+
+    await textChannel.sent[0].collectors[0].handlers.collect(button);
+
+    expect(button.responses[0].content).toContain("Only the GM or a trustee");
+    expect(archive.listUnfinishedSessions()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,40 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+
+const session = { id: "session-1", guildId: "guild", startedAt: 1_000_000, players: ["1", "2"] };
+
+let archive;
+
+beforeEach(() => {
+  archive = new ArchiveHandler(":memory:");
+  archive.createSession(session);
+});
+
+afterEach(() => {
+  archive.close();
+});
+
+describe("ArchiveHandler", () => {
+  const entries = [
+    { userId: "1", name: "Thistle", start: 0, end: 1000, text: "Hello." },
+    { userId: "2", name: "GM", start: 2000, end: 3000, text: "Roll for it." },
+  ];
+
+  test("saves a finished session with its transcript and chunk summaries", () => {
+    archive.saveSession({ ...session, stoppedAt: 2_000_000, finalSummary: "They talked." }, entries, ["Chunk."]);
+
+    expect(archive.getTranscriptEntries(session.id)).toEqual(entries);
+    expect(archive.getChunkSummaries(session.id)).toEqual(["Chunk."]);
+    expect(archive.listSessions("guild", 10)[0]).toMatchObject({ id: session.id, finalSummary: "They talked." });
+  });
+
+  test("replaces the transcript when a session is saved again, and drops its checkpointed audio", () => {
+    archive.addPendingJob(session.id, { userId: "1", start: 0, end: 1, buffer: Buffer.from("a") });
+    archive.saveSession({ ...session, stoppedAt: 2_000_000 }, entries, ["First."]);
+    archive.saveSession({ ...session, stoppedAt: 2_000_000, finalSummary: "Edited." }, entries.slice(1), []);
+
+    expect(archive.getTranscriptEntries(session.id)).toEqual(entries.slice(1));
+    expect(archive.getChunkSummaries(session.id)).toEqual([]);
+    expect(archive.getPendingJobs(session.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import CheckpointHandler from "@/lib/storage/CheckpointHandler.js";
+
+const session = { id: "session-1", guildId: "guild", startedAt: 1_000_000, players: ["1", "2"] };
+
+let archive;
+
+beforeEach(() => {
+  archive = new ArchiveHandler(":memory:");
+  archive.createSession(session);
+});
+
+afterEach(() => {
+  archive.close();
+});
+
+describe("CheckpointHandler", () => {
+  const job = (userId, start) => ({ userId, start, end: start + 1000, buffer: Buffer.from(`audio of ${userId}`) });
+
+  test("keeps queued audio until its job is transcribed", () => {
+    const checkpoint = new CheckpointHandler(archive, session.id);
+    const id = checkpoint.saveJob(job("1", 0));
+
+    expect(checkpoint.loadJobAudio(id)).toEqual(Buffer.from("audio of 1"));
+
+    checkpoint.completeJob(id, { userId: "1", name: "Thistle", start: 0, end: 1000, text: "Hello." });
+
+    expect(checkpoint.loadJobAudio(id)).toBeNull();
+    expect(checkpoint.restore()).toEqual({
+      entries: [{ userId: "1", name: "Thistle", start: 0, end: 1000, text: "Hello." }],
+      jobs: [],
+    });
+  });
+
+  test("restores the jobs that were never transcribed, in the order they were queued", () => {
+    const checkpoint = new CheckpointHandler(archive, session.id);
+    const first = checkpoint.saveJob(job("2", 5000));
+    const second = checkpoint.saveJob(job("1", 0));
+    const third = checkpoint.saveJob(job("1", 9000));
+
+    // Silence leaves no entry behind
+    checkpoint.completeJob(second, null);
+
+    expect(checkpoint.restore()).toEqual({
+      entries: [],
+      jobs: [
+        { checkpointId: first, userId: "2", start: 5000, end: 6000, buffer: Buffer.from("audio of 2") },
+        { checkpointId: third, userId: "1", start: 9000, end: 10_000, buffer: Buffer.from("audio of 1") },
+      ],
+    });
+  });
+
+  test("stores a turn with segments one segment per row", () => {
+    const checkpoint = new CheckpointHandler(archive, session.id);
+
+    checkpoint.completeJob(null, {
+      userId: "1",
+      name: "Thistle",
+      start: 0,
+      end: 4000,
+      text: " I open the door. It creaks.",
+      segments: [
+        { start: 0, end: 1500, text: " I open the door." },
+        { start: 2500, end: 4000, text: " It creaks." },
+      ],
+    });
+
+    expect(checkpoint.restore().entries.map((e) => [e.start, e.end, e.text])).toEqual([
+      [0, 1500, " I open the door."],
+      [2500, 4000, " It creaks."],
+    ]);
+  });
+
+  test("logs a failing archive instead of throwing", () => {
+    const checkpoint = new CheckpointHandler(archive, "no-such-session");
+    const error = spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      // The foreign key on the session makes every write fail
+      expect(checkpoint.saveJob(job("1", 0))).toBeNull();
+      expect(() => checkpoint.completeJob(null, { userId: "1", name: "T", start: 0, end: 1, text: "Hi." })).not.toThrow();
+      expect(error).toHaveBeenCalledTimes(2);
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
+
+describe("ArchiveHandler unfinished sessions", () => {
+  test("lists a session as unfinished until it is saved", () => {
+    expect(archive.listUnfinishedSessions().map((s) => s.id)).toEqual([session.id]);
+
+    archive.saveSession({ ...session, stoppedAt: 2_000_000, finalSummary: "They talked." }, [], []);
+
+    expect(archive.listUnfinishedSessions()).toEqual([]);
+  });
+
+  test("discards an unfinished session along with its queued audio", () => {
+    archive.addPendingJob(session.id, { userId: "1", start: 0, end: 1, buffer: Buffer.from("a") });
+
+    archive.discardSession(session.id);
+
+    expect(archive.listUnfinishedSessions()).toEqual([]);
+    expect(archive.getPendingJobs(session.id)).toEqual([]);
+  });
+
+  test("keeps a session's settings across a restart", () => {
+    archive.createSession({ ...session, id: "session-2", recorded: true, exportFormats: ["srt"], campaign: "Barovia" });
+
+    expect(archive.listUnfinishedSessions().find((s) => s.id === "session-2")).toMatchObject({
+      players: ["1", "2"],
+      recorded: true,
+      exportFormats: ["srt"],
+      campaign: "Barovia",
+      stoppedAt: null,
+    });
+  });
+});
@@ -0,0 +1,227 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ollamaStub } from "./setup.js";
+import OllamaProvider from "@/lib/llm/OllamaProvider.js";
+import OpenAIProvider from "@/lib/llm/OpenAIProvider.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+import { CreateLogEntry } from "@/lib/static/Utils.js";
+import { MAX_TOKEN_LIMIT, SUMMARY_PROMPT, TOKEN_SPLIT_RATIO } from "@/lib/static/Constants.js";
+
+const request = {
+  model: "qwen3:8b",
+  messages: [{ role: "user", content: "Summarize." }],
+  think: false,
+  options: { temperature: 0.6, top_k: 20, top_p: 0.95 },
+};
+
+// Long enough for the server's token count to calibrate the estimate
+const longRequest = { ...request, messages: [{ role: "user", content: "x".repeat(3000) }] };
+
+beforeEach(() => {
+  ollamaStub.reset();
+});
+
+describe("OllamaProvider", () => {
+  test("sends its headers and bearer token with every request", async () => {
+    const provider = new OllamaProvider(ollamaStub.url, 0, { "X-Proxy-Token": "abc" }, "secret");
+
+    expect(await provider.chat(request)).toBe("A summary.");
+    expect(ollamaStub.requests[0].path).toBe("/api/chat");
+    expect(ollamaStub.requests[0].headers).toMatchObject({
+      "x-proxy-token": "abc",
+      authorization: "Bearer secret",
+    });
+  });
+
+  test("streams everything written so far", async () => {
+    const provider = new OllamaProvider(ollamaStub.url, 0, {}, "");
+    const seen = [];
+
+    expect(await provider.chat(request, (content) => seen.push(content))).toBe("A summary.");
+    expect(seen.at(-1)).toBe("A summary.");
+    expect(seen[0]).toBe("A ");
+  });
+
+  test("sizes num_ctx by the model's context length, capped by the token limit", async () => {
+    const provider = new OllamaProvider(ollamaStub.url, 0, {}, "", 30_000);
+    await provider.discoverContext(["qwen3:8b"]);
+    expect(provider.contextLimit("qwen3:8b")).toBe(8192);
+
+    await provider.chat(request);
+    expect(ollamaStub.requests.at(-1).options).toMatchObject({ num_ctx: 8192, temperature: 0.6 });
+
+    const capped = new OllamaProvider(ollamaStub.url, 0, {}, "", 4096);
+    await capped.discoverContext(["qwen3:8b"]);
+    expect(capped.contextLimit("qwen3:8b")).toBe(4096);
+  });
+
+  test("calibrates its characters per token from the prompt token counts", async () => {
+    ollamaStub.charsPerToken = 3;
+    const provider = new OllamaProvider(ollamaStub.url, 0, {}, "");
+    expect(provider.charsPerToken("qwen3:8b")).toBe(4);
+
+    await provider.chat(longRequest);
+    expect(provider.charsPerToken("qwen3:8b")).toBe(3);
+
+    // Short prompts are mostly template and don't count
+    ollamaStub.charsPerToken = 1.5;
+    await provider.chat(request, () => {});
+    expect(provider.charsPerToken("qwen3:8b")).toBe(3);
+
+    await provider.chat(longRequest, () => {});
+    expect(provider.charsPerToken("qwen3:8b")).toBeCloseTo(2.7);
+  });
+
+  test("gives up on a request that takes longer than the timeout", async () => {
+    ollamaStub.respond = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      return "Too late.";
+    };
+    const provider = new OllamaProvider(ollamaStub.url, 50, {}, "");
+
+    await expect(provider.chat(request)).rejects.toThrow();
+  });
+
+  test("lets a streamed reply outlast the timeout while the parts keep coming", async () => {
+    ollamaStub.respond = () => ["One ", "two ", "three ", "four ", "five ", "six."];
+    ollamaStub.pieceDelay = 40;
+    const provider = new OllamaProvider(ollamaStub.url, 150, {}, "");
+
+    expect(await provider.chat(request, () => {})).toBe("One two three four five six.");
+  });
+
+  test("gives up on a streamed reply that stalls", async () => {
+    ollamaStub.pieceDelay = 300;
+    const provider = new OllamaProvider(ollamaStub.url, 100, {}, "");
+    const seen = [];
+
+    await expect(provider.chat(request, (content) => seen.push(content))).rejects.toThrow();
+    expect(seen).toEqual([]);
+  });
+});
+
+describe("OpenAIProvider", () => {
+  test("posts the chat to /v1/chat/completions", async () => {
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "secret");
+
+    expect(await provider.chat({ ...request, format: "json" })).toBe("A summary.");
+    expect(ollamaStub.requests[0]).toMatchObject({
+      path: "/v1/chat/completions",
+      model: "qwen3:8b",
+      stream: false,
+      temperature: 0.6,
+      top_k: 20,
+      top_p: 0.95,
+      chat_template_kwargs: { enable_thinking: false },
+      response_format: { type: "json_object" },
+    });
+    expect(ollamaStub.requests[0].headers.authorization).toBe("Bearer secret");
+  });
+
+  test("streams server-sent events without the inline thinking", async () => {
+    ollamaStub.respond = () => ["<think>", "Hmm.", "</think>\n", "The party ", "rested."];
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "");
+    const seen = [];
+
+    expect(await provider.chat(request, (content) => seen.push(content))).toBe("The party rested.");
+    expect(seen).toEqual(["", "", "", "The party ", "The party rested.", "The party rested."]);
+  });
+
+  test("times out on silence rather than on the length of the reply", async () => {
+    ollamaStub.respond = () => ["One ", "two ", "three ", "four ", "five ", "six."];
+    ollamaStub.pieceDelay = 40;
+    const provider = new OpenAIProvider(ollamaStub.url, 150, {}, "");
+
+    expect(await provider.chat(request, () => {})).toBe("One two three four five six.");
+
+    ollamaStub.pieceDelay = 300;
+    await expect(provider.chat(request, () => {})).rejects.toThrow("went quiet for 0.15s");
+  });
+
+  test("throws when the stream breaks off", async () => {
+    ollamaStub.respond = () => ["The party ", new Error("out of memory")];
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "");
+    const seen = [];
+
+    await expect(provider.chat(request, (content) => seen.push(content))).rejects.toThrow("out of memory");
+    expect(seen).toEqual(["The party "]);
+  });
+
+  test("reports the server's error", async () => {
+    const provider = new OpenAIProvider(`${ollamaStub.url}/missing`, 0, {}, "");
+
+    await expect(provider.chat(request)).rejects.toThrow("LLM server failed with code 404: not found");
+  });
+
+  test("reads the context length from /v1/models", async () => {
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "", 30_000);
+    await provider.discoverContext(["qwen3:8b"]);
+
+    expect(provider.contextLimit("qwen3:8b")).toBe(8192);
+    expect(ollamaStub.requests[0]).toMatchObject({ path: "/v1/models" });
+  });
+
+  test("calibrates from the usage at the end of a stream", async () => {
+    ollamaStub.charsPerToken = 3;
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "");
+
+    expect(await provider.chat(longRequest, () => {})).toBe("A summary.");
+    expect(ollamaStub.requests[0].stream_options).toEqual({ include_usage: true });
+    expect(provider.charsPerToken("qwen3:8b")).toBe(3);
+  });
+
+  test("embeds through /v1/embeddings", async () => {
+    const provider = new OpenAIProvider(ollamaStub.url, 0, {}, "");
+
+    expect(await provider.embed("nomic-embed-text", ["ab", "abcd"])).toEqual([
+      [2, 1, 0],
+      [4, 1, 0],
+    ]);
+    expect(ollamaStub.requests[0]).toMatchObject({ path: "/v1/embeddings", model: "nomic-embed-text" });
+  });
+});
+
+describe("ModelHandler stage models", () => {
+  const chats = () => ollamaStub.requests.filter((r) => r.path === "/api/chat");
+
+  test("prompts the chunk, critic and feedback models for their stages", async () => {
+    const model = new ModelHandler(new Map(), 0);
+    model.models = { summary: "default", chunk: "small", critic: "big", feedback: "editor" };
+
+    // Two chunks, so the critic has something to merge
+    const tokens = Math.ceil(MAX_TOKEN_LIMIT * TOKEN_SPLIT_RATIO);
+    model.sessionLog.push(
+      CreateLogEntry("1", "Thistle", 0, 1000, "x".repeat(tokens * 4)),
+      CreateLogEntry("1", "Thistle", 60_000, 61_000, "Onwards!"),
+    );
+
+    await model.getCriticSummary();
+    await model.getSummaryEdit("Mention the bridge.");
+
+    expect(chats().map((chat) => chat.model)).toEqual(["small", "small", "big", "editor"]);
+  });
+
+  test("fits chunks into the chunk model's context, minus the system prompt", async () => {
+    const llm = new OllamaProvider(ollamaStub.url, 0, {}, "", 30_000);
+    const model = new ModelHandler(new Map(), 0, null, new Map(), { llm });
+    model.models = { ...model.models, chunk: "qwen3:8b" };
+
+    expect(model.getChunkBudget()).toBe(30_000 * TOKEN_SPLIT_RATIO - model.countTokens(SUMMARY_PROMPT));
+
+    await model.llm.discoverContext(["qwen3:8b"]);
+    expect(model.getChunkBudget()).toBe(8192 * TOKEN_SPLIT_RATIO - model.countTokens(SUMMARY_PROMPT));
+
+    // A tokenizer that makes more tokens of the same text fills chunks sooner
+    model.llm.tokenRatios.set("qwen3:8b", 2);
+    expect(model.countTokens("x".repeat(100))).toBe(50);
+  });
+
+  test("streams through an OpenAI-compatible server as well", async () => {
+    const llm = new OpenAIProvider(ollamaStub.url, 0, {}, "");
+    const model = new ModelHandler(new Map(), 0, null, new Map(), { llm });
+
+    expect(await model.promptSummarizer(request.messages)).toBe("A summary.");
+    // A copy for another style keeps prompting the same server
+    expect(model.forStyle(null).llm).toBe(llm);
+    expect(ollamaStub.requests[0].path).toBe("/v1/chat/completions");
+  });
+});
@@ -0,0 +1,515 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ollamaStub, whisperStub } from "./setup.js";
+import { fakeTextChannel } from "./stubs/FakeDiscord.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+import StreamHandler from "@/lib/session/StreamHandler.js";
+import {
+  CRITIC_PROMPT,
+  SESSION_CONTEXT_PROMPT,
+  MAX_TOKEN_LIMIT,
+  SUMMARY_PROMPT,
+  TOKEN_SPLIT_RATIO,
+  TURN_MERGE_GAP,
+} from "@/lib/static/Constants.js";
+import { CreateLogEntry } from "@/lib/static/Utils.js";
+import { FindStyle } from "@/lib/static/SummaryStyles.js";
+import { ExportTranscript } from "@/lib/static/TranscriptFormats.js";
+
+/**
+ * An utterance worth roughly the given share of the split threshold
+ */
+function entryOfShare(userId, share) {
+  const tokens = Math.ceil(MAX_TOKEN_LIMIT * TOKEN_SPLIT_RATIO * share);
+  return CreateLogEntry(userId, "Thistle", 0, 1000, "x".repeat(tokens * 4));
+}
+
+const chats = () => ollamaStub.requests.filter((r) => r.path === "/api/chat");
+
+beforeEach(() => {
+  whisperStub.reset();
+  ollamaStub.reset();
+});
+
+describe("ModelHandler.addTranscription", () => {
+  test("logs whisper's text under the speaker's name relative to the session start", async () => {
+    whisperStub.respond = () => " I search the crypt. [BLANK_AUDIO]";
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 10_000);
+
+    await model.addTranscription({ userId: "1", start: 12_000, end: 13_500, buffer: Buffer.from("RIFF") });
+
+    expect(model.sessionLog).toHaveLength(1);
+    expect(model.sessionLog[0]).toMatchObject({ name: "Thistle", start: 2000, end: 3500 });
+    expect(model.sessionLog[0].modelContent).toBe("<Thistle>\n I search the crypt.</Thistle>");
+  });
+
+  test("drops empty transcriptions and untracked speakers", async () => {
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+
+    whisperStub.respond = () => "[BLANK_AUDIO]";
+    await model.addTranscription({ userId: "1", start: 0, end: 1, buffer: Buffer.alloc(1) });
+    whisperStub.respond = () => "Who said that?";
+    await model.addTranscription({ userId: "2", start: 0, end: 1, buffer: Buffer.alloc(1) });
+
+    expect(model.sessionLog).toHaveLength(0);
+  });
+
+  test("primes whisper with the vocabulary and corrects near misses", async () => {
+    whisperStub.respond = () => "We ride to Valaki.";
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+    model.setVocabulary(["Vallaki", "Barovia"]);
+
+    await model.addTranscription({ userId: "1", start: 0, end: 1, buffer: Buffer.alloc(1) });
+
+    expect(whisperStub.requests[0].prompt).toBe("Vallaki, Barovia.");
+    expect(model.sessionLog[0].text).toBe("We ride to Vallaki.");
+  });
+
+  test("keeps whisper's segment timings relative to the session start", async () => {
+    whisperStub.respond = () => ({
+      text: " I search the crypt. [BLANK_AUDIO] Nothing.",
+      segments: [
+        { start: 0.2, end: 1.4, text: " I search the crypt." },
+        { start: 1.4, end: 2, text: " [BLANK_AUDIO]" },
+        { start: 2.1, end: 9, text: " Nothing." },
+      ],
+    });
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 10_000);
+
+    await model.addTranscription({ userId: "1", start: 12_000, end: 15_000, buffer: Buffer.from("RIFF") });
+
+    // The silence is dropped and the last segment ends with the clip
+    expect(model.sessionLog[0].segments).toEqual([
+      { start: 2200, end: 3400, text: " I search the crypt." },
+      { start: 4100, end: 5000, text: " Nothing." },
+    ]);
+    expect(ExportTranscript("srt", model.sessionLog, { id: "s" }).content).toContain(
+      "00:00:02,200 --> 00:00:03,400\nThistle: I search the crypt.",
+    );
+  });
+
+  test("retries whisper before giving up on a clip", async () => {
+    let calls = 0;
+    whisperStub.respond = () => (++calls < 3 ? new Error("out of memory") : "Made it.");
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+    const job = { userId: "1", start: 0, end: 1, buffer: Buffer.alloc(1) };
+
+    await expect(model.transcribe(job, 1, 1)).rejects.toThrow("Whisper failed with code 500: out of memory");
+    expect(await model.transcribe(job, 1, 1)).toEqual({
+      text: "Made it.",
+      segments: [{ start: 0, end: 1500, text: "Made it." }],
+    });
+    expect(whisperStub.requests).toHaveLength(3);
+  });
+
+  test("slots a late transcription in where it was said, but not into summarized chunks", () => {
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+    const commit = (start, text) => model.commitTranscription({ userId: "1", start, end: start + 1 }, { text });
+
+    commit(0, "First.");
+    commit(30_000, "Third.");
+    commit(10_000, "Second.");
+    expect(model.sessionLog.map((e) => e.text)).toEqual(["First.", "Second.", "Third."]);
+
+    model.chunkedEntries = 3;
+    commit(5000, "Too late.");
+    expect(model.sessionLog.map((e) => e.text)).toEqual(["First.", "Second.", "Third.", "Too late."]);
+  });
+
+  test("holds the chunks back from a clip still to be transcribed", async () => {
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+    model.sessionLog.push(
+      { ...entryOfShare("1", 0.6), start: 0 },
+      { ...entryOfShare("1", 0.6), start: 20_000 },
+      { ...entryOfShare("1", 0.6), start: 40_000 },
+    );
+
+    model.holdSummariesAt(10_000);
+    expect(model.takeChunks(true)).toHaveLength(1);
+    expect(model.chunkedEntries).toBe(1);
+
+    model.commitTranscription({ userId: "1", start: 10_000, end: 10_001 }, { text: "Recovered." });
+    expect(model.sessionLog.map((e) => e.start)).toEqual([0, 10_000, 20_000, 40_000]);
+
+    model.holdSummariesAt(null);
+    model.takeChunks(true);
+    expect(model.chunkedEntries).toBe(4);
+    await model.rollingSummaryTask;
+  });
+});
+
+describe("ModelHandler turns", () => {
+  const model = () => new ModelHandler(new Map([["1", "Thistle"], ["2", "GM"]]), 0);
+  const commit = (m, userId, start, end, text) => m.commitTranscription({ userId, start, end }, { text });
+
+  test("merges a speaker's fragments into one turn, keeping each one's timing", () => {
+    const m = model();
+    commit(m, "1", 0, 1000, " I open");
+    commit(m, "1", 1600, 2500, " the door.");
+    commit(m, "2", 2600, 3000, "It creaks.");
+    commit(m, "1", 3200, 4000, "Uh oh.");
+
+    expect(m.sessionLog.map((e) => e.text)).toEqual(["I open the door.", "It creaks.", "Uh oh."]);
+    expect(m.sessionLog[0]).toMatchObject({ start: 0, end: 2500, modelContent: "<Thistle>\nI open the door.</Thistle>" });
+    expect(m.sessionLog[0].segments).toEqual([
+      { start: 0, end: 1000, text: " I open" },
+      { start: 1600, end: 2500, text: " the door." },
+    ]);
+    expect(m.sessionLog[0].userContent).toBe(
+      "<Thistle [00:00:00:000]>\n I open</Thistle [00:00:01:000]>\n\n<Thistle [00:00:01:600]>\n the door.</Thistle [00:00:02:500]>",
+    );
+  });
+
+  test("keeps lines apart when the pause is longer than the gap", () => {
+    const m = model();
+    commit(m, "1", 0, 1000, "I open the door.");
+    commit(m, "1", 1000 + TURN_MERGE_GAP + 1, 5000, "Anyone there?");
+
+    expect(m.sessionLog).toHaveLength(2);
+  });
+
+  test("fills a late fragment into the turn around it", () => {
+    const m = model();
+    commit(m, "1", 0, 1000, "One,");
+    commit(m, "1", 3000, 4000, "three.");
+    commit(m, "1", 1500, 2500, "two,");
+
+    expect(m.sessionLog.map((e) => e.text)).toEqual(["One, two, three."]);
+    expect(m.sessionLog[0].segments.map((s) => s.start)).toEqual([0, 1500, 3000]);
+  });
+
+  test("merges restored utterances the same way", () => {
+    const m = model();
+    m.restoreLog([
+      { userId: "1", name: "Thistle", start: 1200, end: 2000, text: "the door." },
+      { userId: "1", name: "Thistle", start: 0, end: 1000, text: "I open" },
+    ]);
+
+    expect(m.sessionLog.map((e) => e.text)).toEqual(["I open the door."]);
+  });
+});
+
+describe("ModelHandler.getETA", () => {
+  test("leaves out chunks that were already summarized", () => {
+    const model = new ModelHandler(new Map(), 0);
+    model.averageSummaryTimeMs = 60_000;
+    model.summariesCompleted = 1;
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("1", 1), entryOfShare("1", 0.5));
+
+    // Three chunks plus the critic
+    expect(model.getETA(0)).toBe(4);
+
+    model.takeChunks(false);
+    model.summaryLog.push({ userContent: "a", modelContent: "a" }, { userContent: "b", modelContent: "b" });
+
+    // Only the tail and the critic
+    expect(model.getETA(0)).toBe(2);
+  });
+});
+
+describe("ModelHandler.getCriticSummary", () => {
+  test("summarizes a short session in one pass without the critic", async () => {
+    ollamaStub.respond = () => "The party reached Vallaki.";
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(CreateLogEntry("1", "Thistle", 0, 1000, "Onwards!"));
+
+    expect(await model.getCriticSummary()).toBe("The party reached Vallaki.");
+    expect(chats()).toHaveLength(1);
+    expect(chats()[0].messages[0].content).toBe(SUMMARY_PROMPT);
+    expect(chats()[0].messages[1].content).toContain("<Thistle>\nOnwards!</Thistle>");
+  });
+
+  test("splits the transcript once it passes the token threshold", async () => {
+    ollamaStub.respond = () => `summary ${chats().length}`;
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(
+      entryOfShare("1", 0.6),
+      entryOfShare("2", 0.6), // crosses the threshold, closing the first chunk
+      entryOfShare("1", 0.3),
+    );
+
+    await model.getCriticSummary();
+
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["summary 1", "summary 2"]);
+    // Both of the first two entries went into the first chunk, the last one into its own
+    const [first, second] = chats();
+    expect(first.messages[1].content.match(/<Thistle>/g)).toHaveLength(2);
+    expect(second.messages[1].content.match(/<Thistle>/g)).toHaveLength(1);
+  });
+
+  test("merges several chunk summaries with the critic", async () => {
+    ollamaStub.respond = (req) =>
+      req.messages[0].content === CRITIC_PROMPT ? "Merged summary." : `part ${chats().length}`;
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("2", 1));
+
+    expect(await model.getCriticSummary()).toBe("Merged summary.");
+
+    const critic = chats().at(-1);
+    expect(critic.messages[0].content).toBe(CRITIC_PROMPT);
+    expect(critic.messages[1].content).toBe("<summary>\npart 1\n</summary>\n<summary>\npart 2\n</summary>");
+    expect(model.feedbackChat.at(-1)).toEqual({ role: "assistant", content: "Merged summary." });
+  });
+
+  test("summarizes full chunks while the session is still running", async () => {
+    const share = (n) => "x".repeat(Math.ceil(MAX_TOKEN_LIMIT * TOKEN_SPLIT_RATIO * n) * 4);
+    ollamaStub.respond = (req) =>
+      req.messages[0].content === CRITIC_PROMPT ? "Merged summary." : `part ${chats().length}`;
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0);
+    // Far enough apart to stay separate turns
+    const utterance = (start) => ({ userId: "1", start, end: start + 1, buffer: Buffer.alloc(1) });
+
+    whisperStub.respond = () => share(0.6);
+    await model.addTranscription(utterance(0));
+    expect(model.pendingChunks).toBe(0);
+
+    await model.addTranscription(utterance(10_000)); // crosses the threshold
+    expect(model.pendingChunks).toBe(1);
+    await model.rollingSummaryTask;
+
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["part 1"]);
+    expect(model.chunkedEntries).toBe(2);
+
+    whisperStub.respond = () => share(0.3);
+    await model.addTranscription(utterance(20_000));
+
+    expect(await model.getCriticSummary()).toBe("Merged summary.");
+    // Only the tail and the critic were left at stop
+    expect(chats()).toHaveLength(3);
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["part 1", "part 2"]);
+  });
+
+  test("keeps chunk summaries in transcript order", async () => {
+    let release;
+    const held = new Promise((resolve) => (release = resolve));
+    const model = new ModelHandler(new Map(), 0);
+    model.promptSummarizer = async (chatLog) => {
+      // The first chunk takes longer than the ones after it
+      if (chatLog[1].content.includes("first")) await held;
+      return chatLog[1].content.match(/(first|second)/)[1];
+    };
+
+    // Each a full chunk on its own
+    const labelled = (label) => {
+      const entry = entryOfShare("1", 1);
+      return { ...entry, modelContent: entry.modelContent.replace("\n", `\n${label} `) };
+    };
+
+    model.sessionLog.push(labelled("first"));
+    model.summarizeReadyChunks();
+    model.sessionLog.push(labelled("second"));
+    model.summarizeReadyChunks();
+    release();
+    await model.rollingSummaryTask;
+
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["first", "second"]);
+  });
+
+  test("streams the final summary, but not the chunks before it", async () => {
+    ollamaStub.respond = (req) =>
+      req.messages[0].content === CRITIC_PROMPT ? "The party reached Vallaki." : `part ${chats().length}`;
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("1", 0.5));
+    const channel = fakeTextChannel();
+    const stream = new StreamHandler(channel, 0);
+
+    const summary = await model.getCriticSummary(stream);
+    await stream.finish(summary);
+
+    expect(chats().map((c) => c.stream)).toEqual([false, false, true]);
+    expect(channel.sent.map((m) => m.content)).toEqual(["The party reached Vallaki."]);
+  });
+
+  test("streams the only summary of a short session", async () => {
+    ollamaStub.respond = () => "Short and sweet.";
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 0.2));
+
+    await model.getCriticSummary(new StreamHandler(fakeTextChannel(), 0));
+
+    expect(chats().map((c) => c.stream)).toEqual([true]);
+  });
+
+  test("keeps what was streamed before the model failed", async () => {
+    ollamaStub.respond = () => ["The party ", "reached ", new Error("model crashed")];
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 0.2));
+    const stream = new StreamHandler(fakeTextChannel(), 0);
+
+    expect(await model.getCriticSummary(stream)).toBe("The party reached ");
+    expect(stream.error.message).toBe("model crashed");
+  });
+
+  test("says so when nobody spoke", async () => {
+    const model = new ModelHandler(new Map(), 0);
+
+    expect(await model.getCriticSummary()).toBe("No conversation took place during this session.");
+    expect(chats()).toHaveLength(0);
+  });
+  test("merges summaries in groups when they don't fit one critic prompt", async () => {
+    ollamaStub.respond = (req) => `merged ${req.messages[1].content.match(/part \d/g).join(" + ")}`;
+    const model = new ModelHandler(new Map(), 0);
+    for (let i = 1; i <= 5; i++) {
+      const content = `part ${i} ${"x".repeat(400)}`;
+      model.summaryLog.push({ userContent: content, modelContent: `<summary>\n${content}\n</summary>` });
+    }
+    // Two summaries to a prompt
+    model.getCriticBudget = () => 250;
+    const stream = new StreamHandler(fakeTextChannel(), 0);
+
+    const summary = await model.getCriticSummary(stream);
+
+    expect(chats().map((c) => c.messages[1].content.match(/part \d/g))).toEqual([
+      ["part 1", "part 2"],
+      ["part 3", "part 4"],
+      ["part 1", "part 2", "part 3", "part 4", "part 5"],
+    ]);
+    expect(chats().map((c) => c.stream)).toEqual([false, false, true]);
+    expect(summary).toBe("merged part 1 + part 2 + part 3 + part 4 + part 5");
+  });
+
+  test("condenses summaries too big to pair up, so no critic prompt outgrows the budget", async () => {
+    ollamaStub.respond = (req) => `merged ${req.messages[1].content.match(/part \d+/g).join(" + ")}`;
+    const model = new ModelHandler(new Map(), 0);
+    const budget = 250;
+    model.getCriticBudget = () => budget;
+    // Each summary takes 60% of the budget, and the last one more than the whole budget
+    for (let i = 1; i <= 20; i++) {
+      const content = `part ${i} ${"x".repeat(i === 20 ? 1200 : 580)}`;
+      model.summaryLog.push({ userContent: content, modelContent: `<summary>\n${content}\n</summary>` });
+    }
+
+    const summary = await model.getCriticSummary();
+
+    for (const chat of chats()) {
+      expect(model.countTokens(chat.messages[1].content, model.models.critic)).toBeLessThanOrEqual(budget);
+    }
+    // Nothing from the start of the session got lost along the way
+    expect(summary).toStartWith("merged part 1 + ");
+    expect(summary.match(/part \d+/g)).toHaveLength(20);
+  });
+
+  test("retries a group the critic failed on, then keeps its summaries apart", async () => {
+    let failures = 2;
+    ollamaStub.respond = (req) =>
+      req.messages[1].content.includes("part 1") && failures-- > 0
+        ? ""
+        : `merged ${req.messages[1].content.match(/part \d/g).join(" + ")}`;
+    const model = new ModelHandler(new Map(), 0);
+    model.getCriticBudget = () => 250;
+    for (let i = 1; i <= 4; i++) {
+      const content = `part ${i} ${"x".repeat(400)}`;
+      model.summaryLog.push({ userContent: content, modelContent: `<summary>\n${content}\n</summary>` });
+    }
+
+    const summary = await model.getCriticSummary();
+
+    for (const chat of chats()) {
+      expect(model.countTokens(chat.messages[1].content, model.models.critic)).toBeLessThanOrEqual(250);
+    }
+    expect(summary.match(/part \d/g)).toEqual(["part 1", "part 2", "part 3", "part 4"]);
+  });
+
+  test("repeats the last lines of a chunk at the start of the next", () => {
+    const model = new ModelHandler(new Map(), 0);
+    // About 22 tokens a line, so ten lines to a chunk
+    model.getChunkBudget = () => 200;
+    for (let i = 0; i < 12; i++) {
+      model.sessionLog.push(CreateLogEntry("1", "Thistle", i * 10_000, i * 10_000 + 1000, `line ${i} ${"x".repeat(60)}`));
+    }
+
+    const lines = (chunk) => chunk.match(/line \d+/g);
+    const chunks = model.takeChunks(true);
+
+    expect(chunks.map(lines)).toEqual([
+      ["line 0", "line 1", "line 2", "line 3", "line 4", "line 5", "line 6", "line 7", "line 8", "line 9"],
+      ["line 8", "line 9", "line 10", "line 11"],
+    ]);
+    expect(model.chunkedEntries).toBe(12);
+    // Nothing new, so the overlap alone isn't a chunk
+    expect(model.takeChunks(true)).toEqual([]);
+  });
+});
+
+describe("ModelHandler styles", () => {
+  test("writes the chunks, the critic and the feedback in the picked style", async () => {
+    ollamaStub.respond = () => "In the ledger.";
+    const model = new ModelHandler(new Map(), 0);
+    model.setStyle(FindStyle("ledger"));
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("2", 1));
+
+    await model.getCriticSummary();
+
+    const [chunk, , critic] = chats();
+    expect(chunk.messages[0].content).toStartWith(SUMMARY_PROMPT);
+    expect(chunk.messages[0].content).toContain(`<style>\n${FindStyle("ledger").instructions}\n</style>`);
+    expect(critic.messages[0].content).toStartWith(CRITIC_PROMPT);
+    expect(critic.messages[0].content).toContain("<style>");
+    expect(model.feedbackChat[0].content).toContain("<style>");
+  });
+
+  test("summarizes the same transcript again in another style", async () => {
+    ollamaStub.respond = (req) => (req.messages[0].content.includes("<style>") ? "Recap." : "Tale.");
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(CreateLogEntry("1", "Thistle", 0, 1000, "Onwards!"));
+
+    expect(await model.getCriticSummary()).toBe("Tale.");
+    expect(await model.forStyle(FindStyle("recap")).getCriticSummary()).toBe("Recap.");
+    expect(chats()[1].messages[1].content).toContain("<Thistle>\nOnwards!</Thistle>");
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["Tale."]);
+  });
+
+  test("drops the chunk summaries of the old style when restyled", async () => {
+    ollamaStub.respond = (req) => (req.messages[0].content.includes("<style>") ? "Combat." : "Tale.");
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("2", 1));
+    model.summarizeReadyChunks();
+    await model.rollingSummaryTask;
+    const before = chats().length;
+    expect(model.summaryLog.length).toBeGreaterThan(0);
+
+    await model.restyle(FindStyle("combat"));
+
+    expect(model.summaryLog).toEqual([]);
+    expect(await model.getCriticSummary()).toBe("Combat.");
+    expect(chats().slice(before).every((c) => c.messages[0].content.includes("<style>"))).toBe(true);
+  });
+});
+
+describe("ModelHandler.getInterimSummary", () => {
+  test("merges the segment, carries it forward and keeps it in the final timeline", async () => {
+    ollamaStub.respond = (req) =>
+      req.messages[0].content === CRITIC_PROMPT ? `merged ${chats().length}` : `part ${chats().length}`;
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 1), entryOfShare("1", 0.5));
+
+    expect(await model.getInterimSummary()).toBe("merged 3");
+    expect(model.summaryLog.map((s) => s.userContent)).toEqual(["merged 3"]);
+
+    // After the break
+    model.sessionLog.push(entryOfShare("1", 0.5));
+    expect(await model.getCriticSummary()).toBe("merged 5");
+
+    const [, , , afterBreak, critic] = chats();
+    expect(afterBreak.messages[0].content).toContain(SESSION_CONTEXT_PROMPT);
+    expect(afterBreak.messages[0].content).toContain("<so_far>\nmerged 3\n</so_far>");
+    expect(critic.messages[1].content).toBe("<summary>\nmerged 3\n</summary>\n<summary>\npart 4\n</summary>");
+  });
+
+  test("uses a lone chunk summary as is", async () => {
+    ollamaStub.respond = () => "Short segment.";
+    const model = new ModelHandler(new Map(), 0);
+    model.sessionLog.push(entryOfShare("1", 0.2));
+
+    expect(await model.getInterimSummary()).toBe("Short segment.");
+    expect(chats()).toHaveLength(1);
+  });
+
+  test("tells silence apart from a failed summary", async () => {
+    const model = new ModelHandler(new Map(), 0);
+    expect(await model.getInterimSummary()).toBeNull();
+
+    ollamaStub.respond = () => "";
+    model.sessionLog.push(entryOfShare("1", 0.2));
+    expect(await model.getInterimSummary()).toBe("");
+  });
+});
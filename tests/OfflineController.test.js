@@ -0,0 +1,102 @@
+import { afterAll, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { whisperStub } from "./setup.js";
+import OfflineController from "@/lib/controller/OfflineController.js";
+
+/**
+ * A 16-bit WAV of a constant tone level
+ */
+function wav(ms, amplitude, sampleRate = 16000, channels = 1) {
+  const samples = ((sampleRate * ms) / 1000) * channels;
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + samples * 2, 4);
+  header.write("WAVEfmt ", 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(samples * 2, 40);
+
+  const data = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) data.writeInt16LE(i % 2 ? amplitude : -amplitude, i * 2);
+
+  return Buffer.concat([header, data]);
+}
+
+beforeEach(() => {
+  whisperStub.reset();
+});
+
+describe("OfflineController.transcribeFolder", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "noteify-offline-test-"));
+  let folderCount = 0;
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  /**
+   * A folder holding the given files, named the way `start --record` names them
+   */
+  const folder = (files) => {
+    const directory = path.join(root, `${folderCount++}`);
+    fs.mkdirSync(directory);
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), content);
+    }
+    return directory;
+  };
+
+  test("transcribes the clips in the order they were spoken", async () => {
+    whisperStub.respond = ({ bytes }) => (bytes > 40_000 ? "Roll initiative." : "I hide.");
+    const offline = new OfflineController("offline", new Map([["gm", "GM"]]));
+
+    const transcribed = await offline.transcribeFolder(
+      folder({ "thistle-5000.wav": wav(1000, 3000), "gm-0.wav": wav(2000, 3000) }),
+    );
+
+    expect(transcribed).toBe(2);
+    expect(offline.modelHandler.sessionLog.map((e) => [e.name, e.start, e.end, e.text])).toEqual([
+      ["GM", 0, 2000, "Roll initiative."],
+      ["thistle", 5000, 6000, "I hide."],
+    ]);
+  });
+
+  test("counts a file that can't be decoded as failed and carries on", async () => {
+    const offline = new OfflineController("offline");
+    const error = spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      const transcribed = await offline.transcribeFolder(
+        folder({ "gm-0.ogg": "not audio", "gm-5000.wav": wav(1000, 3000) }),
+      );
+
+      expect(transcribed).toBe(1);
+      expect(error).toHaveBeenCalledTimes(1);
+    } finally {
+      error.mockRestore();
+    }
+
+    expect(offline.modelHandler.sessionLog.map((e) => e.start)).toEqual([5000]);
+  });
+
+  test("never sends whisper a WAV that isn't 16kHz mono as it is", async () => {
+    const recorded = wav(1000, 3000, 48000, 2);
+    const offline = new OfflineController("offline");
+    const error = spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      // Converted by FFmpeg where there is one, and failed without it
+      await offline.transcribeFolder(folder({ "gm-0.wav": recorded }));
+    } finally {
+      error.mockRestore();
+    }
+
+    expect(whisperStub.requests.some((r) => r.bytes === recorded.length)).toBe(false);
+  });
+});
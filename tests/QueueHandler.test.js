@@ -0,0 +1,233 @@
+import { describe, expect, test } from "bun:test";
+import QueueHandler from "@/lib/session/QueueHandler.js";
+import { MAX_QUEUED_AUDIO_BYTES, WHISPER_DOWN_AFTER } from "@/lib/static/Constants.js";
+
+/**
+ * Stands in for ModelHandler, taking longer on some jobs to shake out ordering bugs
+ */
+function fakeModelHandler(delays = {}) {
+  return {
+    processed: [],
+    active: 0,
+    maxActive: 0,
+    tries: [],
+    async transcribe(job, retries) {
+      this.tries.push({ userId: job.userId, retries });
+      this.active++;
+      this.maxActive = Math.max(this.maxActive, this.active);
+      await Bun.sleep(delays[job.userId] ?? 1);
+      this.active--;
+      if (job.userId.startsWith("bad")) throw new Error("whisper fell over");
+      return job.userId;
+    },
+    commitTranscription(job, transcription) {
+      this.processed.push(transcription);
+    },
+    held: [],
+    holdSummariesAt(timestamp) {
+      this.held.push(timestamp);
+    },
+  };
+}
+
+const job = (userId, bytes = 0) => ({ userId, start: 0, end: 0, buffer: Buffer.alloc(bytes) });
+
+describe("QueueHandler", () => {
+  test("processes jobs one at a time in the order they were queued", async () => {
+    const model = fakeModelHandler({ a: 20, b: 1 });
+    const queue = new QueueHandler(model, null, 1);
+
+    queue.enqueue(job("a"));
+    queue.enqueue(job("b"));
+    queue.enqueue(job("c"));
+    await queue.finishTranscriptionQueue();
+
+    expect(model.processed).toEqual(["a", "b", "c"]);
+    expect(model.maxActive).toBe(1);
+  });
+
+  test("drains jobs queued while it is working", async () => {
+    const model = fakeModelHandler({ a: 10 });
+    const queue = new QueueHandler(model);
+
+    queue.enqueue(job("a"));
+    await Bun.sleep(2);
+    queue.enqueue(job("b"));
+    await queue.finishTranscriptionQueue();
+
+    expect(model.processed).toEqual(["a", "b"]);
+    expect(queue.queue).toHaveLength(0);
+    expect(queue.working).toBe(false);
+  });
+
+  test("keeps going after a job throws", async () => {
+    const model = fakeModelHandler();
+    const queue = new QueueHandler(model);
+
+    queue.enqueue(job("bad"));
+    queue.enqueue(job("good"));
+    await queue.finishTranscriptionQueue();
+
+    expect(model.processed).toEqual(["good"]);
+  });
+
+  test("checkpoints new jobs but not restored ones", async () => {
+    const saved = [];
+    const checkpoint = { saveJob: (j) => (saved.push(j.userId), saved.length) };
+    const queue = new QueueHandler(fakeModelHandler(), checkpoint);
+
+    const fresh = job("fresh");
+    queue.enqueue(fresh);
+    queue.enqueue({ ...job("restored"), checkpointId: 7 });
+    await queue.finishTranscriptionQueue();
+
+    expect(saved).toEqual(["fresh"]);
+    expect(fresh.checkpointId).toBe(1);
+  });
+
+  test("transcribes several jobs at once but commits them in queue order", async () => {
+    const model = fakeModelHandler({ a: 30, b: 1, c: 10 });
+    const queue = new QueueHandler(model, null, 3);
+
+    queue.enqueue(job("a"));
+    queue.enqueue(job("b"));
+    queue.enqueue(job("c"));
+    queue.enqueue(job("d"));
+    await queue.finishTranscriptionQueue();
+
+    expect(model.maxActive).toBe(3);
+    expect(model.processed).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("holds back later jobs behind one that failed, then moves on", async () => {
+    const model = fakeModelHandler({ bad: 20 });
+    const queue = new QueueHandler(model, null, 2);
+
+    queue.enqueue(job("bad"));
+    queue.enqueue(job("after"));
+    await Bun.sleep(5);
+    expect(model.processed).toEqual([]);
+    await queue.finishTranscriptionQueue();
+
+    expect(model.processed).toEqual(["after"]);
+    expect(queue.finished.size).toBe(0);
+  });
+
+  test("leaves audio in the checkpoint once the backlog is over its memory limit", async () => {
+    const audio = new Map();
+    const checkpoint = {
+      saveJob: (j) => (audio.set(audio.size + 1, j.buffer), audio.size),
+      loadJobAudio: (id) => audio.get(id),
+    };
+    const model = fakeModelHandler({ first: 10 });
+    const queue = new QueueHandler(model, checkpoint, 1);
+    queue.memoryBytes = MAX_QUEUED_AUDIO_BYTES - 8;
+
+    queue.enqueue(job("first", 4));
+    const spilled = job("spilled", 16);
+    queue.enqueue(spilled);
+
+    expect(spilled.buffer).toBeNull();
+    expect(queue.getPendingBytes()).toBe(16);
+    await queue.finishTranscriptionQueue();
+
+    expect(model.processed).toEqual(["first", "spilled"]);
+    expect(spilled.buffer).toHaveLength(16);
+  });
+
+  test("parks failed jobs and gives them one last try without retries", async () => {
+    const model = fakeModelHandler();
+    const queue = new QueueHandler(model, null, 1);
+
+    queue.enqueue(job("bad"));
+    queue.enqueue(job("good"));
+    await queue.finishTranscriptionQueue();
+    expect(queue.deadLetters.map((j) => j.userId)).toEqual(["bad"]);
+
+    await queue.retryDeadLetters();
+
+    expect(model.tries.at(-1)).toEqual({ userId: "bad", retries: 0 });
+    expect(queue.deadLetters.map((j) => j.userId)).toEqual(["bad"]);
+    expect(model.processed).toEqual(["good"]);
+  });
+
+  test("holds the summaries back from the earliest parked job until the last try", async () => {
+    const model = fakeModelHandler({ "bad-early": 20 });
+    const queue = new QueueHandler(model, null, 2);
+
+    queue.enqueue({ ...job("bad-early"), start: 1000 });
+    queue.enqueue({ ...job("bad-late"), start: 5000 });
+    await queue.finishTranscriptionQueue();
+    expect(model.held.at(-1)).toBe(1000);
+
+    await queue.retryDeadLetters();
+    expect(model.held.at(-1)).toBeNull();
+  });
+
+  test("holds the summaries back from a long utterance until it is transcribed", async () => {
+    const model = fakeModelHandler({ long: 20 });
+    const queue = new QueueHandler(model, null, 2);
+
+    queue.startedSpeaking("1", 1000);
+    queue.enqueue({ ...job("short"), start: 5000 });
+    await Bun.sleep(10);
+    expect(model.held.at(-1)).toBe(1000);
+
+    queue.enqueue({ ...job("long"), start: 1000 });
+    queue.stoppedSpeaking("1");
+    expect(model.held.at(-1)).toBe(1000);
+
+    await queue.finishTranscriptionQueue();
+    expect(model.processed).toEqual(["short", "long"]);
+    expect(model.held.at(-1)).toBeNull();
+  });
+
+  test("counts parked audio that has no checkpoint to go to", async () => {
+    const model = fakeModelHandler();
+    const queue = new QueueHandler(model, null, 1);
+
+    queue.enqueue(job("bad", 8));
+    await queue.finishTranscriptionQueue();
+    expect(queue.memoryBytes).toBe(8);
+
+    await queue.retryDeadLetters();
+    expect(queue.memoryBytes).toBe(8);
+  });
+
+  test("drops parked audio from memory when it's in the checkpoint", async () => {
+    const audio = new Map();
+    const checkpoint = {
+      saveJob: (j) => (audio.set(audio.size + 1, j.buffer), audio.size),
+      loadJobAudio: (id) => audio.get(id),
+    };
+    const model = fakeModelHandler();
+    const transcribe = model.transcribe.bind(model);
+    const buffers = [];
+    model.transcribe = (j, retries) => (buffers.push(j.buffer?.length), transcribe(j, retries));
+    const queue = new QueueHandler(model, checkpoint, 1);
+
+    queue.enqueue(job("bad", 8));
+    await queue.finishTranscriptionQueue();
+    expect(queue.deadLetters[0].buffer).toBeNull();
+
+    await queue.retryDeadLetters();
+    expect(buffers).toEqual([8, 8]);
+    expect(queue.deadLetters[0].buffer).toBeNull();
+    expect(queue.memoryBytes).toBe(0);
+  });
+
+  test("reports whisper down after several failures in a row, and back up after a success", async () => {
+    const outages = [];
+    const queue = new QueueHandler(fakeModelHandler(), null, 1);
+    queue.onWhisperOutage = (down) => outages.push(down);
+
+    for (let i = 0; i < WHISPER_DOWN_AFTER + 1; i++) queue.enqueue(job(`bad-${i}`));
+    await queue.finishTranscriptionQueue();
+    expect(outages).toEqual([true]);
+    expect(queue.whisperDown).toBe(true);
+
+    queue.enqueue(job("good"));
+    await queue.finishTranscriptionQueue();
+    expect(outages).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,178 @@
+import { afterAll, afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import ArchiveHandler from "@/lib/storage/ArchiveHandler.js";
+import RecordingHandler from "@/lib/storage/RecordingHandler.js";
+
+/**
+ * A 16kHz mono 16-bit WAV holding the given samples
+ */
+function wav(samples) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + samples.length * 2, 4);
+  header.write("WAVEfmt ", 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(samples.length * 2, 40);
+
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Reads a raw 16-bit PCM file back as numbers
+ */
+function readPcm(pcmPath) {
+  const pcm = fs.readFileSync(pcmPath);
+  return Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+}
+
+const session = { id: "session-1", guildId: "guild", startedAt: 1_000_000, players: ["1", "2"] };
+
+let archive;
+
+beforeEach(() => {
+  archive = new ArchiveHandler(":memory:");
+  archive.createSession(session);
+});
+
+afterEach(() => {
+  archive.close();
+});
+
+describe("RecordingHandler", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "noteify-recording-test-"));
+  let sessionCount = 0;
+  let recorder;
+
+  beforeEach(() => {
+    // A folder of its own per test, under the one temporary root
+    recorder = new RecordingHandler(archive, session.id, session.startedAt, path.join(root, `${sessionCount++}`));
+  });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const save = (userId, offset, samples) =>
+    recorder.saveUtterance({
+      userId,
+      start: session.startedAt + offset,
+      end: session.startedAt + offset + 1000,
+      buffer: wav(samples),
+    });
+
+  test("writes each utterance under its speaker and offset, and archives it", () => {
+    const filePath = save("1", 2500, [1, 2, 3]);
+
+    expect(filePath).toBe(path.join(recorder.directory, "1-2500.wav"));
+    expect(fs.readFileSync(filePath)).toEqual(wav([1, 2, 3]));
+    expect(archive.getRecordings(session.id)).toEqual([{ userId: "1", start: 2500, end: 3500, path: filePath }]);
+  });
+
+  test("starts audio from before the session at its start", () => {
+    expect(save("1", -400, [1])).toBe(path.join(recorder.directory, "1-0.wav"));
+  });
+
+  test("lists the utterances in the order they were spoken, ignoring other files", () => {
+    save("2", 10_000, [1]);
+    save("1", 500, [1]);
+    fs.writeFileSync(path.join(recorder.directory, "mix.ogg"), "");
+
+    expect(recorder.listUtterances().map((u) => [u.userId, u.offset])).toEqual([
+      ["1", 500],
+      ["2", 10_000],
+    ]);
+  });
+
+  test("places each utterance at its offset on the mixed track", async () => {
+    save("1", 0, [100, 200]);
+    // 1ms is 16 samples in
+    save("2", 1, [300]);
+    const pcmPath = path.join(root, "offsets.pcm");
+
+    expect(await recorder.mixToPcm(pcmPath)).toBe(2);
+    const mixed = readPcm(pcmPath);
+
+    expect(mixed).toHaveLength(17);
+    expect(mixed.slice(0, 2)).toEqual([100, 200]);
+    expect(mixed.slice(2, 16).every((sample) => sample === 0)).toBe(true);
+    expect(mixed[16]).toBe(300);
+  });
+
+  test("sums speakers who talk over each other, clipping at full scale", async () => {
+    save("1", 0, [1000, 30_000, -30_000, 5]);
+    save("2", 0, [-400, 10_000, -10_000]);
+    const pcmPath = path.join(root, "overlap.pcm");
+
+    await recorder.mixToPcm(pcmPath);
+
+    expect(readPcm(pcmPath)).toEqual([600, 32767, -32768, 5]);
+  });
+
+  test("lets the rest of the bot run while it mixes", async () => {
+    for (let i = 0; i < 20; i++) save("1", i * 1000, new Array(1600).fill(i));
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+
+    await recorder.mixToPcm(path.join(root, "busy.pcm"));
+    clearInterval(timer);
+
+    expect(ticks).toBeGreaterThan(0);
+  });
+
+  test("skips recordings that aren't WAVs", async () => {
+    save("1", 0, [7]);
+    fs.writeFileSync(path.join(recorder.directory, "2-0.wav"), "not a wav");
+    const pcmPath = path.join(root, "skipped.pcm");
+    const warn = spyOn(console, "warn").mockImplementation(() => {});
+
+    try {
+      expect(await recorder.mixToPcm(pcmPath)).toBe(2);
+      expect(readPcm(pcmPath)).toEqual([7]);
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("has no mix for a session nobody spoke in", async () => {
+    fs.mkdirSync(recorder.directory, { recursive: true });
+
+    expect(await recorder.renderMix()).toBeNull();
+    expect(fs.existsSync(path.join(recorder.directory, "mix.pcm"))).toBe(false);
+  });
+
+  test("cleans up and archives nothing when the mix can't be written", async () => {
+    save("1", 0, [1, 2, 3]);
+    // FFmpeg, where there is one, can't write over a folder
+    fs.mkdirSync(path.join(recorder.directory, "mix.ogg"));
+    const error = spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      expect(await recorder.renderMix()).toBeNull();
+      expect(error).toHaveBeenCalledTimes(1);
+    } finally {
+      error.mockRestore();
+    }
+
+    expect(fs.existsSync(path.join(recorder.directory, "mix.pcm"))).toBe(false);
+    expect(archive.getRecordings(session.id).map((r) => r.userId)).toEqual(["1"]);
+  });
+
+  test("lists recordings in the order they were spoken, the mix first", () => {
+    archive.addRecording(session.id, { userId: "2", start: 4000, end: 5000, path: "/b.wav" });
+    archive.addRecording(session.id, { userId: "1", start: 1000, end: 2000, path: "/a.wav" });
+    archive.addRecording(session.id, { userId: null, start: 0, end: null, path: "/mix.ogg" });
+
+    expect(archive.getRecordings(session.id).map((r) => r.path)).toEqual(["/mix.ogg", "/a.wav", "/b.wav"]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from "bun:test";
+import { fakeTextChannel } from "./stubs/FakeDiscord.js";
+import StreamHandler from "@/lib/session/StreamHandler.js";
+import { MESSAGE_CHUNK_SIZE } from "@/lib/static/Constants.js";
+
+const INTERVAL = 20;
+
+/**
+ * A paragraph of roughly the given share of a message
+ */
+function paragraph(share) {
+  return "word ".repeat(Math.floor((MESSAGE_CHUNK_SIZE * share) / 5)).trim();
+}
+
+describe("StreamHandler", () => {
+  test("edits one message as the reply grows, with a cursor until it's done", async () => {
+    const channel = fakeTextChannel();
+    const stream = new StreamHandler(channel, INTERVAL);
+
+    stream.update("The party");
+    stream.update("The party reached");
+    await Bun.sleep(INTERVAL * 2);
+
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].content).toBe("The party reached ▌");
+
+    stream.update("The party reached Vallaki.");
+    await stream.finish("The party reached Vallaki.");
+
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].content).toBe("The party reached Vallaki.");
+  });
+
+  test("spaces edits out instead of sending one per token", async () => {
+    const channel = fakeTextChannel();
+    const stream = new StreamHandler(channel, INTERVAL * 5);
+
+    let text = "";
+    for (let i = 0; i < 50; i++) {
+      text += `token${i} `;
+      stream.update(text);
+      await Bun.sleep(2);
+    }
+    await stream.finish(text.trim());
+
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].edits).toBeLessThan(5);
+    expect(channel.sent[0].content).toBe(text.trim());
+  });
+
+  test("rolls over into new messages once one is full", async () => {
+    const channel = fakeTextChannel();
+    const stream = new StreamHandler(channel, INTERVAL);
+    const first = paragraph(0.8);
+    const second = paragraph(0.5);
+
+    stream.update(first);
+    await Bun.sleep(INTERVAL * 2);
+    await stream.finish(`${first}\n${second}`);
+
+    expect(channel.sent.map((m) => m.content)).toEqual([first, second]);
+  });
+
+  test("posts a reply that was never streamed", async () => {
+    const channel = fakeTextChannel();
+
+    const messages = await new StreamHandler(channel, INTERVAL).finish("No summary generated.");
+
+    expect(messages).toHaveLength(1);
+    expect(channel.sent[0].content).toBe("No summary generated.");
+  });
+
+  test("keeps the partial reply and says why it stopped", async () => {
+    const channel = fakeTextChannel();
+    const stream = new StreamHandler(channel, INTERVAL);
+
+    stream.update("The party reached");
+    stream.fail(new Error("model crashed"));
+    await stream.finish("The party reached");
+
+    expect(channel.sent[0].content).toStartWith("The party reached\n\n");
+    expect(channel.sent[0].content).toContain("model crashed");
+  });
+});
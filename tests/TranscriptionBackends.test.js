@@ -0,0 +1,158 @@
+import { afterAll, beforeEach, describe, expect, test } from "bun:test";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { whisperStub } from "./setup.js";
+import TranscriptionBackend from "@/lib/transcription/TranscriptionBackend.js";
+import WhisperServerBackend from "@/lib/transcription/WhisperServerBackend.js";
+import OpenAIBackend from "@/lib/transcription/OpenAIBackend.js";
+import WhisperCliBackend from "@/lib/transcription/WhisperCliBackend.js";
+import ModelHandler from "@/lib/session/ModelHandler.js";
+
+const clip = Buffer.from("RIFF....WAVE");
+const openaiUrl = () => whisperStub.url.replace("/inference", "/v1/audio/transcriptions");
+
+beforeEach(() => {
+  whisperStub.reset();
+});
+
+describe("WhisperServerBackend", () => {
+  test("reports the text, language and segment timings", async () => {
+    whisperStub.respond = () => " Roll initiative.";
+    const backend = new WhisperServerBackend([whisperStub.url]);
+
+    const result = await backend.transcribe(clip, { prompt: "Strahd.", language: "en" });
+
+    expect(result).toEqual({
+      text: " Roll initiative.",
+      language: "en",
+      segments: [{ start: 0, end: 1500, text: " Roll initiative." }],
+    });
+    expect(whisperStub.requests[0]).toMatchObject({ path: "/inference", prompt: "Strahd.", language: "en" });
+  });
+
+  test("takes turns between its servers", async () => {
+    const backend = new WhisperServerBackend([whisperStub.url, `${whisperStub.url}?second`]);
+
+    expect([backend.nextUrl(), backend.nextUrl(), backend.nextUrl()]).toEqual([
+      whisperStub.url,
+      `${whisperStub.url}?second`,
+      whisperStub.url,
+    ]);
+  });
+
+  test("gives up on a server that never answers", async () => {
+    whisperStub.respond = () => Bun.sleep(1000).then(() => "Too late.");
+    const backend = new WhisperServerBackend([whisperStub.url]);
+    backend.timeout = 50;
+
+    await expect(backend.transcribe(clip)).rejects.toThrow(`Whisper at ${whisperStub.url} didn't answer within 0.05s`);
+  });
+
+  test("makes do with a plain answer", () => {
+    expect(TranscriptionBackend.fromVerboseJson({ text: "Hi." })).toEqual({ text: "Hi.", language: null, segments: [] });
+  });
+});
+
+describe("OpenAIBackend", () => {
+  test("sends the model name and api key", async () => {
+    whisperStub.respond = () => "Roll initiative.";
+    const backend = new OpenAIBackend([openaiUrl()], "Systran/faster-whisper-medium", "secret");
+
+    const result = await backend.transcribe(clip, { prompt: "Strahd." });
+
+    expect(result.text).toBe("Roll initiative.");
+    expect(result.segments).toEqual([{ start: 0, end: 1500, text: "Roll initiative." }]);
+    expect(whisperStub.requests[0]).toMatchObject({
+      path: "/v1/audio/transcriptions",
+      model: "Systran/faster-whisper-medium",
+      authorization: "Bearer secret",
+      language: null,
+    });
+  });
+
+  test("fails loudly when the server does", async () => {
+    whisperStub.respond = () => new Error("model not loaded");
+    const backend = new OpenAIBackend([openaiUrl()], "whisper-1", "");
+
+    await expect(backend.transcribe(clip)).rejects.toThrow("Transcription server failed with code 500: model not loaded");
+    expect(whisperStub.requests[0].authorization).toBeNull();
+  });
+
+  test("gives up on a server that never answers", async () => {
+    whisperStub.respond = () => Bun.sleep(1000).then(() => "Too late.");
+    const backend = new OpenAIBackend([openaiUrl()], "whisper-1", "");
+    backend.timeout = 50;
+
+    await expect(backend.transcribe(clip)).rejects.toThrow("didn't answer within 0.05s");
+  });
+});
+
+describe("WhisperCliBackend", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "noteify-cli-test-"));
+  // Stands in for whisper-cli: writes the JSON file it was asked for under -of
+  const binary = path.join(directory, "fake-whisper-cli");
+  fs.writeFileSync(
+    binary,
+    `#!/bin/sh
+while [ $# -gt 0 ]; do
+  case "$1" in
+    -of) out="$2"; shift ;;
+    -l) lang="$2"; shift ;;
+    -m) [ -f "$2" ] || { echo "no model at $2" >&2; exit 2; }; shift ;;
+  esac
+  shift
+done
+printf '{"result":{"language":"%s"},"transcription":[{"offsets":{"from":0,"to":900},"text":" Roll"},{"offsets":{"from":900,"to":2000},"text":" initiative."}]}' "$lang" > "$out.json"
+`,
+    { mode: 0o755 },
+  );
+  const model = path.join(directory, "ggml-tiny.bin");
+  fs.writeFileSync(model, "");
+
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test("reads back what the binary wrote", async () => {
+    const backend = new WhisperCliBackend(binary, model, 2);
+
+    expect(await backend.transcribe(clip, { language: "en" })).toEqual({
+      text: " Roll initiative.",
+      language: "en",
+      segments: [
+        { start: 0, end: 900, text: " Roll" },
+        { start: 900, end: 2000, text: " initiative." },
+      ],
+    });
+  });
+
+  test("passes on the binary's complaint when it fails", async () => {
+    const backend = new WhisperCliBackend(binary, path.join(directory, "missing.bin"), 2);
+
+    await expect(backend.transcribe(clip)).rejects.toThrow("whisper.cpp exited with 2: no model at");
+  });
+
+  test("kills a binary that hangs", async () => {
+    const hanging = path.join(directory, "hanging-whisper-cli");
+    fs.writeFileSync(hanging, "#!/bin/sh\nexec sleep 5\n", { mode: 0o755 });
+    const backend = new WhisperCliBackend(hanging, model, 2);
+    backend.timeout = 100;
+
+    const started = Date.now();
+    await expect(backend.transcribe(clip)).rejects.toThrow("whisper.cpp didn't finish within 0.1s");
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
+
+describe("ModelHandler with a backend", () => {
+  test("filters what any backend hears and remembers the language", async () => {
+    const transcriber = {
+      transcribe: async () => ({ text: " Bonjour. [laughs]", language: "fr", segments: [] }),
+    };
+    const model = new ModelHandler(new Map([["1", "Thistle"]]), 0, null, new Map(), { transcriber });
+
+    await model.addTranscription({ userId: "1", start: 0, end: 1, buffer: clip });
+
+    expect(model.sessionLog[0].text).toBe(" Bonjour.");
+    expect(model.language).toBe("fr");
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, expect, test } from "bun:test";
+import { COMMAND_FLAGS, MESSAGE_CHUNK_SIZE, STYLE_PROMPT, SUMMARY_PROMPT } from "@/lib/static/Constants.js";
+import {
+  CleanTranscription,
+  CreateLogEntry,
+  ExtractUserId,
+  FormatDuration,
+  GroupByBudget,
+  MergeTurns,
+  ParseCommands,
+  SplitMessage,
+  SplitTurns,
+} from "@/lib/static/Utils.js";
+import { ExportTranscript } from "@/lib/static/TranscriptFormats.js";
+import { ClipRejection, FilterTranscription } from "@/lib/static/TranscriptFilters.js";
+import { FindStyle, ListStyles, ParseStyles, StylePrompts } from "@/lib/static/SummaryStyles.js";
+
+describe("SplitMessage", () => {
+  test("keeps short messages whole", () => {
+    expect(SplitMessage("Roll for initiative!")).toEqual(["Roll for initiative!"]);
+    expect(SplitMessage("")).toEqual([""]);
+  });
+
+  test("splits long messages on the last newline before the limit", () => {
+    const line = "a".repeat(MESSAGE_CHUNK_SIZE / 2);
+    const parts = SplitMessage(`${line}\n${line}\n${line}`);
+
+    expect(parts).toEqual([`${line}\n${line}`, line]);
+  });
+
+  test("does not count newlines towards the limit", () => {
+    const text = "a\n".repeat(MESSAGE_CHUNK_SIZE);
+
+    expect(SplitMessage(text)).toHaveLength(1);
+  });
+
+  test("hard splits text without newlines", () => {
+    const parts = SplitMessage("b".repeat(MESSAGE_CHUNK_SIZE * 2 + 5));
+
+    expect(parts.map((p) => p.length)).toEqual([MESSAGE_CHUNK_SIZE, MESSAGE_CHUNK_SIZE, 5]);
+  });
+});
+
+describe("ParseCommands", () => {
+  test("groups arguments under the flag before them", () => {
+    const { flagsFound, flagArgs, freeArgs } = ParseCommands(
+      ["free", "--players", "<@1>", "<@2>", "--force", "--gm", "<@3>"],
+      COMMAND_FLAGS.start,
+    );
+
+    expect(flagsFound).toEqual(["--players", "--force", "--gm"]);
+    expect(flagArgs).toEqual({ "--players": ["<@1>", "<@2>"], "--force": [], "--gm": ["<@3>"] });
+    expect(freeArgs).toEqual(["free"]);
+  });
+
+  test("ignores unknown flags and treats what follows them as free arguments", () => {
+    const { flagArgs, freeArgs } = ParseCommands(
+      ["--nope", "lost", "--campaign", "Curse", "of", "Strahd"],
+      COMMAND_FLAGS.start,
+    );
+
+    expect(flagArgs).toEqual({ "--campaign": ["Curse", "of", "Strahd"] });
+    expect(freeArgs).toEqual(["lost"]);
+  });
+
+  test("defaults to the start flags", () => {
+    expect(ParseCommands(["--force"]).flagsFound).toEqual(["--force"]);
+  });
+});
+
+describe("ExtractUserId", () => {
+  test("reads user and nickname mentions", () => {
+    expect(ExtractUserId("<@123456789>")).toBe("123456789");
+    expect(ExtractUserId("<@!123456789>")).toBe("123456789");
+  });
+
+  test("rejects anything else", () => {
+    expect(ExtractUserId("123456789")).toBeNull();
+    expect(ExtractUserId("<@&123456789>")).toBeNull();
+    expect(ExtractUserId("<@123> trailing")).toBeNull();
+    expect(ExtractUserId("")).toBeNull();
+    expect(ExtractUserId(undefined)).toBeNull();
+  });
+});
+
+describe("FormatDuration", () => {
+  test("pads every unit", () => {
+    expect(FormatDuration(0)).toBe("00:00:00:000");
+    expect(FormatDuration(65000)).toBe("00:01:05:000");
+    expect(FormatDuration(3723004)).toBe("01:02:03:004");
+  });
+
+  test("falls back to zero for invalid input", () => {
+    expect(FormatDuration(-1)).toBe("00:00:00:000");
+    expect(FormatDuration("65000")).toBe("00:00:00:000");
+  });
+});
+
+describe("CleanTranscription", () => {
+  test("removes blank audio markers and empty quotes", () => {
+    expect(CleanTranscription("[BLANK_AUDIO]")).toBe("");
+    expect(CleanTranscription(' Hello [BLANK_AUDIO] there""')).toBe(" Hellothere");
+  });
+
+  test("leaves normal speech alone", () => {
+    expect(CleanTranscription(" I cast fireball.")).toBe(" I cast fireball.");
+  });
+});
+
+describe("MergeTurns", () => {
+  const entries = [
+    CreateLogEntry("2", "GM", 2600, 3000, "It creaks."),
+    CreateLogEntry("1", "Thistle", 0, 1000, "I open"),
+    CreateLogEntry("1", "Thistle", 1200, 2000, "the door."),
+  ];
+
+  test("orders speakers by start and merges fragments within the gap", () => {
+    expect(MergeTurns(entries, 500).map((e) => `${e.name}: ${e.text}`)).toEqual([
+      "Thistle: I open the door.",
+      "GM: It creaks.",
+    ]);
+    expect(MergeTurns(entries, 0)).toHaveLength(3);
+  });
+
+  test("splits back into the original utterances for subtitles", () => {
+    const turns = MergeTurns(entries, 500);
+
+    expect(SplitTurns(turns).map((e) => [e.start, e.end])).toEqual([
+      [0, 1000],
+      [1200, 2000],
+      [2600, 3000],
+    ]);
+    expect(ExportTranscript("srt", turns, { id: "s" }).content).toContain(
+      "2\n00:00:01,200 --> 00:00:02,000\nThistle: the door.",
+    );
+  });
+});
+
+describe("GroupByBudget", () => {
+  test("groups consecutive items within the budget, in order", () => {
+    expect(GroupByBudget([3, 4, 2, 6, 1], (n) => n, 7)).toEqual([[3, 4], [2], [6, 1]]);
+  });
+
+  test("gives an item over the budget a group of its own", () => {
+    expect(GroupByBudget([2, 9, 2], (n) => n, 5)).toEqual([[2], [9], [2]]);
+    expect(GroupByBudget([], (n) => n, 5)).toEqual([]);
+  });
+});
+
+describe("SummaryStyles", () => {
+  const guildStyles = [
+    { name: "haiku", instructions: "Write every scene as a haiku." },
+    { name: "Recap", instructions: "Can't shadow the configured recap." },
+  ];
+
+  test("lists the configured styles before the server's own", () => {
+    const styles = ListStyles(guildStyles);
+
+    expect(styles.at(-1)).toMatchObject({ name: "haiku", custom: true, description: "Write every scene as a haiku." });
+    expect(styles.filter((style) => style.name === "recap")).toEqual([expect.objectContaining({ custom: false })]);
+  });
+
+  test("parses style names, ignoring case and duplicates", () => {
+    const { styles, unknown } = ParseStyles(["RECAP,haiku", "recap", "limerick"], guildStyles);
+
+    expect(styles.map((style) => style.name)).toEqual(["recap", "haiku"]);
+    expect(unknown).toEqual(["limerick"]);
+    expect(FindStyle("haiku")).toBeNull();
+  });
+
+  test("adds a style's instructions to the prompts, and leaves them alone without any", () => {
+    expect(StylePrompts(FindStyle("tale")).summary).toBe(SUMMARY_PROMPT);
+
+    const { summary, critic, feedback } = StylePrompts(FindStyle("haiku", guildStyles));
+    expect(summary).toBe(`${SUMMARY_PROMPT}\n\n${STYLE_PROMPT}\n<style>\nWrite every scene as a haiku.\n</style>`);
+    expect(critic).toEndWith("<style>\nWrite every scene as a haiku.\n</style>");
+    expect(feedback).toEndWith("<style>\nWrite every scene as a haiku.\n</style>");
+  });
+
+  test("lets a style replace a prompt outright", () => {
+    const style = { ...FindStyle("recap"), summaryPrompt: "Only list the loot." };
+
+    expect(StylePrompts(style).summary).toBe("Only list the loot.");
+    expect(StylePrompts(style).critic).toContain("<style>");
+  });
+});
+
+describe("FilterTranscription", () => {
+  const options = { nonSpeech: "remove", phrases: ["Thank you for watching!"], maxRepeats: 3 };
+
+  test("drops clips that are only noise or a known hallucination", () => {
+    expect(FilterTranscription(" (music)", options)).toBe("");
+    expect(FilterTranscription(" ♪ ♪", options)).toBe("");
+    expect(FilterTranscription(" Thank you for watching.", options)).toBe("");
+  });
+
+  test("keeps the speech around what it drops", () => {
+    expect(FilterTranscription(" I roll for it. [laughs] Twenty! Thanks for watching!", options)).toBe(
+      " I roll for it. Twenty! Thanks for watching!",
+    );
+    expect(FilterTranscription(" Fine. THANK YOU FOR WATCHING", options)).toBe(" Fine.");
+  });
+
+  test("normalizes sound descriptions when asked to", () => {
+    expect(FilterTranscription(" *Sighs* Fine. (LAUGHING)", { ...options, nonSpeech: "normalize" })).toBe(
+      " [sighs] Fine. [laughing]",
+    );
+    expect(FilterTranscription(" Fine. (laughs)", { ...options, nonSpeech: "keep" })).toBe(" Fine. (laughs)");
+  });
+
+  test("collapses repetition loops but not a few honest repeats", () => {
+    expect(FilterTranscription(" No, no, no, wait.", options)).toBe(" No, no, no, wait.");
+    expect(FilterTranscription(" I'm going in. I'm going in. I'm going in. I'm going in. I'm going in.", options)).toBe(
+      " I'm going in.",
+    );
+    expect(FilterTranscription(" so so so so so so so so so cold", options)).toBe(" so cold");
+  });
+});
+
+describe("ClipRejection", () => {
+  /**
+   * A 16kHz mono 16-bit WAV of a constant tone level
+   */
+  function wav(ms, amplitude) {
+    const samples = (16000 * ms) / 1000;
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + samples * 2, 4);
+    header.write("WAVEfmt ", 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(16000, 24);
+    header.writeUInt32LE(32000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(samples * 2, 40);
+
+    const data = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) data.writeInt16LE(i % 2 ? amplitude : -amplitude, i * 2);
+
+    return Buffer.concat([header, data]);
+  }
+
+  const options = { minDuration: 300, minLevel: -50 };
+
+  test("lets speech through", () => {
+    expect(ClipRejection(wav(1000, 3000), options)).toBeNull();
+  });
+
+  test("skips clips that are too short or too quiet", () => {
+    expect(ClipRejection(wav(100, 3000), options)).toBe("only 100ms long");
+    expect(ClipRejection(wav(1000, 50), options)).toMatch(/^too quiet \(-56\.\d dBFS\)$/);
+    expect(ClipRejection(wav(1000, 0), options)).toBe("too quiet (-∞ dBFS)");
+  });
+});
@@ -0,0 +1,15 @@
+import { afterAll } from "bun:test";
+import { startOllamaStub, startWhisperStub } from "./stubs/StubServers.js";
+
+// Preloaded before any test file, so the constants pick up the stubs instead of the real servers
+export const whisperStub = startWhisperStub();
+export const ollamaStub = startOllamaStub();
+
+process.env.WHISPER_URL = whisperStub.url;
+process.env.OLLAMA_HOST = ollamaStub.url;
+process.env.DATABASE_PATH = ":memory:";
+
+afterAll(() => {
+  whisperStub.stop();
+  ollamaStub.stop();
+});
@@ -0,0 +1,238 @@
+/**
+ * Just enough of discord.js's guilds, members, channels and messages for the controllers to run against.
+ * Everything the bot sends is recorded on the fakes so tests can assert on it.
+ */
+
+export const BOT_ID = "999";
+
+/**
+ * @returns {{ user: { id: string }, channels: { fetch: () => Promise<null> } }}
+ */
+export function fakeClient() {
+  return { user: { id: BOT_ID }, channels: { fetch: async () => null } };
+}
+
+/**
+ * @param {string} id
+ * @param {{ displayName?: string, manager?: boolean, voiceChannel?: Object | null }} [options]
+ */
+export function fakeMember(id, options = {}) {
+  return {
+    id,
+    displayName: options.displayName ?? `user${id}`,
+    user: { id, tag: `user${id}#0001`, bot: false, toString: () => `<@${id}>` },
+    permissions: { has: () => options.manager ?? false },
+    voice: { channel: options.voiceChannel ?? null },
+  };
+}
+
+/**
+ * @param {string} id
+ * @param {Object[]} members
+ */
+export function fakeGuild(id, members = []) {
+  const byId = new Map(members.map((m) => [m.id, m]));
+  return {
+    id,
+    members: {
+      fetch: async (memberId) => {
+        const member = byId.get(memberId);
+        if (!member) throw new Error("Unknown Member");
+        return member;
+      },
+    },
+  };
+}
+
+/**
+ * A collector whose handlers tests call themselves
+ *
+ * @param {Object} options
+ */
+function fakeCollector(options) {
+  const collector = {
+    options,
+    handlers: {},
+    stopped: null,
+    on(event, handler) {
+      collector.handlers[event] = handler;
+      return collector;
+    },
+    stop(reason = "user") {
+      collector.stopped = reason;
+    },
+  };
+
+  return collector;
+}
+
+/**
+ * A message the bot sent, which keeps track of its edits and the button collectors made on it
+ *
+ * @param {string | Object} payload
+ * @param {Object[]} sent - The channel's list of sent messages
+ */
+function sentMessage(payload, sent) {
+  const message = {
+    ...(typeof payload === "string" ? { content: payload } : payload),
+    edits: 0,
+    deleted: false,
+    pinned: false,
+    collectors: [],
+    createMessageComponentCollector(options) {
+      const collector = fakeCollector(options);
+      message.collectors.push(collector);
+      return collector;
+    },
+    async pin() {
+      message.pinned = true;
+    },
+    async unpin() {
+      message.pinned = false;
+    },
+    async edit(edit) {
+      Object.assign(message, typeof edit === "string" ? { content: edit } : edit);
+      message.edits++;
+      return message;
+    },
+    async delete() {
+      message.deleted = true;
+      sent.splice(sent.indexOf(message), 1);
+    },
+  };
+  sent.push(message);
+
+  return message;
+}
+
+/**
+ * A text channel whose sent messages can start threads with a feedback collector
+ *
+ * @param {string} [id]
+ */
+export function fakeTextChannel(id = "text-1") {
+  const channel = {
+    id,
+    sent: [],
+    threads: [],
+    toString: () => `<#${id}>`,
+    async sendTyping() {},
+    async send(payload) {
+      const message = sentMessage(payload, channel.sent);
+      message.startThread = async (options) => {
+        const thread = {
+          ...options,
+          sent: [],
+          collectors: [],
+          async send(content) {
+            return sentMessage(content, thread.sent);
+          },
+          createMessageCollector(collectorOptions) {
+            const collector = fakeCollector(collectorOptions);
+            thread.collectors.push(collector);
+            return collector;
+          },
+        };
+        channel.threads.push(thread);
+        return thread;
+      };
+
+      return message;
+    },
+  };
+
+  return channel;
+}
+
+/**
+ * A button press on a message the bot sent
+ *
+ * @param {string} customId
+ * @param {string} userId
+ */
+export function fakeButton(customId, userId) {
+  const interaction = {
+    customId,
+    user: { id: userId },
+    responses: [],
+    async reply(reply) {
+      interaction.responses.push({ type: "reply", ...reply });
+    },
+    async update(update) {
+      interaction.responses.push({ type: "update", ...update });
+    },
+  };
+
+  return interaction;
+}
+
+/**
+ * A message mentioning the bot, as the text commands expect
+ *
+ * @param {string} content - e.g. "@bot help", where "@bot" is swapped for the bot's mention
+ * @param {{ guild: Object, member: Object, channel?: Object, bot?: boolean, mentioned?: boolean }} options
+ */
+export function fakeMessage(content, options) {
+  const message = {
+    content: content.replace(/^@bot/, `<@${BOT_ID}>`),
+    author: { bot: options.bot ?? false, id: options.member?.id },
+    mentions: { has: (id) => (options.mentioned ?? true) && id === BOT_ID },
+    guild: options.guild,
+    member: options.member,
+    channel: options.channel ?? fakeTextChannel(),
+    replies: [],
+    async reply(text) {
+      message.replies.push(text);
+    },
+  };
+
+  return message;
+}
+
+/**
+ * A slash command interaction, enforcing Discord's rule that it is answered exactly once
+ * before any follow-ups
+ *
+ * @param {string} commandName
+ * @param {{ guild: Object, member: Object, channel?: Object, options?: Record<string, any>, subcommand?: string }} options
+ */
+export function fakeInteraction(commandName, options) {
+  const values = options.options ?? {};
+  const interaction = {
+    commandName,
+    guild: options.guild,
+    member: options.member,
+    channel: options.channel ?? fakeTextChannel(),
+    replied: false,
+    deferred: false,
+    responses: [],
+    isChatInputCommand: () => true,
+    options: {
+      getString: (name) => values[name] ?? null,
+      getUser: (name) => values[name] ?? null,
+      getBoolean: (name) => values[name] ?? null,
+      getInteger: (name) => values[name] ?? null,
+      getSubcommand: () => options.subcommand,
+    },
+    async deferReply(reply = {}) {
+      if (interaction.replied || interaction.deferred) throw new Error("Interaction already acknowledged");
+      interaction.deferred = true;
+      interaction.responses.push({ type: "defer", ...reply });
+    },
+    async reply(reply) {
+      if (interaction.replied || interaction.deferred) throw new Error("Interaction already acknowledged");
+      interaction.replied = true;
+      interaction.responses.push({ type: "reply", ...reply });
+    },
+    async editReply(reply) {
+      if (!interaction.deferred && !interaction.replied) throw new Error("Interaction not acknowledged");
+      interaction.responses.push({ type: "edit", ...(typeof reply === "string" ? { content: reply } : reply) });
+    },
+    async followUp(reply) {
+      if (!interaction.deferred && !interaction.replied) throw new Error("Interaction not acknowledged");
+      interaction.responses.push({ type: "followUp", ...(typeof reply === "string" ? { content: reply } : reply) });
+    },
+  };
+
+  return interaction;
+}
@@ -0,0 +1,259 @@
+/**
+ * Local stand-ins for the whisper.cpp and Ollama HTTP APIs so the pipeline can be tested offline.
+ * Each stub records the requests it gets and answers through a swappable responder.
+ */
+
+/**
+ * @typedef {Object} Stub
+ *
+ * @property {string} url
+ *  Where the stub listens
+ *
+ * @property {Object[]} requests
+ *  What the stub was sent, oldest first
+ *
+ * @property {Function} respond
+ *  Produces the answer to each request, swap it per test
+ *
+ * @property {() => void} reset
+ *  Forgets the requests and restores the default responder
+ *
+ * @property {() => void} stop
+ */
+
+/**
+ * Mimics whisper.cpp's `/inference` endpoint and the OpenAI-compatible `/v1/audio/transcriptions`:
+ * takes a multipart form with the WAV `file` (and an optional `prompt`, `language` and `model`) and
+ * answers `{ text }`, with the language and a single segment when `verbose_json` is asked for.
+ * A responder returning an Error makes it fail with a 500, one returning `{ text, segments }` picks the
+ * segments itself, with their timings in seconds.
+ *
+ * @param {(request: { path: string, prompt: string | null, language: string | null, model: string | null, authorization: string | null, bytes: number }) => string | Error | { text: string, segments: { start: number, end: number, text: string }[] }} [defaultRespond]
+ *
+ * @returns {Stub}
+ */
+export function startWhisperStub(defaultRespond = () => "Hello there.") {
+  const stub = {
+    url: "",
+    requests: [],
+    respond: defaultRespond,
+    reset() {
+      stub.requests.length = 0;
+      stub.respond = defaultRespond;
+    },
+    stop() {
+      server.stop(true);
+    },
+  };
+
+  const server = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      if (pathname !== "/inference" && pathname !== "/v1/audio/transcriptions") {
+        return Response.json({ error: "not found" }, { status: 404 });
+      }
+
+      const form = await req.formData();
+      const file = form.get("file");
+      const request = {
+        path: pathname,
+        prompt: form.get("prompt"),
+        language: form.get("language"),
+        model: form.get("model"),
+        authorization: req.headers.get("authorization"),
+        bytes: file ? (await file.arrayBuffer()).byteLength : 0,
+      };
+      stub.requests.push(request);
+
+      const reply = await stub.respond(request);
+      if (reply instanceof Error) {
+        return Response.json({ error: reply.message }, { status: 500 });
+      }
+      const text = typeof reply === "string" ? reply : reply.text;
+
+      if (form.get("response_format") !== "verbose_json") {
+        return Response.json({ text });
+      }
+
+      return Response.json({
+        text,
+        language: request.language || "en",
+        segments:
+          typeof reply === "string"
+            ? [{ id: 0, start: 0, end: 1.5, text }]
+            : reply.segments.map((segment, id) => ({ id, ...segment })),
+      });
+    },
+  });
+  stub.url = `http://127.0.0.1:${server.port}/inference`;
+
+  return stub;
+}
+
+/**
+ * Mimics the parts of the Ollama API the bot uses: `/api/chat` and `/api/embed`, and their
+ * OpenAI-compatible counterparts `/v1/chat/completions` and `/v1/embeddings`.
+ * Chat requests are answered by the responder, embeddings are derived from the text length.
+ * Every request is recorded with its headers.
+ *
+ * Streamed chats send the reply word by word, as NDJSON for Ollama and server-sent events for OpenAI.
+ * A responder can also return the streamed pieces itself, where an Error among them ends the stream with that error.
+ * Setting `pieceDelay` waits that many milliseconds before each streamed piece, like a model writing slowly.
+ *
+ * Every model has 8192 tokens of context, as `/api/show` and `/v1/models` tell. Prompt token counts are
+ * only reported once `charsPerToken` is set, so other tests don't calibrate the shared provider by accident.
+ *
+ * @param {(request: { model: string, messages: { role: string, content: string }[], format?: string, stream?: boolean }) => string | (string | Error)[]} [defaultRespond]
+ *
+ * @returns {Stub & { charsPerToken: number | null, pieceDelay: number }}
+ */
+export function startOllamaStub(defaultRespond = () => "A summary.") {
+  const stub = {
+    url: "",
+    requests: [],
+    respond: defaultRespond,
+    charsPerToken: null,
+    pieceDelay: 0,
+    reset() {
+      stub.requests.length = 0;
+      stub.respond = defaultRespond;
+      stub.charsPerToken = null;
+      stub.pieceDelay = 0;
+    },
+    stop() {
+      server.stop(true);
+    },
+  };
+
+  // Sends the lines of a streamed reply one by one, pieceDelay apart
+  const paced = (lines) => {
+    if (!stub.pieceDelay) return lines.join("");
+
+    const delay = stub.pieceDelay;
+    return new ReadableStream({
+      async pull(controller) {
+        await Bun.sleep(delay);
+        if (lines.length) {
+          controller.enqueue(new TextEncoder().encode(lines.shift()));
+        } else {
+          controller.close();
+        }
+      },
+    });
+  };
+
+  const server = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      const body = req.method === "POST" ? await req.json() : {};
+      stub.requests.push({ path: pathname, headers: Object.fromEntries(req.headers), ...body });
+
+      const promptTokens = () =>
+        stub.charsPerToken
+          ? Math.ceil(body.messages.reduce((acc, m) => acc + m.content.length, 0) / stub.charsPerToken)
+          : undefined;
+
+      if (pathname === "/api/show") {
+        return Response.json({ model_info: { "general.architecture": "qwen3", "qwen3.context_length": 8192 } });
+      }
+
+      if (pathname === "/v1/models") {
+        return Response.json({ object: "list", data: [{ id: "qwen3:8b", object: "model", max_model_len: 8192 }] });
+      }
+
+      if (pathname === "/api/chat") {
+        const reply = await stub.respond(body);
+        const pieces = Array.isArray(reply) ? reply : reply.match(/\S+\s*|\s+/g) ?? [];
+
+        if (!body.stream) {
+          return Response.json({
+            model: body.model,
+            created_at: new Date().toISOString(),
+            message: { role: "assistant", content: pieces.filter((p) => typeof p === "string").join("") },
+            done: true,
+            prompt_eval_count: promptTokens(),
+          });
+        }
+
+        const lines = [];
+        const failure = pieces.find((piece) => piece instanceof Error);
+        for (const piece of pieces) {
+          if (piece === failure) break;
+          lines.push({ model: body.model, message: { role: "assistant", content: piece }, done: false });
+        }
+        lines.push(
+          failure
+            ? { error: failure.message }
+            : { model: body.model, message: { role: "assistant", content: "" }, done: true, prompt_eval_count: promptTokens() },
+        );
+
+        return new Response(paced(lines.map((line) => `${JSON.stringify(line)}\n`)), {
+          headers: { "Content-Type": "application/x-ndjson" },
+        });
+      }
+
+      if (pathname === "/v1/chat/completions") {
+        const reply = await stub.respond(body);
+        const pieces = Array.isArray(reply) ? reply : reply.match(/\S+\s*|\s+/g) ?? [];
+
+        if (!body.stream) {
+          return Response.json({
+            model: body.model,
+            choices: [
+              {
+                index: 0,
+                message: { role: "assistant", content: pieces.filter((p) => typeof p === "string").join("") },
+                finish_reason: "stop",
+              },
+            ],
+            usage: promptTokens() && { prompt_tokens: promptTokens() },
+          });
+        }
+
+        const events = [];
+        const failure = pieces.find((piece) => piece instanceof Error);
+        for (const piece of pieces) {
+          if (piece === failure) break;
+          events.push({ model: body.model, choices: [{ index: 0, delta: { content: piece } }] });
+        }
+        events.push(
+          failure
+            ? { error: { message: failure.message } }
+            : { model: body.model, choices: [{ index: 0, delta: {}, finish_reason: "stop" }] },
+        );
+
+        if (!failure && body.stream_options?.include_usage && promptTokens()) {
+          events.push({ model: body.model, choices: [], usage: { prompt_tokens: promptTokens() } });
+        }
+
+        const lines = events.map((event) => `data: ${JSON.stringify(event)}\n\n`);
+        if (!failure) lines.push("data: [DONE]\n\n");
+
+        return new Response(paced(lines), { headers: { "Content-Type": "text/event-stream" } });
+      }
+
+      if (pathname === "/v1/embeddings") {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        return Response.json({
+          model: body.model,
+          data: inputs.map((text, index) => ({ index, embedding: [text.length, 1, 0] })),
+        });
+      }
+
+      if (pathname === "/api/embed") {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        return Response.json({
+          model: body.model,
+          embeddings: inputs.map((text) => [text.length, 1, 0]),
+        });
+      }
+
+      return Response.json({ error: "not found" }, { status: 404 });
+    },
+  });
+  stub.url = `http://127.0.0.1:${server.port}`;
+
+  return stub;
+}